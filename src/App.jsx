@@ -1,13 +1,17 @@
 import { Loader } from "@react-three/drei";
 import { Canvas } from "@react-three/fiber";
-import { Suspense, useRef, useEffect } from "react";
+import { useAtom } from "jotai";
+import { Suspense, useRef, useEffect, useState } from "react";
 import { Experience } from "./components/Experience";
-import { UI } from "./components/UI";
+import { UI, sceneAtom } from "./components/UI";
 import { ErrorBoundary } from "./components/ErrorBoundary";
 import { initializeDataSystem } from "./utils/dataInit";
+import { getBackdropStyle } from "./utils/scenePresets";
 
 function App() {
   const experienceRef = useRef();
+  const [dataReady, setDataReady] = useState(false);
+  const [sceneSettings] = useAtom(sceneAtom);
 
   useEffect(() => {
     // Handle unhandled promise rejections
@@ -19,7 +23,8 @@ function App() {
 
     window.addEventListener('unhandledrejection', handleUnhandledRejection);
     
-    initializeDataSystem();
+    // Cover metadata is loaded from IndexedDB before the sidebar reads it
+    initializeDataSystem().finally(() => setDataReady(true));
 
     return () => {
       window.removeEventListener('unhandledrejection', handleUnhandledRejection);
@@ -28,9 +33,10 @@ function App() {
 
   return (
     <ErrorBoundary>
-      <UI experienceRef={experienceRef} />
+      {dataReady && <UI experienceRef={experienceRef} />}
       <Loader />
-      <Canvas shadows camera={{
+      {/* PCF (not PCF soft) shadows, so the lights' shadow radius sets the softness */}
+      <Canvas shadows="percentage" style={getBackdropStyle(sceneSettings)} camera={{
           position: [-0.5, 1, window.innerWidth > 800 ? 4 : 6],
           fov: window.innerWidth > 800 ? 45 : 60,
         }}>
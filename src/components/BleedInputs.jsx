@@ -0,0 +1,35 @@
+/**
+ * Book Cover Previewer - Bleed Inputs
+ *
+ * Top, bottom and outside bleed fields for a cover spread, typed in the
+ * user's unit. The spine edge has no bleed of its own.
+ */
+
+import { LengthInput } from './LengthInput';
+import { BLEED_SIDES } from '../utils/bindings';
+import { MAX_BLEED_INCHES } from '../utils/trimSizes';
+
+const SIDE_LABELS = { top: 'Top', bottom: 'Bottom', outside: 'Outside' };
+
+/**
+ * @param {object} props - { id, bleed ({ top, bottom, outside } inches, NaN while empty), unit, onChange(bleed), disabled, inputClassName }
+ */
+export const BleedInputs = ({ id, bleed, unit, onChange, disabled, inputClassName }) => (
+  <div className="grid grid-cols-3 gap-2">
+    {BLEED_SIDES.map(side => (
+      <div key={side}>
+        <label className="block text-xs text-gray-600 mb-1" htmlFor={`${id}-${side}`}>{SIDE_LABELS[side]}</label>
+        <LengthInput
+          id={`${id}-${side}`}
+          unit={unit}
+          min={0}
+          max={MAX_BLEED_INCHES}
+          inches={bleed[side]}
+          onChange={(value) => onChange({ ...bleed, [side]: value })}
+          className={inputClassName}
+          disabled={disabled}
+        />
+      </div>
+    ))}
+  </div>
+);
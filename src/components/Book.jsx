@@ -2,60 +2,98 @@ import { useTexture } from "@react-three/drei";
 import { useFrame } from "@react-three/fiber";
 import { useAtom } from "jotai";
 import { easing } from "maath";
-import { useRef, useMemo } from "react";
+import { useRef, useMemo, useEffect, useState, forwardRef } from "react";
 import {
+  BackSide,
+  FrontSide,
+  CanvasTexture,
   MeshStandardMaterial,
   SRGBColorSpace,
 } from "three";
 import { degToRad } from "three/src/math/MathUtils.js";
-import { coverAtom, bookOpenAtom, bleedEnabledAtom } from "./UI";
-import { getCoverById } from "../utils/coverData";
+import { coverAtom, bookOpenAtom, guidesAtom, pageSpreadAtom, reliefViewAtom } from "./UI";
+import { getCoverBleed, getCoverPaperShade, getCoverPageCount } from "../utils/coverData";
+import { useCoverRecord } from "../utils/useCoverRecord";
 import { useCoverImageUrl } from "../utils/useCoverImageUrl";
-import { inchesToUnits } from "../utils/trimSizes";
+import { useInteriorPageTextures } from "../utils/useInteriorPageTextures";
+import { useFinishMap } from "../utils/useFinishMap";
+import { useReliefMap } from "../utils/useReliefMap";
+import { getFinishMaterialProps, getReliefMaterialProps } from "../utils/coverFinishes";
+import { getPaperShadeColor } from "../utils/paperProfiles";
+import { createPageEdgeTexture, getLeavesPerHalf } from "../utils/pageBlock";
+import { getSpreadCount, getVisiblePageIndexes, createLeafGeometries, bendLeaf } from "../utils/pageTurn";
+import { inchesToUnits, DEFAULT_TRIM_SIZE, DEFAULT_SPINE_WIDTH } from "../utils/trimSizes";
+import { getSpreadGuideLines, drawSpreadWithGuides } from "../utils/spreadGuides";
+import {
+  BINDING_TYPES,
+  DEFAULT_BINDING_TYPE,
+  getBindingSpec,
+  getBoardSize,
+  getSpreadLayout,
+  getCoverRegions,
+  getRegionUV,
+  getBookFaces,
+  isHardcover
+} from "../utils/bindings";
 
-// Default fallback dimensions (5" × 8" book)
-const DEFAULT_TRIM_SIZE = { width: 5.0, height: 8.0 };
 const COVER_THICKNESS = 0.008; // Thin cover material
+const HINGE_GROOVE_WIDTH = inchesToUnits(0.08);
+const FLAP_GAP = 0.0015; // keeps jacket flaps off the inner board face
+const SPINE_ROUNDING = 0.45; // how far a rounded spine bulges, relative to its radius
+const ENDPAPER_COLOR = "#f3efe6";
+const CLOTH_COLOR = "#2b2b33";
 const easingFactor = 0.08;
+const PAGE_TURN_EASING = 0.15;
+const FINISH_SURFACES = ["front", "back", "spine", "frontFlap", "backFlap"];
+const RELIEF_SURFACES = ["front", "back", "spine"]; // flaps fold inside, so they stay flat
 
-export const Book = ({ ...props }) => {
-  const [selectedCover] = useAtom(coverAtom);
+// Renders the cover given by coverId, or the selected cover when omitted
+export const Book = ({ coverId, ...props }) => {
+  const [atomCover] = useAtom(coverAtom);
+  const selectedCover = coverId === undefined ? atomCover : coverId;
   const [bookOpen] = useAtom(bookOpenAtom);
-  const [bleedEnabled] = useAtom(bleedEnabledAtom);
+  const [guides] = useAtom(guidesAtom);
+  const [pageSpread] = useAtom(pageSpreadAtom);
+  const [reliefView] = useAtom(reliefViewAtom);
 
   // Get current cover data and calculate dynamic dimensions
-  const coverData = useMemo(() => {
-    return getCoverById(selectedCover);
-  }, [selectedCover]);
+  const coverData = useCoverRecord(selectedCover);
+
+  const bindingType = coverData?.bindingType || DEFAULT_BINDING_TYPE;
 
-  // Calculate dynamic dimensions based on trim size
+  // Calculate dynamic dimensions based on trim size and binding
   const dimensions = useMemo(() => {
     const trimSize = coverData?.trimSize || DEFAULT_TRIM_SIZE;
+    const spec = getBindingSpec(bindingType);
+    const board = getBoardSize(bindingType, trimSize);
 
     // Convert inches to 3D units (0.2 units per inch)
+    // bookWidth/bookHeight are the page block; boards may overhang it
     const bookWidth = inchesToUnits(trimSize.width);
     const bookHeight = inchesToUnits(trimSize.height);
-
-    // For now, use a default spine depth - this will be calculated from image later
-    // In a real implementation, we'd analyze the uploaded image dimensions
-    const spineDepth = inchesToUnits(0.842); // Default spine depth
+    const boardWidth = inchesToUnits(board.width);
+    const boardHeight = inchesToUnits(board.height);
 
     return {
       bookWidth,
       bookHeight,
-      spineDepth,
+      boardWidth,
+      boardHeight,
+      coverThickness: isHardcover(bindingType) ? inchesToUnits(spec.coverThickness) : COVER_THICKNESS,
+      hingeOffset: spec.hingeOffset ? inchesToUnits(spec.hingeOffset) : 0,
+      flapWidth: Math.min(inchesToUnits(spec.flapWidth), boardWidth * 0.9),
       trimSize
     };
-  }, [coverData]);
+  }, [coverData, bindingType]);
 
-  const { bookWidth, bookHeight, spineDepth } = dimensions;
+  const { bookWidth, bookHeight, boardWidth, boardHeight, coverThickness, hingeOffset, flapWidth } = dimensions;
   
   const frontCoverRef = useRef();
   const backCoverRef = useRef();
   const spineRef = useRef();
 
   // Resolve image URL (uploaded data URL via IndexedDB or bundled asset)
-  const imageUrl = useCoverImageUrl(selectedCover);
+  const imageUrl = useCoverImageUrl(selectedCover, coverData?.currentVersion);
 
   // Load the selected cover texture with fallback
   const coverTexture = useTexture(imageUrl || '/images/white.png', undefined, (error) => {
@@ -63,63 +101,126 @@ export const Book = ({ ...props }) => {
   });
   coverTexture.colorSpace = SRGBColorSpace;
 
-  // Calculate spine width in inches (metadata or default), and convert to scene units for geometry depth
-  const spineWidthInches = typeof coverData?.spineWidthInches === 'number' ? coverData.spineWidthInches : 0.842;
+  // Spine width in inches is set at upload (entered, or detected from the spread's size and DPI);
+  // fall back to a default for older records, and convert to scene units for geometry depth
+  const spineWidthInches = typeof coverData?.spineWidthInches === 'number' ? coverData.spineWidthInches : DEFAULT_SPINE_WIDTH;
   const actualSpineDepth = inchesToUnits(spineWidthInches);
 
+  // Print guides are drawn into a copy of the spread, which then replaces the plain texture
+  const bleed = getCoverBleed(coverData);
+  const guideTexture = useMemo(() => {
+    if (!guides.enabled || !coverTexture.image) return null;
+    const lines = getSpreadGuideLines({
+      bindingType,
+      trimSize: dimensions.trimSize,
+      spineWidthInches,
+      bleed,
+      safeMarginInches: guides.safeMarginInches
+    });
+    const canvas = drawSpreadWithGuides(document.createElement('canvas'), coverTexture.image, lines, guides);
+    const texture = new CanvasTexture(canvas);
+    texture.colorSpace = SRGBColorSpace;
+    return texture;
+  }, [guides, coverTexture, bindingType, dimensions.trimSize, spineWidthInches, bleed.top, bleed.bottom, bleed.outside]);
+
+  useEffect(() => () => guideTexture?.dispose(), [guideTexture]);
+
+  const baseTexture = guideTexture || coverTexture;
+
+  // Foil and spot UV masks are combined into one finish map laid out like the spread
+  const finishMasks = coverData?.finishMasks;
+  const finishMap = useFinishMap(selectedCover, {
+    finish: coverData?.finish,
+    finishMasks,
+    aspect: coverTexture.image ? coverTexture.image.width / coverTexture.image.height : null
+  });
+  const reliefMap = useReliefMap(selectedCover, finishMasks?.relief);
+
   // Clone textures for each surface with proper UV mapping (inches-proportional)
-  const frontTexture = coverTexture.clone();
-  const spineTexture = coverTexture.clone();
-  const backTexture = coverTexture.clone();
+  const frontTexture = baseTexture.clone();
+  const spineTexture = baseTexture.clone();
+  const backTexture = baseTexture.clone();
 
   // UV mapping using inches proportions (robust to image pixel dimensions/resizing)
-  // Assumes left-to-right layout: [front][spine][back]
-  const trimWidthInches = dimensions.trimSize.width;
-  const trimHeightInches = dimensions.trimSize.height;
-  const totalWidthInches = Math.max(0.0001, trimWidthInches * 2 + spineWidthInches);
-  const sectionUVWidth = Math.max(0, Math.min(1, trimWidthInches / totalWidthInches));
-  const spineUVWidth = Math.max(0, Math.min(1, spineWidthInches / totalWidthInches));
-  const frontUVWidth = sectionUVWidth;
-  const backUVWidth = sectionUVWidth;
-
-  // Optional bleed (crop outer edges): 0.125" on specified sides
-  const bleedInches = bleedEnabled ? 0.125 : 0;
-
-  // Vertical (top/bottom) crop for all sections
-  const vRepeat = Math.max(0, (trimHeightInches - 2 * bleedInches) / trimHeightInches);
-  const vOffset = Math.max(0, bleedInches / trimHeightInches);
-
-  // Horizontal crop per section (spread is [front][spine][back])
-  // NOTE: BoxGeometry face UVs mirror horizontally compared to atlas sections;
-  // to achieve visual outside-edge cropping, we invert the side we crop in UV space.
-  // Visual goal: Front crops RIGHT; Back crops LEFT.
-  const frontBaseOffset = 0;
-  // Front: crop visually RIGHT -> in UV, crop LEFT (shift offset to the right)
-  const frontURepeat = Math.max(0, (trimWidthInches - bleedInches) / totalWidthInches);
-  const frontUOffset = frontBaseOffset + Math.max(0, bleedInches / totalWidthInches);
-
-  const spineURepeat = spineUVWidth;
-  const spineUOffset = frontUVWidth;
-
-  const backBaseOffset = frontUVWidth + spineUVWidth;
-  // Back: crop visually LEFT -> in UV, crop RIGHT (shrink repeat, keep base offset)
-  const backURepeat = Math.max(0, (trimWidthInches - bleedInches) / totalWidthInches);
-  const backUOffset = backBaseOffset;
-
-  // Back (left section)
-  backTexture.repeat.set(backURepeat, vRepeat);
-  backTexture.offset.set(backUOffset, vOffset);
-  backTexture.needsUpdate = true;
-
-  // Spine (middle section)
-  spineTexture.repeat.set(spineURepeat, vRepeat);
-  spineTexture.offset.set(spineUOffset, vOffset);
-  spineTexture.needsUpdate = true;
-
-  // Front (right section)
-  frontTexture.repeat.set(frontURepeat, vRepeat);
-  frontTexture.offset.set(frontUOffset, vOffset);
-  frontTexture.needsUpdate = true;
+  // Layout depends on the binding: [left flap][left][spine][right][right flap];
+  // the cover's spread orientation says which panel is the front.
+  // The cover's bleed is cropped from the top, bottom and outside edges.
+  // With guides on, nothing is cropped so the shaded trim area stays visible.
+  const layout = getSpreadLayout({
+    bindingType,
+    trimSize: dimensions.trimSize,
+    spineWidthInches,
+    bleed,
+    cropMargins: !guides.enabled
+  });
+
+  const coverRegions = getCoverRegions(layout, coverData?.spreadOrientation);
+
+  // Each board's outer face shows its panel upright from outside, so a panel
+  // maps straight onto it; the fore-edge lands on the panel's outer edge.
+  const applyRegion = (texture, region) => {
+    const { repeat, offset } = getRegionUV(layout, region);
+    texture.repeat.set(repeat[0], repeat[1]);
+    texture.offset.set(offset[0], offset[1]);
+    texture.needsUpdate = true;
+  };
+
+  applyRegion(backTexture, coverRegions.back);
+  applyRegion(spineTexture, coverRegions.spine);
+  applyRegion(frontTexture, coverRegions.front);
+
+  // Dust jacket flaps fold inside the boards
+  const frontFlapTexture = coverRegions.frontFlap ? baseTexture.clone() : null;
+  const backFlapTexture = coverRegions.backFlap ? baseTexture.clone() : null;
+  if (frontFlapTexture) applyRegion(frontFlapTexture, coverRegions.frontFlap);
+  if (backFlapTexture) applyRegion(backFlapTexture, coverRegions.backFlap);
+
+  // Every printed surface takes the cover's finish, with the finish map sliced
+  // like its artwork; the front, spine and back also take the relief map
+  const finishProps = getFinishMaterialProps(coverData?.finish, {
+    hasFoil: Boolean(finishMap && finishMasks?.foil),
+    hasSpotUv: Boolean(finishMap && finishMasks?.spotUv)
+  });
+
+  // Slices are cloned once per map and layout (keyed by each region's UVs,
+  // as the region objects are rebuilt every render) and disposed when replaced
+  const regionKey = JSON.stringify(FINISH_SURFACES.map(name => (
+    coverRegions[name] ? getRegionUV(layout, coverRegions[name]) : null
+  )));
+  const finishSlices = useMemo(() => {
+    const sliceMap = (texture, region) => {
+      if (!texture || !region) return null;
+      const slice = texture.clone();
+      applyRegion(slice, region);
+      return slice;
+    };
+    return Object.fromEntries(FINISH_SURFACES.map(name => [name, {
+      map: sliceMap(finishMap, coverRegions[name]),
+      relief: RELIEF_SURFACES.includes(name) ? sliceMap(reliefMap, coverRegions[name]) : null
+    }]));
+  }, [finishMap, reliefMap, regionKey]);
+
+  useEffect(() => () => {
+    Object.values(finishSlices).forEach(({ map, relief }) => {
+      map?.dispose();
+      relief?.dispose();
+    });
+  }, [finishSlices]);
+
+  const finishFor = (name) => ({
+    props: finishProps,
+    map: finishSlices[name].map,
+    relief: finishSlices[name].relief && finishMasks?.relief
+      ? { type: finishMasks.relief.mapType, props: getReliefMaterialProps(finishMasks.relief, finishSlices[name].relief, reliefView.intensity) }
+      : null
+  });
+  const finishes = Object.fromEntries(FINISH_SURFACES.map(name => [name, finishFor(name)]));
+
+  // The scene shows the -Z side (front cover). Left-bound boards extend to -X
+  // from the spine, which reads as spine-left once the book is turned to face
+  // the camera; right-bound books mirror every x position and hinge angle.
+  const bookFaces = getBookFaces(coverData?.spreadOrientation);
+  const { side } = bookFaces;
 
   // Animate book opening/closing
   // Spine runs along Y axis (vertical), covers rotate around Y axis
@@ -127,86 +228,385 @@ export const Book = ({ ...props }) => {
     const targetAngle = bookOpen ? degToRad(120) : 0;
     
     // Smooth rotation for front and back covers around Y axis (spine hinge)
-    if (frontCoverRef.current) {
+    if (backCoverRef.current) {
       easing.dampAngle(
-        frontCoverRef.current.rotation,
+        backCoverRef.current.rotation,
         "y",
-        bookOpen ? targetAngle / 2 : 0,
+        bookOpen ? side * targetAngle / 2 : 0,
         easingFactor,
         delta
       );
     }
 
-    if (backCoverRef.current) {
+    if (frontCoverRef.current) {
       easing.dampAngle(
-        backCoverRef.current.rotation,
+        frontCoverRef.current.rotation,
         "y",
-        bookOpen ? -targetAngle / 2 : 0,
+        bookOpen ? -side * targetAngle / 2 : 0,
         easingFactor,
         delta
       );
     }
   });
 
+  const hardcover = isHardcover(bindingType);
+  const pageDepth = Math.max(0.001, actualSpineDepth / 2 - coverThickness);
+
+  // Page edges are drawn with one line per leaf in the cover's paper shade
+  const paperColor = getPaperShadeColor(getCoverPaperShade(coverData));
+  const leavesPerHalf = getLeavesPerHalf(getCoverPageCount(coverData));
+  const edgeTextures = useMemo(() => ({
+    foreEdge: createPageEdgeTexture(leavesPerHalf, paperColor, 'u'),
+    headTail: createPageEdgeTexture(leavesPerHalf, paperColor, 'v')
+  }), [leavesPerHalf, paperColor]);
+
+  useEffect(() => () => {
+    edgeTextures.foreEdge.dispose();
+    edgeTextures.headTail.dispose();
+  }, [edgeTextures]);
+
+  // Interior pages are read in spreads: the front half shows the earlier page.
+  // Leaves turn one at a time towards the requested spread, and only while
+  // the book is open.
+  const interiorPages = coverData?.interiorPages || [];
+  const targetSpread = Math.min(Math.max(0, pageSpread), getSpreadCount(interiorPages.length) - 1);
+  const [displayedSpread, setDisplayedSpread] = useState(0);
+  const [turningLeaf, setTurningLeaf] = useState(null);
+  const displayedSpreadRef = useRef(0);
+  const turnRef = useRef(null); // { leaf, progress, goal }
+  const leafGeometries = useMemo(() => createLeafGeometries(side), [side]);
+
+  useEffect(() => () => {
+    leafGeometries.recto.dispose();
+    leafGeometries.verso.dispose();
+  }, [leafGeometries]);
+
+  useEffect(() => {
+    displayedSpreadRef.current = 0;
+    turnRef.current = null;
+    setDisplayedSpread(0);
+    setTurningLeaf(null);
+  }, [selectedCover]);
+
+  // Keep the pages of the neighbouring spreads loaded so turns start at once
+  const windowStart = Math.max(0, 2 * displayedSpread - 2);
+  const windowPageIds = interiorPages.slice(windowStart, 2 * displayedSpread + 4).map(page => page.id);
+  const windowTextures = useInteriorPageTextures(selectedCover, windowPageIds);
+  const pageTextureAt = (index) => (index === null ? null : windowTextures[index - windowStart] || null);
+  const visiblePages = getVisiblePageIndexes(displayedSpread, turningLeaf);
+
+  const finishTurn = (spread) => {
+    displayedSpreadRef.current = spread;
+    turnRef.current = null;
+    setDisplayedSpread(spread);
+    setTurningLeaf(null);
+  };
+
+  useFrame((_, delta) => {
+    const displayed = displayedSpreadRef.current;
+    if (!bookOpen) {
+      // Closing the book skips straight to the requested spread
+      if (turnRef.current || displayed !== targetSpread) finishTurn(targetSpread);
+      return;
+    }
+
+    if (!turnRef.current && displayed !== targetSpread) {
+      const forward = targetSpread > displayed;
+      turnRef.current = {
+        leaf: forward ? displayed : displayed - 1,
+        progress: forward ? 0 : 1,
+        goal: forward ? 1 : 0
+      };
+      setTurningLeaf(turnRef.current.leaf);
+    }
+
+    const turn = turnRef.current;
+    if (!turn || !frontCoverRef.current || !backCoverRef.current) return;
+
+    easing.damp(turn, "progress", turn.goal, PAGE_TURN_EASING, delta);
+    if (Math.abs(turn.progress - turn.goal) < 0.005) {
+      finishTurn(turn.goal === 1 ? turn.leaf + 1 : turn.leaf);
+      return;
+    }
+
+    // Inner faces of the two halves meet the spine at these points (XZ)
+    const innerOffset = actualSpineDepth / 4 + coverThickness / 2 + pageDepth / 2;
+    const backAngle = backCoverRef.current.rotation.y;
+    const frontAngle = frontCoverRef.current.rotation.y;
+    bendLeaf(leafGeometries, {
+      progress: turn.progress,
+      direction: turn.goal === 1 ? 1 : -1,
+      backAngle,
+      frontAngle,
+      backPivot: [-innerOffset * Math.sin(backAngle), actualSpineDepth / 2 - innerOffset * Math.cos(backAngle)],
+      frontPivot: [innerOffset * Math.sin(frontAngle), -actualSpineDepth / 2 + innerOffset * Math.cos(frontAngle)],
+      inset: bookWidth * 0.01,
+      width: bookWidth * 0.98,
+      height: bookHeight * 0.98,
+      side
+    });
+  });
+
+  const foreEdgeFace = bookFaces.foreEdge;
+
   return (
     <group {...props}>
-      {/* Spine - runs along the Y axis at the binding edge */}
-      <mesh ref={spineRef} castShadow receiveShadow position-x={0}>
-        <boxGeometry args={[COVER_THICKNESS, bookHeight, actualSpineDepth]} />
-        {/* Material array: [+X, -X, +Y, -Y, +Z (front-facing), -Z (back-facing)] */}
-        <meshStandardMaterial
-          attach="material-0"
-          map={spineTexture}
+      {hardcover ? (
+        <RoundSpine
+          ref={spineRef}
+          rotationY={side === 1 ? 0 : Math.PI}
+          radius={(actualSpineDepth + coverThickness) / 2}
+          height={boardHeight}
+          texture={spineTexture}
+          finish={finishes.spine}
         />
-        <meshStandardMaterial
-          attach="material-1"
-          map={spineTexture}
-        />
-        <meshStandardMaterial
-          attach="material-2"
-          map={spineTexture}
-        />
-        <meshStandardMaterial
-          attach="material-3"
-          map={spineTexture}
-        />
-        <meshStandardMaterial
-          attach="material-4"
-          color="#000000"
-        />
-        <meshStandardMaterial
-          attach="material-5"
-          color="#000000"
+      ) : (
+        /* Spine - runs along the Y axis at the binding edge; the outer face is +X, or -X when right-bound */
+        <mesh ref={spineRef} castShadow receiveShadow position-x={0}>
+          <boxGeometry args={[COVER_THICKNESS, bookHeight, actualSpineDepth]} />
+          {/* Material array: [+X, -X, +Y, -Y, +Z (back board side), -Z (front board side)] */}
+          <CoverMaterial
+            attach="material-0"
+            map={spineTexture}
+            finish={finishes.spine}
+          />
+          <CoverMaterial
+            attach="material-1"
+            map={spineTexture}
+            finish={finishes.spine}
+          />
+          <CoverMaterial
+            attach="material-2"
+            map={spineTexture}
+            finish={finishes.spine}
+          />
+          <CoverMaterial
+            attach="material-3"
+            map={spineTexture}
+            finish={finishes.spine}
+          />
+          <meshStandardMaterial
+            attach="material-4"
+            color="#000000"
+          />
+          <meshStandardMaterial
+            attach="material-5"
+            color="#000000"
+          />
+        </mesh>
+      )}
+
+      {turningLeaf !== null && (
+        <TurningLeaf
+          geometries={leafGeometries}
+          side={side}
+          paperColor={paperColor}
+          rectoTexture={pageTextureAt(visiblePages.recto)}
+          versoTexture={pageTextureAt(visiblePages.verso)}
         />
-      </mesh>
+      )}
 
-      {/* Front Cover - pivot at spine (x=0), extends in -X direction, positioned at +Z */}
-      <group ref={frontCoverRef} position={[0, 0, actualSpineDepth / 2]}>
-        <mesh castShadow receiveShadow position-x={-bookWidth / 2}>
-          <boxGeometry args={[bookWidth, bookHeight, COVER_THICKNESS]} />
-          <meshStandardMaterial map={frontTexture} />
+      {/* Back Cover - pivot at spine (x=0), extends away from it, positioned at +Z */}
+      <group ref={backCoverRef} position={[0, 0, actualSpineDepth / 2]}>
+        <mesh castShadow receiveShadow position-x={-side * boardWidth / 2}>
+          <boxGeometry args={[boardWidth, boardHeight, coverThickness]} />
+          <BoardMaterials bindingType={bindingType} texture={backTexture} finish={finishes.back} outerFace={bookFaces.backOuter} />
         </mesh>
 
-        {/* Front pages attached to front cover - INSIDE the book */}
-        <mesh position={[-bookWidth / 2, 0, -(actualSpineDepth / 4 + COVER_THICKNESS / 2)]}>
-          <boxGeometry args={[bookWidth * 0.98, bookHeight * 0.98, actualSpineDepth / 2 - COVER_THICKNESS]} />
-          <meshStandardMaterial color="#f5f5f5" />
-        </mesh>
-    </group>
+        {hardcover && (
+          <HingeGroove x={-side * hingeOffset} z={coverThickness / 2} height={boardHeight} />
+        )}
 
-      {/* Back Cover - pivot at spine (x=0), extends in -X direction, positioned at -Z */}
-      <group ref={backCoverRef} position={[0, 0, -actualSpineDepth / 2]}>
-        <mesh castShadow receiveShadow position-x={-bookWidth / 2}>
-          <boxGeometry args={[bookWidth, bookHeight, COVER_THICKNESS]} />
-          <meshStandardMaterial map={backTexture} />
-        </mesh>
+        {backFlapTexture && (
+          <JacketFlap
+            texture={backFlapTexture}
+            finish={finishes.backFlap}
+            width={flapWidth}
+            height={boardHeight}
+            x={side * (-boardWidth + flapWidth / 2)}
+            z={-(coverThickness / 2 + FLAP_GAP)}
+            rotationY={Math.PI}
+          />
+        )}
 
         {/* Back pages attached to back cover - INSIDE the book */}
-        <mesh position={[-bookWidth / 2, 0, (actualSpineDepth / 4 + COVER_THICKNESS / 2)]}>
-          <boxGeometry args={[bookWidth * 0.98, bookHeight * 0.98, actualSpineDepth / 2 - COVER_THICKNESS]} />
-          <meshStandardMaterial color="#f5f5f5" />
+        <PageBlock
+          position={[-side * bookWidth / 2, 0, -(actualSpineDepth / 4 + coverThickness / 2)]}
+          size={[bookWidth * 0.98, bookHeight * 0.98, pageDepth]}
+          foreEdgeFace={foreEdgeFace}
+          innerFace={5}
+          edgeTextures={edgeTextures}
+          paperColor={paperColor}
+          pageTexture={pageTextureAt(visiblePages.back)}
+        />
+      </group>
+
+      {/* Front Cover - pivot at spine (x=0), extends away from it, positioned at -Z */}
+      <group ref={frontCoverRef} position={[0, 0, -actualSpineDepth / 2]}>
+        <mesh castShadow receiveShadow position-x={-side * boardWidth / 2}>
+          <boxGeometry args={[boardWidth, boardHeight, coverThickness]} />
+          <BoardMaterials bindingType={bindingType} texture={frontTexture} finish={finishes.front} outerFace={bookFaces.frontOuter} />
         </mesh>
+
+        {hardcover && (
+          <HingeGroove x={-side * hingeOffset} z={-coverThickness / 2} height={boardHeight} />
+        )}
+
+        {frontFlapTexture && (
+          <JacketFlap
+            texture={frontFlapTexture}
+            finish={finishes.frontFlap}
+            width={flapWidth}
+            height={boardHeight}
+            x={side * (-boardWidth + flapWidth / 2)}
+            z={coverThickness / 2 + FLAP_GAP}
+            rotationY={0}
+          />
+        )}
+
+        {/* Front pages attached to front cover - INSIDE the book */}
+        <PageBlock
+          position={[-side * bookWidth / 2, 0, (actualSpineDepth / 4 + coverThickness / 2)]}
+          size={[bookWidth * 0.98, bookHeight * 0.98, pageDepth]}
+          foreEdgeFace={foreEdgeFace}
+          innerFace={4}
+          edgeTextures={edgeTextures}
+          paperColor={paperColor}
+          pageTexture={pageTextureAt(visiblePages.front)}
+        />
       </group>
     </group>
   );
 };
+
+/**
+ * Printed cover surface with the cover's finish ({ props, map, relief } from
+ * finishFor). The finish map scales clearcoat (R), roughness (G) and
+ * metalness (B) per pixel; relief adds a bump or normal map.
+ */
+const CoverMaterial = ({ map, finish, ...props }) => (
+  <meshPhysicalMaterial
+    key={`${finish.map ? "masked" : "plain"}-${finish.relief?.type || "flat"}`}
+    map={map}
+    {...finish.props}
+    roughnessMap={finish.map}
+    metalnessMap={finish.map}
+    clearcoatMap={finish.map}
+    {...finish.relief?.props}
+    {...props}
+  />
+);
+
+/**
+ * Board face materials: [+X, -X, +Y, -Y, +Z, -Z].
+ * Paperback and case laminate are printed on every face (case laminate has an
+ * endpaper inside); a dust-jacketed board is cloth with only the jacket outside.
+ */
+const BoardMaterials = ({ bindingType, texture, finish, outerFace }) => {
+  if (bindingType === BINDING_TYPES.CASE_LAMINATE) {
+    const innerFace = outerFace === 4 ? 5 : 4;
+    return [0, 1, 2, 3, 4, 5].map(face => (
+      face === innerFace
+        ? <meshStandardMaterial key={face} attach={`material-${face}`} color={ENDPAPER_COLOR} />
+        : <CoverMaterial key={face} attach={`material-${face}`} map={texture} finish={finish} />
+    ));
+  }
+
+  if (bindingType === BINDING_TYPES.DUST_JACKET) {
+    return [0, 1, 2, 3, 4, 5].map(face => (
+      face === outerFace
+        ? <CoverMaterial key={face} attach={`material-${face}`} map={texture} finish={finish} />
+        : <meshStandardMaterial key={face} attach={`material-${face}`} color={CLOTH_COLOR} roughness={0.9} />
+    ));
+  }
+
+  return <CoverMaterial map={texture} finish={finish} />;
+};
+
+/**
+ * One half of the page block. Face materials: [+X, -X, +Y, -Y, +Z, -Z].
+ * The fore-edge, head and tail show page lines; the inner face (the page seen
+ * when the book is open) shows an interior page image or blank paper.
+ */
+const PageBlock = ({ position, size, foreEdgeFace, innerFace, edgeTextures, paperColor, pageTexture }) => (
+  <mesh position={position} castShadow receiveShadow>
+    <boxGeometry args={size} />
+    {[0, 1, 2, 3, 4, 5].map(face => {
+      if (face === foreEdgeFace) {
+        return <meshStandardMaterial key={face} attach={`material-${face}`} map={edgeTextures.foreEdge} roughness={0.95} />;
+      }
+      if (face === 2 || face === 3) {
+        return <meshStandardMaterial key={face} attach={`material-${face}`} map={edgeTextures.headTail} roughness={0.95} />;
+      }
+      if (face === innerFace && pageTexture) {
+        return <meshStandardMaterial key={`${face}-page`} attach={`material-${face}`} map={pageTexture} roughness={0.9} />;
+      }
+      return <meshStandardMaterial key={face} attach={`material-${face}`} color={paperColor} roughness={0.9} />;
+    })}
+  </mesh>
+);
+
+/**
+ * The leaf being turned, bent each frame by bendLeaf. Recto faces the back
+ * half and verso the front half; which side of the shared geometry is which
+ * flips with the binding side. Pulled slightly towards the camera so it wins
+ * over the page it lies on at either end of the turn.
+ */
+const TurningLeaf = ({ geometries, side, paperColor, rectoTexture, versoTexture }) => {
+  const faces = [
+    { key: "recto", geometry: geometries.recto, texture: rectoTexture, side: side === 1 ? FrontSide : BackSide },
+    { key: "verso", geometry: geometries.verso, texture: versoTexture, side: side === 1 ? BackSide : FrontSide }
+  ];
+  return faces.map(face => (
+    <mesh key={face.key} geometry={face.geometry} castShadow>
+      <meshStandardMaterial
+        key={face.texture ? "page" : "blank"}
+        map={face.texture}
+        color={face.texture ? "#ffffff" : paperColor}
+        side={face.side}
+        roughness={0.9}
+        polygonOffset
+        polygonOffsetFactor={-1}
+        polygonOffsetUnits={-4}
+      />
+    </mesh>
+  ));
+};
+
+/**
+ * Rounded hardcover spine: a flattened half cylinder bulging outward (+X),
+ * with U running from the back board (+Z) to the front board (-Z). Turned
+ * half a revolution (rotationY) for right-bound books.
+ */
+const RoundSpine = forwardRef(({ radius, height, texture, finish, rotationY = 0 }, ref) => (
+  <group ref={ref} scale-x={SPINE_ROUNDING} rotation-y={rotationY}>
+    <mesh castShadow receiveShadow>
+      <cylinderGeometry args={[radius, radius, height, 32, 1, true, 0, Math.PI]} />
+      <CoverMaterial map={texture} finish={finish} />
+    </mesh>
+    <mesh>
+      <cylinderGeometry args={[radius, radius, height, 32, 1, true, 0, Math.PI]} />
+      <meshStandardMaterial color={CLOTH_COLOR} side={BackSide} />
+    </mesh>
+  </group>
+));
+
+/**
+ * Shallow groove pressed into the board next to the spine
+ */
+const HingeGroove = ({ x, z, height }) => (
+  <mesh position={[x, 0, z]}>
+    <boxGeometry args={[HINGE_GROOVE_WIDTH, height, 0.002]} />
+    <meshStandardMaterial color="#000000" transparent opacity={0.35} />
+  </mesh>
+);
+
+/**
+ * Dust-jacket flap lying against the inside of a board
+ */
+const JacketFlap = ({ texture, finish, width, height, x, z, rotationY }) => (
+  <mesh position={[x, 0, z]} rotation-y={rotationY}>
+    <planeGeometry args={[width, height]} />
+    <CoverMaterial map={texture} finish={finish} />
+  </mesh>
+);
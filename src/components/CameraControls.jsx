@@ -0,0 +1,117 @@
+/**
+ * Book Cover Previewer - Camera Controls
+ *
+ * Sidebar panel with camera angle presets and named views saved per cover.
+ */
+
+import { useEffect, useState } from 'react';
+import { useAtom } from 'jotai';
+import { coverAtom } from './UI';
+import { getCoverById, saveCameraView, deleteCameraView } from '../utils/coverData';
+import { CAMERA_PRESETS } from '../utils/cameraPresets';
+
+export const CameraControls = ({ experienceRef, disabled }) => {
+  const [selectedCover] = useAtom(coverAtom);
+  const [savedViews, setSavedViews] = useState([]);
+  const [viewName, setViewName] = useState('');
+  const [error, setError] = useState(null);
+
+  // Saved views live on the cover record
+  useEffect(() => {
+    setSavedViews(getCoverById(selectedCover)?.savedViews || []);
+    setError(null);
+  }, [selectedCover]);
+
+  const handlePreset = (presetId) => {
+    experienceRef.current?.applyPreset(presetId);
+  };
+
+  const handleSaveView = async (e) => {
+    e.preventDefault();
+    if (!experienceRef.current || !selectedCover) return;
+
+    setError(null);
+    try {
+      await saveCameraView(selectedCover, {
+        ...experienceRef.current.getCameraView(),
+        name: viewName
+      });
+      setSavedViews(getCoverById(selectedCover)?.savedViews || []);
+      setViewName('');
+    } catch (err) {
+      console.error('Failed to save camera view:', err);
+      setError(err.message || 'Failed to save view');
+    }
+  };
+
+  const handleDeleteView = async (viewId) => {
+    try {
+      const updated = await deleteCameraView(selectedCover, viewId);
+      setSavedViews(updated.savedViews || []);
+    } catch (err) {
+      console.error('Failed to delete camera view:', err);
+    }
+  };
+
+  return (
+    <div className="mt-3 p-3 border border-gray-200 rounded-md">
+      <div className="text-sm font-medium text-gray-700 mb-2">Camera</div>
+      <div className="grid grid-cols-3 gap-1 mb-3">
+        {CAMERA_PRESETS.map(preset => (
+          <button
+            key={preset.id}
+            onClick={() => handlePreset(preset.id)}
+            className="px-2 py-1 text-xs rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+            disabled={disabled}
+          >
+            {preset.name}
+          </button>
+        ))}
+      </div>
+
+      {savedViews.length > 0 && (
+        <ul className="mb-2 space-y-1">
+          {savedViews.map(view => (
+            <li key={view.id} className="flex items-center gap-1">
+              <button
+                onClick={() => experienceRef.current?.flyTo(view)}
+                className="flex-1 min-w-0 truncate text-left px-2 py-1 text-xs rounded-md bg-gray-100 text-gray-800 hover:bg-gray-200"
+                title={`Go to "${view.name}"`}
+              >
+                {view.name}
+              </button>
+              <button
+                onClick={() => handleDeleteView(view.id)}
+                className="px-2 py-1 text-xs rounded-md text-gray-500 hover:text-red-600"
+                title={`Delete "${view.name}"`}
+                aria-label={`Delete view ${view.name}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSaveView} className="flex gap-1">
+        <input
+          type="text"
+          value={viewName}
+          onChange={(e) => setViewName(e.target.value)}
+          placeholder="View name"
+          maxLength={40}
+          className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded-md bg-white text-gray-900"
+          disabled={disabled}
+        />
+        <button
+          type="submit"
+          className="px-3 py-1 text-sm font-medium rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+          disabled={disabled || !viewName.trim()}
+        >
+          Save
+        </button>
+      </form>
+      {error && <p className="mt-2 text-xs text-red-700">{error}</p>}
+    </div>
+  );
+};
@@ -0,0 +1,176 @@
+/**
+ * Book Cover Previewer - Compare Mode
+ *
+ * Sidebar panel for picking covers to compare and the layout to show them in,
+ * plus the on-screen labels for split view and A/B flip.
+ */
+
+import { useEffect } from 'react';
+import { useAtom } from 'jotai';
+import { compareAtom, coverAtom, shelfAtom } from './UI';
+import { getCoverById } from '../utils/coverData';
+import {
+  COMPARE_LAYOUTS,
+  COMPARE_LAYOUT_OPTIONS,
+  MAX_COMPARE_COVERS,
+  getCompareLabel
+} from '../utils/compareLayout';
+
+const checkboxClass = 'h-4 w-4 bg-white appearance-none checked:bg-blue-600 checked:border-blue-600 border-2 border-gray-300 rounded';
+
+// Covers that are still in the library, in compare order
+const useActiveCompareIds = () => {
+  const [compare] = useAtom(compareAtom);
+  return compare.coverIds.filter(id => getCoverById(id)).slice(0, MAX_COMPARE_COVERS);
+};
+
+export const CompareControls = ({ covers }) => {
+  const [compare, setCompare] = useAtom(compareAtom);
+  const [selectedCoverId] = useAtom(coverAtom);
+  const [, setShelf] = useAtom(shelfAtom);
+  const activeIds = useActiveCompareIds();
+
+  const updateCompare = (updates) => {
+    setCompare(prev => ({ ...prev, ...updates }));
+  };
+
+  const handleToggle = (enabled) => {
+    if (enabled) {
+      setShelf(prev => ({ ...prev, enabled: false }));
+    }
+    if (enabled && activeIds.length < 2) {
+      // Start with the selected cover and the one after it
+      const startIndex = Math.max(0, covers.findIndex(cover => cover.id === selectedCoverId));
+      const picks = [covers[startIndex], covers[(startIndex + 1) % covers.length]]
+        .filter(Boolean)
+        .map(cover => cover.id);
+      updateCompare({ enabled, coverIds: [...new Set(picks)], flipIndex: 0 });
+      return;
+    }
+    updateCompare({ enabled });
+  };
+
+  const toggleCover = (coverId) => {
+    const coverIds = activeIds.includes(coverId)
+      ? activeIds.filter(id => id !== coverId)
+      : [...activeIds, coverId].slice(0, MAX_COMPARE_COVERS);
+    updateCompare({ coverIds, flipIndex: 0 });
+  };
+
+  const flip = () => {
+    setCompare(prev => ({ ...prev, flipIndex: (prev.flipIndex + 1) % Math.max(1, activeIds.length) }));
+  };
+
+  // "F" flips between covers while in A/B mode
+  useEffect(() => {
+    if (!compare.enabled || compare.layout !== COMPARE_LAYOUTS.FLIP) return;
+    const handleKeyDown = (e) => {
+      if (e.key.toLowerCase() !== 'f' || e.metaKey || e.ctrlKey || e.altKey) return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      flip();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [compare.enabled, compare.layout, activeIds.length]);
+
+  return (
+    <div className="mt-3 p-3 border border-gray-200 rounded-md">
+      <div className="flex items-center justify-between">
+        <label className="text-sm font-medium text-gray-700 select-none" htmlFor="compare-toggle">
+          Compare covers
+        </label>
+        <input
+          id="compare-toggle"
+          type="checkbox"
+          checked={compare.enabled}
+          onChange={(e) => handleToggle(e.target.checked)}
+          className={checkboxClass}
+          disabled={covers.length < 2}
+        />
+      </div>
+
+      {compare.enabled && (
+        <div className="mt-2 space-y-2">
+          <div className="grid grid-cols-3 gap-1">
+            {COMPARE_LAYOUT_OPTIONS.map(option => (
+              <button
+                key={option.id}
+                onClick={() => updateCompare({ layout: option.id })}
+                className={`px-2 py-1 text-xs border rounded ${
+                  compare.layout === option.id
+                    ? 'border-blue-500 bg-blue-50 text-blue-700'
+                    : 'border-gray-300 bg-white text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {option.name}
+              </button>
+            ))}
+          </div>
+
+          {compare.layout === COMPARE_LAYOUTS.FLIP && activeIds.length >= 2 && (
+            <button
+              onClick={flip}
+              className="w-full px-3 py-1.5 text-sm font-medium rounded-md bg-blue-600 text-white hover:bg-blue-700"
+              title="Flip between covers (F)"
+            >
+              Flip A/B (showing {getCompareLabel(compare.flipIndex % activeIds.length)})
+            </button>
+          )}
+
+          <ul className="max-h-40 overflow-y-auto space-y-1">
+            {covers.map(cover => {
+              const index = activeIds.indexOf(cover.id);
+              const checked = index !== -1;
+              return (
+                <li key={cover.id}>
+                  <label className="flex items-center gap-2 text-xs text-gray-700 select-none">
+                    <input
+                      type="checkbox"
+                      checked={checked}
+                      onChange={() => toggleCover(cover.id)}
+                      className={checkboxClass}
+                      disabled={!checked && activeIds.length >= MAX_COMPARE_COVERS}
+                    />
+                    <span className="w-4 font-semibold text-blue-700">{checked ? getCompareLabel(index) : ''}</span>
+                    <span className="truncate">{cover.originalName}</span>
+                  </label>
+                </li>
+              );
+            })}
+          </ul>
+          {activeIds.length < 2 && (
+            <p className="text-xs text-amber-700">Pick at least two covers</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Cover names over the 3D view for split view and A/B flip
+ */
+export const CompareLabels = () => {
+  const [compare] = useAtom(compareAtom);
+  const activeIds = useActiveCompareIds();
+
+  if (!compare.enabled || activeIds.length < 2 || compare.layout === COMPARE_LAYOUTS.SIDE_BY_SIDE) {
+    return null;
+  }
+
+  const visible = compare.layout === COMPARE_LAYOUTS.FLIP
+    ? [compare.flipIndex % activeIds.length]
+    : activeIds.map((_, index) => index);
+
+  return (
+    <div className="fixed top-4 left-0 right-0 z-10 flex pointer-events-none">
+      {visible.map(index => (
+        <div key={activeIds[index]} className="flex-1 flex justify-center">
+          <span className="px-3 py-1 rounded-full bg-black/60 text-white text-xs font-medium max-w-[90%] truncate">
+            {getCompareLabel(index)} · {getCoverById(activeIds[index])?.originalName}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
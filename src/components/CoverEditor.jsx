@@ -0,0 +1,305 @@
+/**
+ * Book Cover Previewer - Cover Editor
+ *
+ * Inline sidebar form for renaming a cover, filing it into collections and
+ * tags, and editing its trim size, spine width, bleed and paper. Lengths are typed
+ * in the chosen unit. Valid edits are previewed live in 3D before saving.
+ */
+
+import { useEffect, useState } from 'react';
+import { useAtom } from 'jotai';
+import { coverDraftAtom, coverRevisionAtom, unitAtom } from './UI';
+import { LengthInput } from './LengthInput';
+import { BleedInputs } from './BleedInputs';
+import {
+  updateCover,
+  getCoverBleed,
+  getCoverPaperShade,
+  getCollectionNames,
+  getAllTags,
+  normalizeTags,
+  COLLECTION_TYPES,
+  COLLECTION_TYPE_LABELS
+} from '../utils/coverData';
+import { validateTrimSize, validateBleed, MAX_SPINE_WIDTH, DEFAULT_SPINE_WIDTH } from '../utils/trimSizes';
+import { fromInches, formatLength } from '../utils/units';
+import { SPREAD_ORIENTATION_OPTIONS, DEFAULT_SPREAD_ORIENTATION } from '../utils/bindings';
+import { PAPER_SHADE_OPTIONS } from '../utils/paperProfiles';
+
+const inputClass = 'w-full px-2 py-1 text-sm border border-gray-300 rounded-md bg-white text-gray-900';
+
+// Lengths are kept in inches (NaN while the input is empty or invalid)
+const toFields = (cover) => ({
+  name: cover.originalName || '',
+  width: cover.trimSize.width,
+  height: cover.trimSize.height,
+  spine: typeof cover.spineWidthInches === 'number' ? cover.spineWidthInches : DEFAULT_SPINE_WIDTH,
+  bleed: getCoverBleed(cover),
+  spreadOrientation: cover.spreadOrientation || DEFAULT_SPREAD_ORIENTATION,
+  paperShade: getCoverPaperShade(cover),
+  series: cover.series || '',
+  seriesNumber: cover.seriesNumber != null ? String(cover.seriesNumber) : '',
+  client: cover.client || '',
+  project: cover.project || '',
+  tags: (cover.tags || []).join(', ')
+});
+
+// Returns the parsed values, or the list of problems with the form
+const parseFields = (fields, unit) => {
+  const errors = [];
+  const name = fields.name.trim();
+  const { width, height, spine, bleed } = fields;
+  const series = fields.series.trim();
+  const seriesNumber = fields.seriesNumber.trim() === '' ? null : parseFloat(fields.seriesNumber);
+
+  if (!name) errors.push('Name is required');
+  errors.push(...validateTrimSize(fromInches(width, unit), fromInches(height, unit), unit).errors);
+  if (!Number.isFinite(spine) || spine <= 0 || spine > MAX_SPINE_WIDTH) {
+    errors.push(`Spine width must be between ${formatLength(0, unit)} and ${formatLength(MAX_SPINE_WIDTH, unit)}`);
+  }
+  errors.push(...validateBleed(bleed, unit).errors);
+  if (seriesNumber !== null && (!Number.isFinite(seriesNumber) || seriesNumber < 0)) {
+    errors.push('Series number must be a positive number');
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+  return {
+    errors,
+    values: {
+      originalName: name,
+      trimSize: { width, height },
+      spineWidthInches: spine,
+      bleed,
+      spreadOrientation: fields.spreadOrientation,
+      paperShade: fields.paperShade,
+      series: series || null,
+      seriesNumber: series ? seriesNumber : null,
+      client: fields.client.trim() || null,
+      project: fields.project.trim() || null,
+      tags: normalizeTags(fields.tags)
+    }
+  };
+};
+
+// Free-text collection name, suggesting the names already in use
+const CollectionInput = ({ id, label, value, names, onChange, className }) => (
+  <div className={className}>
+    <label className="block text-xs text-gray-600 mb-1" htmlFor={id}>{label}</label>
+    <input
+      id={id}
+      type="text"
+      list={`${id}-names`}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className={inputClass}
+      maxLength={120}
+      placeholder="None"
+    />
+    <datalist id={`${id}-names`}>
+      {names.map(name => <option key={name} value={name} />)}
+    </datalist>
+  </div>
+);
+
+export const CoverEditor = ({ cover, onSaved, onCancel }) => {
+  const [, setDraft] = useAtom(coverDraftAtom);
+  const [, setRevision] = useAtom(coverRevisionAtom);
+  const [unit] = useAtom(unitAtom);
+  const [fields, setFields] = useState(() => toFields(cover));
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const { errors, values } = parseFields(fields, unit);
+  const allTags = getAllTags();
+
+  // Preview valid edits; invalid input keeps the last valid preview
+  useEffect(() => {
+    if (values) {
+      setDraft({ id: cover.id, ...values });
+    }
+  }, [cover.id, fields, unit]);
+
+  // Drop the preview when the editor closes
+  useEffect(() => () => setDraft(null), []);
+
+  const updateField = (key, value) => {
+    setFields(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!values) return;
+
+    setSaving(true);
+    setSaveError(null);
+    try {
+      const updated = await updateCover(cover.id, values);
+      setRevision(revision => revision + 1);
+      onSaved?.(updated);
+    } catch (err) {
+      console.error('Failed to save cover:', err);
+      setSaveError(err.message || 'Failed to save changes');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSave} className="mt-2 p-3 border border-gray-200 rounded-md bg-gray-50 space-y-2">
+      <div>
+        <label className="block text-xs text-gray-600 mb-1" htmlFor={`name-${cover.id}`}>Name</label>
+        <input
+          id={`name-${cover.id}`}
+          type="text"
+          value={fields.name}
+          onChange={(e) => updateField('name', e.target.value)}
+          className={inputClass}
+          maxLength={120}
+        />
+      </div>
+      <div className="grid grid-cols-3 gap-2">
+        <CollectionInput
+          className="col-span-2"
+          id={`series-${cover.id}`}
+          label={COLLECTION_TYPE_LABELS[COLLECTION_TYPES.SERIES]}
+          value={fields.series}
+          names={getCollectionNames(COLLECTION_TYPES.SERIES)}
+          onChange={(value) => updateField('series', value)}
+        />
+        <div>
+          <label className="block text-xs text-gray-600 mb-1" htmlFor={`series-number-${cover.id}`}>Book #</label>
+          <input
+            id={`series-number-${cover.id}`}
+            type="number"
+            step="1"
+            min="0"
+            value={fields.seriesNumber}
+            onChange={(e) => updateField('seriesNumber', e.target.value)}
+            className={inputClass}
+            disabled={!fields.series.trim()}
+          />
+        </div>
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        {[COLLECTION_TYPES.CLIENT, COLLECTION_TYPES.PROJECT].map(type => (
+          <CollectionInput
+            key={type}
+            id={`${type}-${cover.id}`}
+            label={COLLECTION_TYPE_LABELS[type]}
+            value={fields[type]}
+            names={getCollectionNames(type)}
+            onChange={(value) => updateField(type, value)}
+          />
+        ))}
+      </div>
+      <div>
+        <label className="block text-xs text-gray-600 mb-1" htmlFor={`tags-${cover.id}`}>Tags</label>
+        <input
+          id={`tags-${cover.id}`}
+          type="text"
+          value={fields.tags}
+          onChange={(e) => updateField('tags', e.target.value)}
+          className={inputClass}
+          placeholder="Comma separated"
+          title={allTags.length > 0 ? `In use: ${allTags.join(', ')}` : undefined}
+        />
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label className="block text-xs text-gray-600 mb-1" htmlFor={`width-${cover.id}`}>Width ({unit})</label>
+          <LengthInput
+            id={`width-${cover.id}`}
+            unit={unit}
+            inches={fields.width}
+            onChange={(value) => updateField('width', value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1" htmlFor={`height-${cover.id}`}>Height ({unit})</label>
+          <LengthInput
+            id={`height-${cover.id}`}
+            unit={unit}
+            inches={fields.height}
+            onChange={(value) => updateField('height', value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1" htmlFor={`spine-${cover.id}`}>Spine ({unit})</label>
+          <LengthInput
+            id={`spine-${cover.id}`}
+            unit={unit}
+            min={0}
+            max={MAX_SPINE_WIDTH}
+            inches={fields.spine}
+            onChange={(value) => updateField('spine', value)}
+            className={inputClass}
+          />
+        </div>
+      </div>
+      <div>
+        <label className="block text-xs text-gray-600 mb-1" htmlFor={`orientation-${cover.id}`}>Spread layout</label>
+        <select
+          id={`orientation-${cover.id}`}
+          value={fields.spreadOrientation}
+          onChange={(e) => updateField('spreadOrientation', e.target.value)}
+          className={inputClass}
+        >
+          {SPREAD_ORIENTATION_OPTIONS.map(option => (
+            <option key={option.id} value={option.id} title={option.description}>{option.name}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-xs text-gray-600 mb-1" htmlFor={`paper-${cover.id}`}>Paper</label>
+        <select
+          id={`paper-${cover.id}`}
+          value={fields.paperShade}
+          onChange={(e) => updateField('paperShade', e.target.value)}
+          className={inputClass}
+        >
+          {PAPER_SHADE_OPTIONS.map(option => (
+            <option key={option.id} value={option.id}>{option.name}</option>
+          ))}
+        </select>
+      </div>
+      <fieldset>
+        <legend className="text-xs font-medium text-gray-700 mb-1">Bleed ({unit})</legend>
+        <BleedInputs
+          id={`bleed-${cover.id}`}
+          unit={unit}
+          bleed={fields.bleed}
+          onChange={(value) => updateField('bleed', value)}
+          inputClassName={inputClass}
+        />
+      </fieldset>
+
+      {errors.length > 0 && (
+        <ul className="text-xs text-red-700 list-disc pl-4">
+          {errors.map(message => <li key={message}>{message}</li>)}
+        </ul>
+      )}
+      {saveError && <p className="text-xs text-red-700">{saveError}</p>}
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          className="flex-1 px-3 py-1.5 text-sm font-medium rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+          disabled={!values || saving}
+        >
+          {saving ? 'Saving…' : 'Save'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="flex-1 px-3 py-1.5 text-sm font-medium rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50"
+          disabled={saving}
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
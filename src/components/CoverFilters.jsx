@@ -0,0 +1,128 @@
+/**
+ * Book Cover Previewer - Cover Filters
+ *
+ * Search box, collection/tag/trim-category filters and sort order for the
+ * sidebar cover list.
+ */
+
+import { useAtom } from 'jotai';
+import { coverFiltersAtom, DEFAULT_COVER_FILTERS } from './UI';
+import {
+  getCollectionNames,
+  getAllTags,
+  COLLECTION_TYPES,
+  COLLECTION_TYPE_LABELS,
+  COVER_SORT_OPTIONS,
+  searchCovers,
+  filterCovers,
+  sortCovers
+} from '../utils/coverData';
+import { getTrimPresets } from '../utils/trimSizes';
+
+const selectClass = 'w-full px-2 py-1 text-xs border border-gray-300 rounded-md bg-white text-gray-900';
+
+// Preset categories plus 'Custom' for covers that match no preset
+const getTrimCategories = () => [...new Set(getTrimPresets().map(preset => preset.category)), 'Custom'];
+
+// Collections are picked from one list, encoded as "type:name"
+const encodeCollection = (type, name) => `${type}:${name}`;
+
+const decodeCollection = (value) => {
+  const separator = value.indexOf(':');
+  return separator === -1
+    ? { collectionType: '', collection: '' }
+    : { collectionType: value.slice(0, separator), collection: value.slice(separator + 1) };
+};
+
+/**
+ * Library covers matching the sidebar search and filters, in the chosen order
+ */
+export const getVisibleCovers = (filters, unit) => {
+  const matches = filterCovers(searchCovers(filters.query.trim(), unit), {
+    ...decodeCollection(filters.collection),
+    tag: filters.tag,
+    category: filters.category
+  });
+  return sortCovers(matches, filters.sortBy);
+};
+
+export const CoverFilters = ({ total, shown }) => {
+  const [filters, setFilters] = useAtom(coverFiltersAtom);
+  const tags = getAllTags();
+  const collectionGroups = Object.values(COLLECTION_TYPES)
+    .map(type => ({ type, names: getCollectionNames(type) }))
+    .filter(group => group.names.length > 0);
+
+  const updateFilters = (updates) => {
+    setFilters(prev => ({ ...prev, ...updates }));
+  };
+
+  const filtered = filters.query || filters.collection || filters.tag || filters.category;
+
+  return (
+    <div className="mb-4 space-y-2">
+      <input
+        type="search"
+        value={filters.query}
+        onChange={(e) => updateFilters({ query: e.target.value })}
+        className="w-full px-2 py-1.5 text-sm border border-gray-300 rounded-md bg-white text-gray-900"
+        placeholder="Search name, size, collection or tag"
+        aria-label="Search covers"
+      />
+      <div className="grid grid-cols-2 gap-2">
+        <select
+          value={filters.collection}
+          onChange={(e) => updateFilters({ collection: e.target.value })}
+          className={selectClass}
+          aria-label="Filter by collection"
+        >
+          <option value="">All collections</option>
+          {collectionGroups.map(group => (
+            <optgroup key={group.type} label={COLLECTION_TYPE_LABELS[group.type]}>
+              {group.names.map(name => (
+                <option key={name} value={encodeCollection(group.type, name)}>{name}</option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+        <select
+          value={filters.tag}
+          onChange={(e) => updateFilters({ tag: e.target.value })}
+          className={selectClass}
+          aria-label="Filter by tag"
+        >
+          <option value="">All tags</option>
+          {tags.map(tag => <option key={tag} value={tag}>{tag}</option>)}
+        </select>
+        <select
+          value={filters.category}
+          onChange={(e) => updateFilters({ category: e.target.value })}
+          className={selectClass}
+          aria-label="Filter by trim category"
+        >
+          <option value="">All categories</option>
+          {getTrimCategories().map(category => <option key={category} value={category}>{category}</option>)}
+        </select>
+        <select
+          value={filters.sortBy}
+          onChange={(e) => updateFilters({ sortBy: e.target.value })}
+          className={selectClass}
+          aria-label="Sort covers"
+        >
+          {COVER_SORT_OPTIONS.map(option => <option key={option.id} value={option.id}>{option.name}</option>)}
+        </select>
+      </div>
+      {filtered && (
+        <div className="flex items-center justify-between text-xs text-gray-500">
+          <span>{shown} of {total} covers</span>
+          <button
+            onClick={() => setFilters(prev => ({ ...DEFAULT_COVER_FILTERS, sortBy: prev.sortBy }))}
+            className="text-blue-600 hover:underline"
+          >
+            Clear filters
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
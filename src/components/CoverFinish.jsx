@@ -0,0 +1,203 @@
+/**
+ * Book Cover Previewer - Cover Finish
+ *
+ * Laminate finish for a cover plus grayscale foil and spot UV masks and an
+ * emboss/deboss relief map. All are laid out like the artwork spread and
+ * previewed on the 3D book straight away.
+ */
+
+import { useRef, useState } from 'react';
+import { useAtom } from 'jotai';
+import { coverRevisionAtom } from './UI';
+import { updateCover, setFinishMask, removeFinishMask, updateFinishMaskSettings } from '../utils/coverData';
+import { validateFile } from '../utils/fileSystem';
+import { readImageInfo } from '../utils/imageMetadata';
+import { isPdfFile } from '../utils/pdfImport';
+import { sampleImageColor } from '../utils/coverParts';
+import {
+  FINISH_OPTIONS,
+  FINISH_MASKS,
+  FINISH_MASK_LABELS,
+  DEFAULT_FINISH,
+  RELIEF_MAP_TYPES,
+  RELIEF_MODES,
+  getFinishSpec,
+  guessReliefMapType
+} from '../utils/coverFinishes';
+
+const smallButtonClass = 'px-2 py-0.5 text-xs border border-gray-300 rounded bg-white text-gray-700 hover:bg-gray-100 disabled:opacity-40';
+
+// Masks are stretched onto the spread, so a different shape means a misaligned preview
+const ASPECT_TOLERANCE = 0.02;
+
+const selectClass = 'px-1 py-0.5 text-xs border border-gray-300 rounded bg-white text-gray-900';
+
+// Height or normal map, judged from the image's average color
+const detectReliefMapType = (file) => {
+  return new Promise((resolve) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(guessReliefMapType(sampleImageColor(img)));
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      resolve(RELIEF_MAP_TYPES.HEIGHT);
+    };
+    img.src = url;
+  });
+};
+
+export const CoverFinish = ({ cover, onChanged }) => {
+  const [, setRevision] = useAtom(coverRevisionAtom);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [uploadingKind, setUploadingKind] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const finish = cover.finish || DEFAULT_FINISH;
+  const masks = cover.finishMasks || {};
+
+  const run = async (work, failure) => {
+    setBusy(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const updated = await work();
+      setRevision(revision => revision + 1);
+      onChanged?.(updated);
+    } catch (err) {
+      console.error(`${failure}:`, err);
+      setError(err.name === 'QuotaExceededError'
+        ? 'Browser storage is full. Delete some covers or masks and try again'
+        : err.message || failure);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const chooseMask = (kind) => {
+    setUploadingKind(kind);
+    fileInputRef.current?.click();
+  };
+
+  const handleUpload = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    const kind = uploadingKind;
+    setUploadingKind(null);
+    if (!file || !kind) return;
+
+    run(async () => {
+      const validation = validateFile(file);
+      if (!validation.valid) {
+        throw new Error(validation.error);
+      }
+      if (isPdfFile(file)) {
+        throw new Error('Masks must be PNG, JPG or WebP images');
+      }
+
+      const info = await readImageInfo(file);
+      const artwork = cover.imageDimensions;
+      // A replaced relief map keeps its emboss/deboss choice
+      const settings = kind === FINISH_MASKS.RELIEF
+        ? { mapType: await detectReliefMapType(file), mode: masks.relief?.mode || RELIEF_MODES.EMBOSS }
+        : undefined;
+      const updated = await setFinishMask(cover.id, kind, file, {
+        imageDimensions: { width: info.width, height: info.height },
+        settings
+      });
+      if (artwork && info.width && info.height) {
+        const difference = Math.abs((info.width / info.height) / (artwork.width / artwork.height) - 1);
+        if (difference > ASPECT_TOLERANCE) {
+          setNotice(`${FINISH_MASK_LABELS[kind]} mask is ${info.width} × ${info.height} px but the artwork is ${artwork.width} × ${artwork.height} px; it is stretched to fit`);
+        }
+      }
+      return updated;
+    }, 'Failed to upload mask');
+  };
+
+  return (
+    <div className="mt-2 p-2 rounded-md border border-gray-200 bg-gray-50 space-y-2">
+      <div className="flex items-center gap-2">
+        <label className="text-xs font-medium text-gray-700" htmlFor={`finish-${cover.id}`}>Finish</label>
+        <select
+          id={`finish-${cover.id}`}
+          value={finish}
+          onChange={(e) => run(() => updateCover(cover.id, { finish: e.target.value }), 'Could not change finish')}
+          className="flex-1 px-2 py-1 text-xs border border-gray-300 rounded-md bg-white text-gray-900"
+          title={getFinishSpec(finish).description}
+          disabled={busy}
+        >
+          {FINISH_OPTIONS.map(option => (
+            <option key={option.id} value={option.id} title={option.description}>{option.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {Object.values(FINISH_MASKS).map(kind => (
+        <div key={kind} className="flex items-center gap-2">
+          <span className="w-14 shrink-0 text-xs font-medium text-gray-700">{FINISH_MASK_LABELS[kind]}</span>
+          <span
+            className={`flex-1 min-w-0 truncate text-xs ${masks[kind] ? 'text-gray-900' : 'text-gray-400 italic'}`}
+            title={masks[kind]?.fileName}
+          >
+            {masks[kind] ? masks[kind].fileName : 'No mask'}
+          </span>
+          <button onClick={() => chooseMask(kind)} className={smallButtonClass} disabled={busy}>
+            {masks[kind] ? 'Replace' : 'Upload'}
+          </button>
+          {masks[kind] && (
+            <button
+              onClick={() => run(() => removeFinishMask(cover.id, kind), 'Could not remove mask')}
+              className={smallButtonClass}
+              disabled={busy}
+              aria-label={`Remove ${FINISH_MASK_LABELS[kind].toLowerCase()} mask`}
+            >
+              Remove
+            </button>
+          )}
+        </div>
+      ))}
+      {masks.relief && (
+        <div className="flex items-center gap-2 pl-16">
+          <select
+            value={masks.relief.mapType}
+            onChange={(e) => run(() => updateFinishMaskSettings(cover.id, FINISH_MASKS.RELIEF, { mapType: e.target.value }), 'Could not change relief map')}
+            className={selectClass}
+            aria-label="Relief map type"
+            disabled={busy}
+          >
+            <option value={RELIEF_MAP_TYPES.HEIGHT}>Height map</option>
+            <option value={RELIEF_MAP_TYPES.NORMAL}>Normal map</option>
+          </select>
+          <select
+            value={masks.relief.mode}
+            onChange={(e) => run(() => updateFinishMaskSettings(cover.id, FINISH_MASKS.RELIEF, { mode: e.target.value }), 'Could not change relief map')}
+            className={selectClass}
+            aria-label="Emboss or deboss"
+            disabled={busy}
+          >
+            <option value={RELIEF_MODES.EMBOSS}>Emboss</option>
+            <option value={RELIEF_MODES.DEBOSS}>Deboss</option>
+          </select>
+        </div>
+      )}
+      <p className="text-xs text-gray-500">
+        Masks are images the size of the spread: white marks the foil or spot UV area, or the highest point of a height map.
+      </p>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/png,image/jpeg,image/jpg,image/webp"
+        onChange={handleUpload}
+        className="hidden"
+      />
+      {notice && <p className="text-xs text-amber-700">{notice}</p>}
+      {error && <p className="text-xs text-red-700">{error}</p>}
+    </div>
+  );
+};
@@ -0,0 +1,71 @@
+/**
+ * Book Cover Previewer - Cover Parts Picker
+ *
+ * File choosers for the front, spine and back of a cover when they arrive as
+ * separate images. Parts left empty become placeholders.
+ */
+
+import { useRef } from 'react';
+import { COVER_PARTS, COVER_PART_LABELS } from '../utils/coverParts';
+
+export const EMPTY_COVER_PARTS = { front: null, spine: null, back: null };
+
+const PartRow = ({ name, file, onChange, disabled }) => {
+  const inputRef = useRef(null);
+
+  const handleSelect = (e) => {
+    const selected = e.target.files?.[0];
+    e.target.value = '';
+    if (selected) onChange(selected);
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <span className="w-12 shrink-0 text-xs font-medium text-gray-700">{COVER_PART_LABELS[name]}</span>
+      <span className={`flex-1 min-w-0 truncate text-xs ${file ? 'text-gray-900' : 'text-gray-400 italic'}`} title={file?.name}>
+        {file ? file.name : 'Placeholder'}
+      </span>
+      <button
+        onClick={() => inputRef.current?.click()}
+        className="px-2 py-0.5 text-xs border border-gray-300 rounded bg-white text-gray-700 hover:bg-gray-50"
+        disabled={disabled}
+      >
+        {file ? 'Change' : 'Choose'}
+      </button>
+      {file && (
+        <button
+          onClick={() => onChange(null)}
+          className="px-2 py-0.5 text-xs border border-gray-300 rounded bg-white text-gray-700 hover:bg-gray-50"
+          disabled={disabled}
+          aria-label={`Clear ${COVER_PART_LABELS[name].toLowerCase()} image`}
+        >
+          Clear
+        </button>
+      )}
+      <input
+        ref={inputRef}
+        type="file"
+        accept="image/png,image/jpg,image/jpeg,image/webp"
+        onChange={handleSelect}
+        className="hidden"
+      />
+    </div>
+  );
+};
+
+/**
+ * @param {object} props - { files ({ front, spine, back } File or null), onChange(files), disabled }
+ */
+export const CoverPartsPicker = ({ files, onChange, disabled }) => (
+  <div className="space-y-2">
+    {COVER_PARTS.map(name => (
+      <PartRow
+        key={name}
+        name={name}
+        file={files[name]}
+        onChange={(file) => onChange({ ...files, [name]: file })}
+        disabled={disabled}
+      />
+    ))}
+  </div>
+);
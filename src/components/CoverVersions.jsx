@@ -0,0 +1,201 @@
+/**
+ * Book Cover Previewer - Cover Versions
+ *
+ * Lists a cover's artwork revisions, switches the active one and uploads a
+ * new revision that keeps the cover's trim, spine and bleed settings. Covers
+ * built from separate parts can have a single part replaced.
+ */
+
+import { useRef, useState } from 'react';
+import { useAtom } from 'jotai';
+import { coverRevisionAtom } from './UI';
+import { addCoverVersion, setCoverVersion } from '../utils/coverData';
+import { validateFile, getFileDataUrl } from '../utils/fileSystem';
+import { readImageInfo } from '../utils/imageMetadata';
+import { isPdfFile, rasterizePdfCover, DEFAULT_PDF_DPI } from '../utils/pdfImport';
+import { COVER_PARTS, COVER_PART_LABELS, replaceSpreadPart } from '../utils/coverParts';
+
+const formatVersionTitle = (entry) => {
+  const date = new Date(entry.uploadedAt).toLocaleString();
+  return entry.fileName ? `${entry.fileName} · ${date}` : date;
+};
+
+export const CoverVersions = ({ cover, onChanged }) => {
+  const [, setRevision] = useAtom(coverRevisionAtom);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+  const partInputRef = useRef(null);
+  const [replacingPart, setReplacingPart] = useState(null);
+
+  const versions = cover.versions || [];
+
+  const finish = (updated) => {
+    setRevision(revision => revision + 1);
+    onChanged?.(updated);
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setBusy(true);
+    setError(null);
+    try {
+      const validation = validateFile(file);
+      if (!validation.valid) {
+        throw new Error(validation.error);
+      }
+
+      let updated;
+      if (isPdfFile(file)) {
+        const dpi = cover.rasterDpi || DEFAULT_PDF_DPI;
+        const raster = await rasterizePdfCover(file, dpi);
+        updated = await addCoverVersion(cover.id, raster.file, {
+          imageDimensions: { width: raster.width, height: raster.height },
+          sourceFormat: 'pdf',
+          rasterDpi: raster.dpi
+        });
+      } else {
+        const info = await readImageInfo(file);
+        updated = await addCoverVersion(cover.id, file, {
+          imageDimensions: { width: info.width, height: info.height },
+          imageDpi: info.dpi?.x,
+          colorSpace: info.colorSpace
+        });
+      }
+      finish(updated);
+    } catch (err) {
+      console.error('Failed to upload new version:', err);
+      setError(err.name === 'QuotaExceededError'
+        ? 'Browser storage is full. Delete some covers or versions and try again'
+        : err.message || 'Upload failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const choosePart = (name) => {
+    setReplacingPart(name);
+    partInputRef.current?.click();
+  };
+
+  // Rebuild the spread with one new part, kept as a new version
+  const handlePartUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file || !replacingPart) return;
+
+    setBusy(true);
+    setError(null);
+    try {
+      const validation = validateFile(file);
+      if (!validation.valid) {
+        throw new Error(validation.error);
+      }
+      if (isPdfFile(file)) {
+        throw new Error('Cover parts must be PNG, JPG or WebP images');
+      }
+
+      const spreadUrl = await getFileDataUrl(cover.id);
+      if (!spreadUrl) {
+        throw new Error('Cover image not found');
+      }
+      const built = await replaceSpreadPart(cover, spreadUrl, replacingPart, file);
+      finish(await addCoverVersion(cover.id, built.file, {
+        imageDimensions: built.imageDimensions,
+        imageDpi: built.imageDpi,
+        colorSpace: 'rgb',
+        sourceFormat: 'parts',
+        sourceParts: built.sourceParts
+      }));
+    } catch (err) {
+      console.error('Failed to replace cover part:', err);
+      setError(err.name === 'QuotaExceededError'
+        ? 'Browser storage is full. Delete some covers or versions and try again'
+        : err.message || 'Upload failed');
+    } finally {
+      setBusy(false);
+      setReplacingPart(null);
+    }
+  };
+
+  const handleSelect = async (version) => {
+    setBusy(true);
+    setError(null);
+    try {
+      finish(await setCoverVersion(cover.id, version));
+    } catch (err) {
+      console.error('Failed to switch version:', err);
+      setError(err.message || 'Could not switch version');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="mt-2 p-2 rounded-md border border-gray-200 bg-gray-50">
+      {versions.length > 1 && (
+        <div className="flex flex-wrap gap-1 mb-2">
+          {versions.map(entry => (
+            <button
+              key={entry.version}
+              onClick={() => handleSelect(entry.version)}
+              className={`px-2 py-0.5 text-xs rounded-full border ${
+                entry.version === cover.currentVersion
+                  ? 'border-blue-500 bg-blue-600 text-white'
+                  : 'border-gray-300 bg-white text-gray-700 hover:bg-gray-100'
+              }`}
+              title={formatVersionTitle(entry)}
+              disabled={busy}
+            >
+              v{entry.version}
+            </button>
+          ))}
+        </div>
+      )}
+      <button
+        onClick={() => fileInputRef.current?.click()}
+        className="w-full px-3 py-1.5 text-xs font-medium rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 disabled:opacity-60"
+        disabled={busy}
+        title="Replace the artwork; trim, spine and bleed are kept"
+      >
+        {busy ? 'Working…' : 'Upload new version'}
+      </button>
+      {cover.sourceParts && (
+        <div className="mt-2 flex items-center gap-1">
+          <span className="text-xs text-gray-600 mr-1">Replace</span>
+          {COVER_PARTS.map(name => (
+            <button
+              key={name}
+              onClick={() => choosePart(name)}
+              className={`flex-1 px-2 py-0.5 text-xs rounded border border-gray-300 bg-white hover:bg-gray-100 ${
+                cover.sourceParts[name] ? 'text-gray-700' : 'text-gray-400 italic'
+              }`}
+              title={cover.sourceParts[name] || 'Placeholder'}
+              disabled={busy}
+            >
+              {COVER_PART_LABELS[name]}
+            </button>
+          ))}
+        </div>
+      )}
+      <input
+        ref={partInputRef}
+        type="file"
+        accept="image/png,image/jpeg,image/jpg,image/webp"
+        onChange={handlePartUpload}
+        className="hidden"
+      />
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/png,image/jpeg,image/jpg,image/webp,application/pdf,.pdf"
+        onChange={handleUpload}
+        className="hidden"
+      />
+      {error && <p className="mt-1 text-xs text-red-700">{error}</p>}
+    </div>
+  );
+};
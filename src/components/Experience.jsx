@@ -1,14 +1,117 @@
 import { Environment, Float, OrbitControls } from "@react-three/drei";
-import { useThree } from "@react-three/fiber";
-import { useRef, useImperativeHandle, forwardRef } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import { useAtom } from "jotai";
+import { easing } from "maath";
+import { Suspense, useRef, useMemo, useEffect, useImperativeHandle, forwardRef } from "react";
+import { Vector3 } from "three";
 import { Book } from "./Book";
+import { Shelf, SHELF_BOARD_THICKNESS, useShelfLayout } from "./Shelf";
+import { coverAtom, bookOpenAtom, compareAtom, coverRevisionAtom, shelfAtom, reliefViewAtom, sceneAtom } from "./UI";
+import { getCoverById } from "../utils/coverData";
+import { useCoverRecord } from "../utils/useCoverRecord";
+import { useShelfCovers } from "../utils/useShelfCovers";
+import { inchesToUnits, DEFAULT_TRIM_SIZE } from "../utils/trimSizes";
+import { DEFAULT_BINDING_TYPE, getBoardSize, getSpreadOrientationSpec } from "../utils/bindings";
+import { COMPARE_LAYOUTS, MAX_COMPARE_COVERS, getRowOffsets, renderSplitView } from "../utils/compareLayout";
+import { getPresetCameraPose } from "../utils/cameraPresets";
+import { renderSceneToCanvas, addBackground, downloadCanvasAsPng } from "../utils/renderExport";
+import {
+  getScenePreset,
+  getFloorMaterialSpec,
+  getLightPosition,
+  getFillLightPosition,
+  getShadowRadius,
+  loadBackdropImage
+} from "../utils/scenePresets";
+import { createWoodTexture } from "../utils/floorTextures";
+
+const CAMERA_SMOOTH_TIME = 0.35;
+const COMPARE_GAP = 0.3; // scene units between books shown side by side
+const FLOOR_Y = -1.5;
+const FLOOR_SIZE = 100;
+const SHADOW_ONLY_OPACITY = 0.3;
+const SHELF_Y = FLOOR_Y + SHELF_BOARD_THICKNESS; // the shelf board rests on the floor
+const SHELF_FIT_MARGIN = 1.15;
+const MAX_CAMERA_DISTANCE = 25;
+// Raking light: one low light from above the head of the book, about 9° off the
+// front cover (book space: the front cover faces -Z), with the fill turned down
+const RAKING_LIGHT_POSITION = [-2, 4, -0.7];
+const RAKING_LIGHT_INTENSITY = 3;
+const RAKING_AMBIENT_INTENSITY = 0.08;
+const RAKING_ENVIRONMENT_INTENSITY = 0.15;
+
+// Takes over rendering (priority 1) to draw one pane per compared book
+const SplitViewRenderer = ({ getObjects }) => {
+  useFrame(({ gl, scene, camera, size }) => {
+    renderSplitView({ gl, scene, camera, objects: getObjects(), width: size.width, height: size.height });
+  }, 1);
+  return null;
+};
 
 export const Experience = forwardRef((props, ref) => {
-  const { camera } = useThree();
+  const { camera, gl, scene } = useThree();
   const controlsRef = useRef();
+  const floatRef = useRef();
+  const floorRef = useRef();
+  const transitionRef = useRef(null);
+  const [selectedCover] = useAtom(coverAtom);
+  const cover = useCoverRecord(selectedCover);
+  const [bookOpen, setBookOpen] = useAtom(bookOpenAtom);
+  const [compare] = useAtom(compareAtom);
+  const [coverRevision] = useAtom(coverRevisionAtom);
+  const compareBooksRef = useRef([]);
+  const [shelf] = useAtom(shelfAtom);
+  const [reliefView] = useAtom(reliefViewAtom);
+  const [sceneSettings] = useAtom(sceneAtom);
+  const scenePreset = getScenePreset(sceneSettings.preset);
+  const floorSpec = getFloorMaterialSpec(sceneSettings.floorMaterial);
+  const shadowRadius = getShadowRadius(sceneSettings.shadowSoftness);
+  const shelfCovers = useShelfCovers();
+  const shelfActive = shelf.enabled && shelfCovers.length > 0;
+  const shelfLayout = useShelfLayout(shelfCovers, shelf.layout);
+
+  const floorTexture = useMemo(
+    () => (floorSpec.texture === "wood" ? createWoodTexture(FLOOR_SIZE) : null),
+    [floorSpec.texture]
+  );
+  useEffect(() => () => floorTexture?.dispose(), [floorTexture]);
+
+  // Compare mode needs at least two covers that still exist
+  const compareIds = compare.enabled && !shelfActive
+    ? compare.coverIds.filter(id => getCoverById(id)).slice(0, MAX_COMPARE_COVERS)
+    : [];
+  const comparing = compareIds.length >= 2;
+  const splitView = comparing && compare.layout === COMPARE_LAYOUTS.SPLIT;
+  const compareKey = compareIds.join(",");
+
+  // Books in a row at true relative size; each Book has its spine at x = 0
+  const compareOffsets = useMemo(() => {
+    const widths = compareIds.map(id => {
+      const cover = getCoverById(id);
+      const board = getBoardSize(cover?.bindingType || DEFAULT_BINDING_TYPE, cover?.trimSize || DEFAULT_TRIM_SIZE);
+      return inchesToUnits(board.width);
+    });
+    return getRowOffsets(widths, COMPARE_GAP).map((center, index) => center + widths[index] / 2);
+  }, [compareKey, coverRevision]);
+
+  const getCompareObjects = () => compareBooksRef.current.slice(0, compareIds.length).filter(Boolean);
+
+  // Camera distance that frames the whole shelf from the front
+  const shelfFitDistance = useMemo(() => {
+    const { bounds } = shelfLayout;
+    const halfFov = (camera.fov * Math.PI) / 360;
+    const fitHeight = (bounds.height / 2) / Math.tan(halfFov);
+    const fitWidth = (bounds.width / 2) / (Math.tan(halfFov) * camera.aspect);
+    return Math.max(fitHeight, fitWidth) * SHELF_FIT_MARGIN + bounds.depth;
+  }, [shelfLayout, camera]);
 
   // Reset camera to initial centered position
   const resetCamera = () => {
+    if (shelfActive) {
+      fitShelf();
+      return;
+    }
+    transitionRef.current = null;
     if (controlsRef.current) {
       // Reset controls
       controlsRef.current.reset();
@@ -20,50 +123,269 @@ export const Experience = forwardRef((props, ref) => {
     }
   };
 
+  // Render the current view offscreen at a fixed size and download it as PNG.
+  // The Float wobble is zeroed for the capture so the pose is deterministic.
+  const exportImage = async ({ width, height, transparent = false, filename = 'book-mockup.png' }) => {
+    // Decoded before the capture so nothing renders between posing and drawing.
+    // A backdrop that no longer decodes falls back to the backdrop color.
+    let backdropImage = null;
+    let backdropFailed = false;
+    if (!transparent && sceneSettings.backdropImage) {
+      try {
+        backdropImage = await loadBackdropImage(sceneSettings.backdropImage);
+      } catch (error) {
+        console.warn('Exporting without the backdrop image:', error);
+        backdropFailed = true;
+      }
+    }
+    const floatGroup = floatRef.current;
+    const floor = floorRef.current;
+    const savedRotation = floatGroup?.rotation.clone();
+    const savedY = floatGroup?.position.y;
+    const floorVisible = floor?.visible;
+
+    let canvas;
+    try {
+      if (floatGroup) {
+        floatGroup.rotation.set(0, 0, 0);
+        floatGroup.position.y = 0;
+        floatGroup.updateMatrix();
+      }
+      if (floor && transparent) {
+        floor.visible = false;
+      }
+      controlsRef.current?.update();
+
+      canvas = renderSceneToCanvas({
+        gl,
+        scene,
+        camera,
+        width,
+        height,
+        render: splitView
+          ? (renderWidth, renderHeight) => renderSplitView({
+            gl,
+            scene,
+            camera,
+            objects: getCompareObjects(),
+            width: renderWidth,
+            height: renderHeight
+          })
+          : undefined
+      });
+    } finally {
+      if (floatGroup) {
+        floatGroup.rotation.copy(savedRotation);
+        floatGroup.position.y = savedY;
+        floatGroup.updateMatrix();
+      }
+      if (floor) {
+        floor.visible = floorVisible;
+      }
+    }
+
+    const size = await downloadCanvasAsPng(
+      transparent ? canvas : addBackground(canvas, { color: sceneSettings.backdropColor, image: backdropImage }),
+      filename
+    );
+    return { ...size, backdropFailed };
+  };
+
+  // Animate the camera and orbit target towards a world-space view
+  const flyTo = ({ position, target, open }) => {
+    if (typeof open === "boolean") {
+      setBookOpen(open);
+    }
+    transitionRef.current = {
+      position: new Vector3(...position),
+      target: new Vector3(...target)
+    };
+  };
+
+  const fitShelf = () => {
+    const centerY = SHELF_Y + shelfLayout.bounds.height / 2;
+    flyTo({
+      position: [0, centerY + shelfFitDistance * 0.15, shelfFitDistance],
+      target: [0, centerY, -shelfLayout.bounds.depth / 2]
+    });
+  };
+
+  // Frame the shelf whenever its books or layout change, and return to the
+  // single-book view when the shelf closes
+  const wasShelfActiveRef = useRef(false);
+  useEffect(() => {
+    if (shelfActive) {
+      fitShelf();
+    } else if (wasShelfActiveRef.current) {
+      resetCamera();
+    }
+    wasShelfActiveRef.current = shelfActive;
+  }, [shelfActive, shelfLayout]);
+
+  // Presets are defined relative to the book; the outer Float group holds its
+  // static tilt, so convert through it and ignore the wobble
+  const applyPreset = (presetId) => {
+    const trimSize = cover?.trimSize || DEFAULT_TRIM_SIZE;
+    const pose = getPresetCameraPose(presetId, {
+      bookWidth: inchesToUnits(trimSize.width),
+      bookHeight: inchesToUnits(trimSize.height),
+      fov: camera.fov,
+      rightBound: getSpreadOrientationSpec(cover?.spreadOrientation).rightBound
+    });
+    if (!pose) return;
+
+    const position = new Vector3(...pose.position);
+    const target = new Vector3(...pose.target);
+    const bookFrame = floatRef.current?.parent;
+    if (pose.frame === "book" && bookFrame) {
+      bookFrame.updateWorldMatrix(true, false);
+      bookFrame.localToWorld(position);
+      bookFrame.localToWorld(target);
+    }
+
+    flyTo({ position: position.toArray(), target: target.toArray(), open: pose.open });
+  };
+
+  const getCameraView = () => ({
+    position: camera.position.toArray(),
+    target: controlsRef.current ? controlsRef.current.target.toArray() : [0, 0, 0],
+    open: bookOpen
+  });
+
+  // Dragging the view cancels a running transition
+  useEffect(() => {
+    const controls = controlsRef.current;
+    if (!controls) return;
+    const cancelTransition = () => {
+      transitionRef.current = null;
+    };
+    controls.addEventListener("start", cancelTransition);
+    return () => controls.removeEventListener("start", cancelTransition);
+  }, []);
+
+  useFrame((_, delta) => {
+    const transition = transitionRef.current;
+    const controls = controlsRef.current;
+    if (!transition || !controls) return;
+
+    const cameraMoving = easing.damp3(camera.position, transition.position, CAMERA_SMOOTH_TIME, delta);
+    const targetMoving = easing.damp3(controls.target, transition.target, CAMERA_SMOOTH_TIME, delta);
+    controls.update();
+
+    if (!cameraMoving && !targetMoving) {
+      transitionRef.current = null;
+    }
+  });
+
   useImperativeHandle(ref, () => ({
-    resetCamera
+    resetCamera,
+    exportImage,
+    applyPreset,
+    flyTo,
+    getCameraView
   }));
 
   return (
     <>
-      <Float
-        rotation-x={-Math.PI / 4}
-        rotation-y={Math.PI}
-        floatIntensity={0.5}
-        speed={1.5}
-        rotationIntensity={0.5}
-      >
-        <Book />
-      </Float>
+      {shelfActive ? (
+        <Shelf covers={shelfCovers} layout={shelf.layout} position-y={SHELF_Y} />
+      ) : (
+        <Float
+          ref={floatRef}
+          rotation-x={-Math.PI / 4}
+          rotation-y={Math.PI}
+          floatIntensity={0.5}
+          speed={1.5}
+          rotationIntensity={0.5}
+        >
+          {comparing ? (
+            compareIds.map((id, index) => (
+              <group
+                key={id}
+                ref={(group) => {
+                  compareBooksRef.current[index] = group;
+                }}
+                position-x={compare.layout === COMPARE_LAYOUTS.SIDE_BY_SIDE ? compareOffsets[index] : 0}
+                visible={compare.layout !== COMPARE_LAYOUTS.FLIP || index === compare.flipIndex % compareIds.length}
+              >
+                <Book coverId={id} />
+              </group>
+            ))
+          ) : (
+            <Book />
+          )}
+        </Float>
+      )}
+      {splitView && <SplitViewRenderer getObjects={getCompareObjects} />}
       <OrbitControls
         ref={controlsRef}
         enablePan={false}
         minDistance={1}
-        maxDistance={25}
+        maxDistance={shelfActive ? Math.max(MAX_CAMERA_DISTANCE, shelfFitDistance * 1.5) : MAX_CAMERA_DISTANCE}
       />
       
-      {/* Minimal Studio Lighting */}
-      <ambientLight intensity={0.5} />
-      <directionalLight
-        position={[5, 5, 5]}
-        intensity={1.5}
-        castShadow
-        shadow-mapSize-width={2048}
-        shadow-mapSize-height={2048}
-        shadow-bias={-0.0001}
-      />
-      <directionalLight
-        position={[-5, 3, -5]}
-        intensity={0.5}
-      />
+      {reliefView.rakingLight ? (
+        /* Raking light, placed in the book's frame (same static tilt as the Float group) */
+        <group rotation-x={-Math.PI / 4} rotation-y={Math.PI}>
+          <ambientLight intensity={RAKING_AMBIENT_INTENSITY} />
+          <directionalLight
+            position={[
+              RAKING_LIGHT_POSITION[0] * (getSpreadOrientationSpec(cover?.spreadOrientation).rightBound ? -1 : 1),
+              RAKING_LIGHT_POSITION[1],
+              RAKING_LIGHT_POSITION[2]
+            ]}
+            intensity={RAKING_LIGHT_INTENSITY}
+            castShadow
+            shadow-mapSize-width={2048}
+            shadow-mapSize-height={2048}
+            shadow-bias={-0.0001}
+            shadow-radius={shadowRadius}
+          />
+        </group>
+      ) : (
+        <>
+          {/* Scene preset: key light in the chosen direction, fill opposite it */}
+          <ambientLight intensity={scenePreset.ambientIntensity} />
+          <directionalLight
+            position={getLightPosition(sceneSettings.lightAzimuth, sceneSettings.lightElevation)}
+            color={scenePreset.keyColor}
+            intensity={scenePreset.keyIntensity}
+            castShadow
+            shadow-mapSize-width={2048}
+            shadow-mapSize-height={2048}
+            shadow-bias={-0.0001}
+            shadow-radius={shadowRadius}
+          />
+          <directionalLight
+            position={getFillLightPosition(sceneSettings.lightAzimuth, sceneSettings.lightElevation)}
+            intensity={scenePreset.fillIntensity}
+          />
+        </>
+      )}
       
-      {/* Simple gray environment */}
-      <Environment preset="city" />
+      {/* Reflections only; the backdrop is drawn behind the canvas. A new
+          preset's map loads without suspending the rest of the scene. */}
+      <Suspense fallback={null}>
+        <Environment
+          preset={scenePreset.environment}
+          environmentIntensity={reliefView.rakingLight ? RAKING_ENVIRONMENT_INTENSITY : scenePreset.environmentIntensity}
+        />
+      </Suspense>
       
       {/* Floor plane for shadows */}
-      <mesh position-y={-1.5} rotation-x={-Math.PI / 2} receiveShadow>
-        <planeGeometry args={[100, 100]} />
-        <meshStandardMaterial color="#e5e7eb" />
+      <mesh ref={floorRef} position-y={FLOOR_Y} rotation-x={-Math.PI / 2} receiveShadow>
+        <planeGeometry args={[FLOOR_SIZE, FLOOR_SIZE]} />
+        {floorSpec.shadowOnly ? (
+          <shadowMaterial opacity={SHADOW_ONLY_OPACITY} />
+        ) : (
+          <meshStandardMaterial
+            key={floorTexture ? "textured" : "plain"}
+            color={sceneSettings.floorColor}
+            map={floorTexture}
+            roughness={floorSpec.roughness}
+            metalness={floorSpec.metalness}
+          />
+        )}
       </mesh>
     </>
   );
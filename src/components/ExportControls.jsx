@@ -0,0 +1,93 @@
+/**
+ * Book Cover Previewer - Mockup Export Controls
+ *
+ * Sidebar panel for rendering the current 3D view to a high-resolution PNG.
+ */
+
+import { useState } from 'react';
+import { useAtom } from 'jotai';
+import { coverAtom } from './UI';
+import { getCoverById } from '../utils/coverData';
+import { EXPORT_RESOLUTIONS } from '../utils/renderExport';
+
+const checkboxClass = 'h-4 w-4 bg-white appearance-none checked:bg-blue-600 checked:border-blue-600 border-2 border-gray-300 rounded';
+
+const buildFilename = (cover, resolution) => {
+  const base = (cover?.originalName || 'book').replace(/\.[^.]+$/, '').replace(/[^\w-]+/g, '-');
+  return `${base}-mockup-${resolution.width}x${resolution.height}.png`;
+};
+
+export const ExportControls = ({ experienceRef, disabled }) => {
+  const [selectedCover] = useAtom(coverAtom);
+  const [resolutionIndex, setResolutionIndex] = useState(EXPORT_RESOLUTIONS.length - 1);
+  const [transparent, setTransparent] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const handleExport = async () => {
+    if (!experienceRef.current) return;
+    const resolution = EXPORT_RESOLUTIONS[resolutionIndex];
+
+    setError(null);
+    setNotice(null);
+    setExporting(true);
+    try {
+      // Let the button state paint before the blocking render
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const result = await experienceRef.current.exportImage({
+        width: resolution.width,
+        height: resolution.height,
+        transparent,
+        filename: buildFilename(getCoverById(selectedCover), resolution)
+      });
+      if (result?.backdropFailed) {
+        setNotice('The backdrop image could not be read, so the backdrop color was used. Choose the image again in Scene.');
+      }
+    } catch (err) {
+      console.error('Failed to export mockup:', err);
+      setError('Export failed. Try a smaller resolution.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 p-3 border border-gray-200 rounded-md">
+      <div className="text-sm font-medium text-gray-700 mb-2">Export mockup</div>
+      <div className="flex items-center justify-between mb-2">
+        <label className="text-xs text-gray-600" htmlFor="export-resolution">Resolution</label>
+        <select
+          id="export-resolution"
+          value={resolutionIndex}
+          onChange={(e) => setResolutionIndex(parseInt(e.target.value, 10))}
+          className="px-2 py-1 text-sm border border-gray-300 rounded-md bg-white text-gray-900"
+          disabled={exporting}
+        >
+          {EXPORT_RESOLUTIONS.map((resolution, index) => (
+            <option key={resolution.name} value={index}>{resolution.name}</option>
+          ))}
+        </select>
+      </div>
+      <label className="flex items-center gap-2 text-xs text-gray-700 select-none mb-3">
+        <input
+          type="checkbox"
+          checked={transparent}
+          onChange={(e) => setTransparent(e.target.checked)}
+          className={checkboxClass}
+          disabled={exporting}
+        />
+        Transparent background
+      </label>
+      <button
+        onClick={handleExport}
+        className="w-full px-3 py-2 text-sm font-medium rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+        disabled={disabled || exporting}
+      >
+        {exporting ? 'Rendering…' : 'Export PNG'}
+      </button>
+      {notice && <p className="mt-2 text-xs text-amber-700">{notice}</p>}
+      {error && <p className="mt-2 text-xs text-red-700">{error}</p>}
+    </div>
+  );
+};
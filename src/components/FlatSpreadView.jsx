@@ -0,0 +1,129 @@
+/**
+ * Book Cover Previewer - Flat Spread View
+ *
+ * Shows the selected cover as a flat 2D spread with the same print guides
+ * that are drawn on the 3D model.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { useAtom } from 'jotai';
+import { coverAtom, guidesAtom, flatViewAtom, unitAtom } from './UI';
+import { getCoverBleed } from '../utils/coverData';
+import { formatBleed } from '../utils/bindings';
+import { useCoverRecord } from '../utils/useCoverRecord';
+import { useCoverImageUrl } from '../utils/useCoverImageUrl';
+import { DEFAULT_TRIM_SIZE, DEFAULT_SPINE_WIDTH, formatTrimSize } from '../utils/trimSizes';
+import { formatLength } from '../utils/units';
+import { getSpreadGuideLines, drawSpreadWithGuides, GUIDE_COLORS } from '../utils/spreadGuides';
+
+const NO_GUIDES = { bleed: false, safe: false, spine: false };
+
+export const FlatSpreadView = () => {
+  const [flatView, setFlatView] = useAtom(flatViewAtom);
+  const [selectedCover] = useAtom(coverAtom);
+  const [unit] = useAtom(unitAtom);
+  const [guides] = useAtom(guidesAtom);
+  const [image, setImage] = useState(null);
+  const canvasRef = useRef(null);
+
+  const cover = useCoverRecord(selectedCover);
+  const imageUrl = useCoverImageUrl(flatView ? selectedCover : null, cover?.currentVersion);
+  const trimSize = cover?.trimSize || DEFAULT_TRIM_SIZE;
+  const spineWidthInches = typeof cover?.spineWidthInches === 'number' ? cover.spineWidthInches : DEFAULT_SPINE_WIDTH;
+  const bleed = getCoverBleed(cover);
+
+  // Decode the spread once per URL
+  useEffect(() => {
+    if (!imageUrl) {
+      setImage(null);
+      return;
+    }
+    let cancelled = false;
+    const img = new Image();
+    img.onload = () => {
+      if (!cancelled) setImage(img);
+    };
+    img.onerror = () => console.warn('Failed to load spread image for flat view');
+    img.src = imageUrl;
+    return () => {
+      cancelled = true;
+    };
+  }, [imageUrl]);
+
+  // Redraw whenever the guides or the cover's dimensions change
+  useEffect(() => {
+    if (!image || !canvasRef.current) return;
+    const lines = getSpreadGuideLines({
+      bindingType: cover?.bindingType,
+      trimSize,
+      spineWidthInches,
+      bleed,
+      safeMarginInches: guides.safeMarginInches
+    });
+    drawSpreadWithGuides(canvasRef.current, image, lines, guides.enabled ? guides : NO_GUIDES);
+  }, [image, guides, cover?.bindingType, trimSize.width, trimSize.height, spineWidthInches, bleed.top, bleed.bottom, bleed.outside]);
+
+  // Close on Escape
+  useEffect(() => {
+    if (!flatView) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setFlatView(false);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [flatView]);
+
+  if (!flatView) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex flex-col items-center justify-center bg-black/80 pointer-events-auto p-4 md:p-8"
+      onClick={() => setFlatView(false)}
+    >
+      <div className="relative max-w-full max-h-full flex flex-col items-center" onClick={(e) => e.stopPropagation()}>
+        {image ? (
+          <canvas
+            ref={canvasRef}
+            className="max-w-[90vw] max-h-[75vh] object-contain rounded shadow-2xl bg-white"
+          />
+        ) : (
+          <div className="w-16 h-16 border-4 border-gray-300 border-t-white rounded-full animate-spin" />
+        )}
+
+        <div className="mt-3 flex flex-wrap items-center justify-center gap-4 text-xs text-white">
+          <span>{formatTrimSize(trimSize.width, trimSize.height, unit)} · spine {formatLength(spineWidthInches, unit)}</span>
+          {guides.enabled && guides.bleed && (
+            <span className="flex items-center gap-1">
+              <span className="inline-block w-3 h-0.5" style={{ background: GUIDE_COLORS.bleed }} />
+              Trim ({formatBleed(bleed, unit)} bleed)
+            </span>
+          )}
+          {guides.enabled && guides.safe && (
+            <span className="flex items-center gap-1">
+              <span className="inline-block w-3 h-0.5" style={{ background: GUIDE_COLORS.safe }} />
+              Safe zone ({formatLength(guides.safeMarginInches, unit)})
+            </span>
+          )}
+          {guides.enabled && guides.spine && (
+            <span className="flex items-center gap-1">
+              <span className="inline-block w-3 h-0.5" style={{ background: GUIDE_COLORS.spine }} />
+              Spine folds
+            </span>
+          )}
+          {!guides.enabled && <span className="text-gray-300">Guides are off</span>}
+        </div>
+
+        <button
+          onClick={() => setFlatView(false)}
+          className="absolute -top-2 -right-2 bg-black/60 hover:bg-black/80 text-white p-2 rounded-full transition-colors"
+          title="Close"
+        >
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <line x1="18" y1="6" x2="6" y2="18"></line>
+            <line x1="6" y1="6" x2="18" y2="18"></line>
+          </svg>
+        </button>
+      </div>
+    </div>
+  );
+};
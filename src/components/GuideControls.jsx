@@ -0,0 +1,87 @@
+/**
+ * Book Cover Previewer - Print Guide Controls
+ *
+ * Sidebar toggles for the bleed, safe-zone and spine-fold guide overlay,
+ * and the button that opens the flat spread view.
+ */
+
+import { useAtom } from 'jotai';
+import { guidesAtom, flatViewAtom, unitAtom } from './UI';
+import { LengthInput } from './LengthInput';
+
+const LAYERS = [
+  { key: 'bleed', label: 'Bleed / trim line', swatch: 'bg-red-600' },
+  { key: 'safe', label: 'Safe zone', swatch: 'bg-cyan-600' },
+  { key: 'spine', label: 'Spine folds', swatch: 'bg-fuchsia-600' }
+];
+
+const checkboxClass = 'h-4 w-4 bg-white appearance-none checked:bg-blue-600 checked:border-blue-600 border-2 border-gray-300 rounded';
+
+export const GuideControls = ({ disabled }) => {
+  const [guides, setGuides] = useAtom(guidesAtom);
+  const [, setFlatView] = useAtom(flatViewAtom);
+  const [unit] = useAtom(unitAtom);
+
+  const updateGuides = (updates) => {
+    setGuides(prev => ({ ...prev, ...updates }));
+  };
+
+  return (
+    <div className="mt-3 p-3 border border-gray-200 rounded-md">
+      <div className="flex items-center justify-between">
+        <label className="text-sm font-medium text-gray-700 select-none" htmlFor="guides-toggle">
+          Show print guides
+        </label>
+        <input
+          id="guides-toggle"
+          type="checkbox"
+          checked={guides.enabled}
+          onChange={(e) => updateGuides({ enabled: e.target.checked })}
+          className={checkboxClass}
+        />
+      </div>
+
+      {guides.enabled && (
+        <div className="mt-2 space-y-1">
+          {LAYERS.map(layer => (
+            <label key={layer.key} className="flex items-center gap-2 text-xs text-gray-700 select-none">
+              <input
+                type="checkbox"
+                checked={guides[layer.key]}
+                onChange={(e) => updateGuides({ [layer.key]: e.target.checked })}
+                className={checkboxClass}
+              />
+              <span className={`inline-block w-3 h-0.5 ${layer.swatch}`} />
+              {layer.label}
+            </label>
+          ))}
+          <div className="flex items-center justify-between pt-1">
+            <label className="text-xs text-gray-600" htmlFor="safe-margin">Safe margin ({unit})</label>
+            <LengthInput
+              id="safe-margin"
+              unit={unit}
+              min={0}
+              max={2}
+              inches={guides.safeMarginInches}
+              onChange={(value) => {
+                if (Number.isFinite(value) && value >= 0) {
+                  updateGuides({ safeMarginInches: value });
+                }
+              }}
+              className="w-20 px-2 py-1 text-sm border border-gray-300 rounded-md bg-white text-gray-900 appearance-none"
+            />
+          </div>
+        </div>
+      )}
+
+      <button
+        onClick={() => setFlatView(true)}
+        className="mt-3 w-full px-3 py-2 text-sm font-medium rounded-md border border-gray-300 text-gray-800 bg-white hover:border-gray-400 disabled:opacity-60"
+        disabled={disabled}
+        title="Show the spread as a flat 2D image"
+      >
+        Flat spread view
+      </button>
+    </div>
+  );
+};
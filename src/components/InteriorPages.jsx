@@ -0,0 +1,146 @@
+/**
+ * Book Cover Previewer - Interior Pages
+ *
+ * Page images shown inside the book when it is open, in reading order, added
+ * as images or rasterized from an interior PDF. The open book turns through
+ * them two pages at a time.
+ */
+
+import { useRef, useState } from 'react';
+import { useAtom } from 'jotai';
+import { coverRevisionAtom } from './UI';
+import { addInteriorPages, removeInteriorPage, moveInteriorPage } from '../utils/coverData';
+import { validateFile } from '../utils/fileSystem';
+import { isPdfFile, rasterizePdfPages, MAX_INTERIOR_PDF_PAGES } from '../utils/pdfImport';
+
+const smallButtonClass = 'px-1.5 py-0.5 text-xs border border-gray-300 rounded bg-white text-gray-700 hover:bg-gray-100 disabled:opacity-40';
+
+export const InteriorPages = ({ cover, onChanged }) => {
+  const [, setRevision] = useAtom(coverRevisionAtom);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const pages = cover.interiorPages || [];
+
+  const run = async (work, failure) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const updated = await work();
+      setRevision(revision => revision + 1);
+      onChanged?.(updated);
+    } catch (err) {
+      console.error(`${failure}:`, err);
+      setError(err.name === 'QuotaExceededError'
+        ? 'Browser storage is full. Delete some covers or pages and try again'
+        : err.message || failure);
+    } finally {
+      setBusy(false);
+      setStatus(null);
+    }
+  };
+
+  const handleUpload = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    run(async () => {
+      files.forEach(file => {
+        const validation = validateFile(file);
+        if (!validation.valid) {
+          throw new Error(`${file.name}: ${validation.error}`);
+        }
+      });
+
+      // An interior PDF is added on its own, page by page
+      const pdf = files.find(isPdfFile);
+      if (pdf) {
+        if (files.length > 1) {
+          throw new Error('Add an interior PDF on its own, without other files');
+        }
+        const { files: pageFiles, totalPages } = await rasterizePdfPages(pdf, {
+          onProgress: (done, total) => setStatus(`Rasterizing page ${done} of ${total}…`)
+        });
+        setStatus('Saving pages…');
+        const updated = await addInteriorPages(cover.id, pageFiles);
+        if (totalPages > MAX_INTERIOR_PDF_PAGES) {
+          setError(`Added the first ${MAX_INTERIOR_PDF_PAGES} of ${totalPages} pages`);
+        }
+        return updated;
+      }
+
+      // Multi-select order is up to the browser; numbered file names sort naturally
+      const sorted = [...files].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+      return addInteriorPages(cover.id, sorted);
+    }, 'Failed to add interior pages');
+  };
+
+  return (
+    <div className="mt-2 p-2 rounded-md border border-gray-200 bg-gray-50">
+      <div className="flex items-center justify-between mb-1">
+        <span className="text-xs font-medium text-gray-700">Interior pages</span>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className={smallButtonClass}
+          disabled={busy}
+        >
+          {busy ? 'Working…' : 'Add pages'}
+        </button>
+      </div>
+      {pages.length === 0 ? (
+        <p className="text-xs text-gray-500">Add page images or an interior PDF to show them inside the open book.</p>
+      ) : (
+        <ol className="space-y-1 max-h-48 overflow-y-auto">
+          {pages.map((page, index) => (
+            <li key={page.id} className="flex items-center gap-1">
+              <span className="w-5 shrink-0 text-xs text-gray-500 text-right">{index + 1}</span>
+              <span className="flex-1 min-w-0 truncate text-xs text-gray-900" title={page.fileName}>
+                {page.fileName}
+              </span>
+              <button
+                onClick={() => run(() => moveInteriorPage(cover.id, page.id, -1), 'Could not move page')}
+                className={smallButtonClass}
+                disabled={busy || index === 0}
+                aria-label={`Move ${page.fileName} earlier`}
+              >
+                ↑
+              </button>
+              <button
+                onClick={() => run(() => moveInteriorPage(cover.id, page.id, 1), 'Could not move page')}
+                className={smallButtonClass}
+                disabled={busy || index === pages.length - 1}
+                aria-label={`Move ${page.fileName} later`}
+              >
+                ↓
+              </button>
+              <button
+                onClick={() => run(() => removeInteriorPage(cover.id, page.id), 'Could not remove page')}
+                className={smallButtonClass}
+                disabled={busy}
+                aria-label={`Remove ${page.fileName}`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+      {pages.length > 0 && (
+        <p className="mt-1 text-xs text-gray-500">Open the book to turn through the spreads; pages 1 and 2 face each other first.</p>
+      )}
+      <input
+        ref={fileInputRef}
+        type="file"
+        multiple
+        accept="image/png,image/jpeg,image/jpg,image/webp,application/pdf,.pdf"
+        onChange={handleUpload}
+        className="hidden"
+      />
+      {status && <p className="mt-1 text-xs text-gray-600">{status}</p>}
+      {error && <p className="mt-1 text-xs text-red-700">{error}</p>}
+    </div>
+  );
+};
@@ -0,0 +1,43 @@
+/**
+ * Book Cover Previewer - Length Input
+ *
+ * Number field that is typed in the user's unit and reports inches. The
+ * typed text is kept while it still means the same length, so partial input
+ * like "3." isn't reformatted mid-edit.
+ */
+
+import { useEffect, useState } from 'react';
+import { getUnitSpec, fromInches, parseLengthInput, formatLengthInput } from '../utils/units';
+
+/**
+ * @param {object} props - { inches, unit, onChange(inches|NaN), min, max (inches), ...input props }
+ */
+export const LengthInput = ({ inches, unit, onChange, min, max, ...props }) => {
+  const [text, setText] = useState(() => formatLengthInput(inches, unit));
+
+  // Follow outside changes (unit switch, computed or detected values)
+  useEffect(() => {
+    const typed = parseLengthInput(text, unit);
+    const same = typed === inches || (Number.isNaN(typed) && !Number.isFinite(inches));
+    if (!same) {
+      setText(formatLengthInput(inches, unit));
+    }
+  }, [inches, unit]);
+
+  const handleChange = (e) => {
+    setText(e.target.value);
+    onChange(parseLengthInput(e.target.value, unit));
+  };
+
+  return (
+    <input
+      type="number"
+      step={getUnitSpec(unit).step}
+      min={min !== undefined ? fromInches(min, unit) : undefined}
+      max={max !== undefined ? fromInches(max, unit) : undefined}
+      value={text}
+      onChange={handleChange}
+      {...props}
+    />
+  );
+};
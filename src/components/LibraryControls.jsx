@@ -0,0 +1,149 @@
+/**
+ * Book Cover Previewer - Library Backup Controls
+ *
+ * Sidebar panel for exporting the cover library to a zip archive and
+ * importing one back.
+ */
+
+import { useRef, useState } from 'react';
+import { exportLibrary, importLibrary, getArchiveFilename, IMPORT_MODES } from '../utils/libraryArchive';
+import { downloadBlob } from '../utils/renderExport';
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const describeImport = ({ imported, duplicates, skipped }, mode) => {
+  const parts = [`Imported ${plural(imported, 'cover')}`];
+  if (duplicates) parts.push(`${duplicates} already in library`);
+  if (skipped.length) parts.push(`${skipped.length} skipped`);
+  if (mode === IMPORT_MODES.REPLACE && imported === 0) parts.push('library left unchanged');
+  return parts.join(', ');
+};
+
+export const LibraryControls = ({ coverCount, onLibraryChanged }) => {
+  const [mode, setMode] = useState(IMPORT_MODES.MERGE);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [skipped, setSkipped] = useState([]);
+  const fileInputRef = useRef(null);
+
+  const handleExport = async () => {
+    setBusy(true);
+    setStatus(null);
+    setSkipped([]);
+    try {
+      const { blob, count, missing } = await exportLibrary();
+      downloadBlob(blob, getArchiveFilename());
+      setStatus({
+        type: missing.length ? 'warn' : 'success',
+        message: `Exported ${count} cover${count === 1 ? '' : 's'}` +
+          (missing.length ? `; ${missing.length} had no stored image` : '')
+      });
+    } catch (err) {
+      console.error('Failed to export library:', err);
+      setStatus({ type: 'error', message: 'Export failed' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    // Asked once the archive has been read, so the counts are the real ones
+    const confirmReplace = ({ importing, skipped: skippedCount }) => {
+      if (coverCount === 0) return true;
+      return window.confirm(
+        `Replace all ${plural(coverCount, 'cover')} in your library with ${plural(importing, 'cover')} from "${file.name}"?` +
+        (skippedCount ? ` ${skippedCount} ${skippedCount === 1 ? 'entry' : 'entries'} in the archive cannot be imported and will be skipped.` : '')
+      );
+    };
+
+    setBusy(true);
+    setStatus(null);
+    setSkipped([]);
+    try {
+      const result = await importLibrary(file, { mode, confirmReplace });
+      if (result.cancelled) return;
+      setSkipped(result.skipped);
+      setStatus({
+        type: result.skipped.length || result.imported === 0 ? 'warn' : 'success',
+        message: describeImport(result, mode)
+      });
+      if (result.imported > 0) onLibraryChanged?.();
+    } catch (err) {
+      console.error('Failed to import library:', err);
+      setStatus({ type: 'error', message: err.message || 'Import failed' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const statusClass = {
+    success: 'text-green-700',
+    warn: 'text-amber-700',
+    error: 'text-red-700'
+  };
+
+  return (
+    <div className="mt-3 p-3 border border-gray-200 rounded-md">
+      <div className="text-sm font-medium text-gray-700 mb-2">Library backup</div>
+      <div className="flex gap-2 mb-2">
+        <button
+          onClick={handleExport}
+          className="flex-1 px-3 py-2 text-sm font-medium rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+          disabled={busy || coverCount === 0}
+        >
+          Export zip
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="flex-1 px-3 py-2 text-sm font-medium rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+          disabled={busy}
+        >
+          Import zip
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".zip,application/zip"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+      <div className="flex items-center gap-4 text-xs text-gray-700">
+        <span className="text-gray-600">On import:</span>
+        <label className="flex items-center gap-1 select-none">
+          <input
+            type="radio"
+            name="library-import-mode"
+            checked={mode === IMPORT_MODES.MERGE}
+            onChange={() => setMode(IMPORT_MODES.MERGE)}
+            disabled={busy}
+          />
+          Merge
+        </label>
+        <label className="flex items-center gap-1 select-none">
+          <input
+            type="radio"
+            name="library-import-mode"
+            checked={mode === IMPORT_MODES.REPLACE}
+            onChange={() => setMode(IMPORT_MODES.REPLACE)}
+            disabled={busy}
+          />
+          Replace
+        </label>
+      </div>
+      {busy && <p className="mt-2 text-xs text-gray-500">Working…</p>}
+      {status && <p className={`mt-2 text-xs ${statusClass[status.type]}`}>{status.message}</p>}
+      {skipped.length > 0 && (
+        <ul className="mt-1 text-xs text-amber-700 list-disc pl-4">
+          {skipped.map((item, index) => (
+            <li key={index}>{item.name}: {item.reason}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,99 @@
+/**
+ * Book Cover Previewer - Page Controls
+ *
+ * Turns through the interior page spreads of the open book with buttons or
+ * the keyboard (arrow keys follow the reading direction; Page Up/Down also
+ * work). Hidden while the book is closed or has no interior pages.
+ */
+
+import { useEffect } from 'react';
+import { useAtom } from 'jotai';
+import { coverAtom, bookOpenAtom, pageSpreadAtom } from './UI';
+import { useCoverRecord } from '../utils/useCoverRecord';
+import { getSpreadCount } from '../utils/pageTurn';
+import { getSpreadOrientationSpec } from '../utils/bindings';
+
+const buttonClass = 'bg-gradient-to-r from-slate-700 to-slate-800 hover:from-slate-600 hover:to-slate-700 active:from-slate-800 active:to-slate-800 text-white p-2.5 md:p-3 rounded-full transition-all duration-200 shadow-lg hover:shadow-xl active:shadow-md border border-slate-600/50 hover:border-slate-500/50 disabled:opacity-40 disabled:pointer-events-none';
+
+const Chevron = ({ direction }) => (
+  <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+    <path d={direction === 'left' ? 'M15 18l-6-6 6-6' : 'M9 18l6-6-6-6'} />
+  </svg>
+);
+
+export const PageControls = () => {
+  const [selectedCoverId] = useAtom(coverAtom);
+  const [bookOpen] = useAtom(bookOpenAtom);
+  const [spread, setSpread] = useAtom(pageSpreadAtom);
+  const cover = useCoverRecord(selectedCoverId);
+
+  const pageCount = cover?.interiorPages?.length || 0;
+  const spreadCount = getSpreadCount(pageCount);
+  const rightBound = getSpreadOrientationSpec(cover?.spreadOrientation).rightBound;
+  const active = bookOpen && pageCount > 0;
+  const current = Math.min(spread, spreadCount - 1);
+
+  const turn = (offset) => {
+    setSpread(value => Math.min(Math.max(0, Math.min(value, spreadCount - 1) + offset), spreadCount - 1));
+  };
+
+  // Every cover opens on its first spread
+  useEffect(() => {
+    setSpread(0);
+  }, [selectedCoverId]);
+
+  useEffect(() => {
+    if (!active) return;
+    const handleKeyDown = (e) => {
+      if (e.metaKey || e.ctrlKey || e.altKey) return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      const keys = {
+        PageDown: 1,
+        PageUp: -1,
+        ArrowRight: rightBound ? -1 : 1,
+        ArrowLeft: rightBound ? 1 : -1
+      };
+      if (!(e.key in keys)) return;
+      e.preventDefault();
+      turn(keys[e.key]);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [active, rightBound, spreadCount]);
+
+  if (!active) return null;
+
+  // The button on the reading side goes forward
+  const leftOffset = rightBound ? 1 : -1;
+  const atStart = current === 0;
+  const atEnd = current === spreadCount - 1;
+
+  return (
+    <>
+      <div className="w-px h-8 md:h-10 bg-slate-600/50 mx-1" />
+      <div className="flex items-center gap-2">
+        <button
+          onClick={() => turn(leftOffset)}
+          className={buttonClass}
+          disabled={leftOffset === 1 ? atEnd : atStart}
+          title={leftOffset === 1 ? 'Next spread' : 'Previous spread'}
+          aria-label={leftOffset === 1 ? 'Turn to next spread' : 'Turn to previous spread'}
+        >
+          <Chevron direction="left" />
+        </button>
+        <span className="px-3 py-1.5 rounded-full bg-slate-800/80 text-white text-xs md:text-sm tabular-nums select-none">
+          Spread {current + 1} of {spreadCount}
+        </span>
+        <button
+          onClick={() => turn(-leftOffset)}
+          className={buttonClass}
+          disabled={leftOffset === 1 ? atStart : atEnd}
+          title={leftOffset === 1 ? 'Previous spread' : 'Next spread'}
+          aria-label={leftOffset === 1 ? 'Turn to previous spread' : 'Turn to next spread'}
+        >
+          <Chevron direction="right" />
+        </button>
+      </div>
+    </>
+  );
+};
@@ -0,0 +1,73 @@
+/**
+ * Book Cover Previewer - Preflight Report
+ *
+ * Pass/warn/fail badge for sidebar thumbnails and the detail panel listing
+ * each preflight check stored on the cover record.
+ */
+
+import { useAtom } from 'jotai';
+import { unitAtom } from './UI';
+import { runPreflight } from '../utils/preflight';
+import { getCoverBleed } from '../utils/coverData';
+import { DEFAULT_UNIT } from '../utils/units';
+
+const STATUS_STYLES = {
+  pass: { badge: 'bg-green-600', text: 'text-green-700', label: 'Pass' },
+  warn: { badge: 'bg-amber-500', text: 'text-amber-700', label: 'Warn' },
+  fail: { badge: 'bg-red-600', text: 'text-red-700', label: 'Fail' }
+};
+
+export const PreflightBadge = ({ preflight, onClick, expanded }) => {
+  if (!preflight) return null;
+  const style = STATUS_STYLES[preflight.status] || STATUS_STYLES.warn;
+
+  return (
+    <button
+      onClick={(e) => {
+        e.stopPropagation(); // Prevent triggering cover change
+        onClick?.();
+      }}
+      className={`absolute top-2 left-2 pointer-events-auto px-2 py-0.5 rounded-full text-[10px] font-semibold uppercase tracking-wide text-white shadow ${style.badge} ${
+        expanded ? 'ring-2 ring-white' : ''
+      }`}
+      title="Show preflight report"
+      aria-label={`Preflight ${style.label}, show details`}
+      aria-expanded={expanded}
+    >
+      {style.label}
+    </button>
+  );
+};
+
+export const PreflightPanel = ({ cover }) => {
+  const [unit] = useAtom(unitAtom);
+  const stored = cover.preflight;
+  if (!stored) return null;
+
+  // Stored messages are in inches; re-run the same checks to word them in the chosen unit
+  const preflight = unit === DEFAULT_UNIT
+    ? stored
+    : runPreflight(cover, { bleed: getCoverBleed(cover), colorSpace: stored.colorSpace, unit }) || stored;
+
+  return (
+    <div className="mt-2 p-2 rounded-md border border-gray-200 bg-gray-50 text-xs">
+      <div className="font-medium text-gray-800 mb-1">Preflight</div>
+      <ul className="space-y-1">
+        {preflight.checks.map((item) => {
+          const style = STATUS_STYLES[item.status] || STATUS_STYLES.warn;
+          return (
+            <li key={item.id} className="flex gap-2">
+              <span className={`shrink-0 w-10 font-semibold uppercase ${style.text}`}>{style.label}</span>
+              <span className="text-gray-700">
+                <span className="font-medium">{item.label}:</span> {item.message}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+      <div className="mt-1 text-gray-400">
+        Checked {new Date(stored.checkedAt).toLocaleString()}
+      </div>
+    </div>
+  );
+};
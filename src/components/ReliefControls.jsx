@@ -0,0 +1,56 @@
+/**
+ * Book Cover Previewer - Relief Controls
+ *
+ * Sidebar slider for the strength of embossed or debossed relief, and the
+ * raking-light preset: a single low light skimming across the front cover so
+ * raised and pressed areas cast clear highlights and shadows.
+ */
+
+import { useAtom } from 'jotai';
+import { reliefViewAtom } from './UI';
+import { MAX_RELIEF_INTENSITY } from '../utils/coverFinishes';
+
+const checkboxClass = 'h-4 w-4 bg-white appearance-none checked:bg-blue-600 checked:border-blue-600 border-2 border-gray-300 rounded';
+
+export const ReliefControls = ({ hasRelief }) => {
+  const [relief, setRelief] = useAtom(reliefViewAtom);
+
+  const updateRelief = (updates) => {
+    setRelief(prev => ({ ...prev, ...updates }));
+  };
+
+  return (
+    <div className="mt-3 p-3 border border-gray-200 rounded-md">
+      <div className="flex items-center justify-between">
+        <label className="text-sm font-medium text-gray-700 select-none" htmlFor="raking-light-toggle">
+          Raking light
+        </label>
+        <input
+          id="raking-light-toggle"
+          type="checkbox"
+          checked={relief.rakingLight}
+          onChange={(e) => updateRelief({ rakingLight: e.target.checked })}
+          className={checkboxClass}
+        />
+      </div>
+      <div className="mt-2 flex items-center gap-2">
+        <label className="text-xs text-gray-600 shrink-0" htmlFor="relief-intensity">Relief</label>
+        <input
+          id="relief-intensity"
+          type="range"
+          min={0}
+          max={MAX_RELIEF_INTENSITY}
+          step={0.1}
+          value={relief.intensity}
+          onChange={(e) => updateRelief({ intensity: parseFloat(e.target.value) })}
+          className="flex-1"
+          disabled={!hasRelief}
+        />
+        <span className="w-8 text-right text-xs text-gray-700 tabular-nums">{relief.intensity.toFixed(1)}×</span>
+      </div>
+      {!hasRelief && (
+        <p className="mt-1 text-xs text-gray-500">Upload a relief map in the selected cover's finish settings.</p>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,191 @@
+/**
+ * Book Cover Previewer - Scene Controls
+ *
+ * Sidebar panel for the mockup scene: lighting presets, a backdrop color or
+ * image, the floor material, shadow softness and the key light's direction.
+ * Choices are remembered in this browser and used for exports.
+ */
+
+import { useRef, useState } from 'react';
+import { useAtom } from 'jotai';
+import { sceneAtom } from './UI';
+import {
+  SCENE_PRESET_OPTIONS,
+  FLOOR_MATERIAL_OPTIONS,
+  MIN_LIGHT_ELEVATION,
+  MAX_LIGHT_ELEVATION,
+  getPresetSceneSettings,
+  saveSceneSettings,
+  saveBackdropImage,
+  readBackdropImage
+} from '../utils/scenePresets';
+
+const smallButtonClass = 'px-2 py-0.5 text-xs border border-gray-300 rounded bg-white text-gray-700 hover:bg-gray-100 disabled:opacity-40';
+const colorInputClass = 'h-6 w-8 p-0 border border-gray-300 rounded bg-white cursor-pointer';
+
+const SliderRow = ({ id, label, value, min, max, step, format, onChange }) => (
+  <div className="flex items-center gap-2">
+    <label className="w-16 shrink-0 text-xs text-gray-600" htmlFor={id}>{label}</label>
+    <input
+      id={id}
+      type="range"
+      min={min}
+      max={max}
+      step={step}
+      value={value}
+      onChange={(e) => onChange(parseFloat(e.target.value))}
+      className="flex-1"
+    />
+    <span className="w-10 text-right text-xs text-gray-700 tabular-nums">{format(value)}</span>
+  </div>
+);
+
+export const SceneControls = () => {
+  const [scene, setScene] = useAtom(sceneAtom);
+  const [loadingImage, setLoadingImage] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const updateScene = (updates) => {
+    const next = { ...scene, ...updates };
+    setScene(next);
+    saveSceneSettings(next);
+  };
+
+  // A preset resets everything but an uploaded backdrop image
+  const applyPreset = (presetId) => {
+    updateScene({ ...getPresetSceneSettings(presetId), backdropImage: scene.backdropImage });
+  };
+
+  const setBackdropImage = (dataUrl) => {
+    if (!saveBackdropImage(dataUrl)) {
+      setError('The image is too large to remember in this browser; it is used until you reload.');
+    }
+    updateScene({ backdropImage: dataUrl });
+  };
+
+  const handleImageSelect = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    setLoadingImage(true);
+    try {
+      setBackdropImage(await readBackdropImage(file));
+    } catch (err) {
+      console.error('Failed to load backdrop image:', err);
+      setError('Could not read that image.');
+    } finally {
+      setLoadingImage(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 p-3 border border-gray-200 rounded-md space-y-2">
+      <div className="text-sm font-medium text-gray-700">Scene</div>
+      <div className="grid grid-cols-2 gap-1" role="group" aria-label="Scene presets">
+        {SCENE_PRESET_OPTIONS.map(option => (
+          <button
+            key={option.id}
+            onClick={() => applyPreset(option.id)}
+            className={`px-2 py-1 text-xs border rounded ${
+              scene.preset === option.id
+                ? 'border-blue-500 bg-blue-50 text-blue-700'
+                : 'border-gray-300 bg-white text-gray-700 hover:bg-gray-50'
+            }`}
+            aria-pressed={scene.preset === option.id}
+          >
+            {option.name}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2">
+        <label className="w-16 shrink-0 text-xs text-gray-600" htmlFor="scene-backdrop-color">Backdrop</label>
+        <input
+          id="scene-backdrop-color"
+          type="color"
+          value={scene.backdropColor}
+          onChange={(e) => updateScene({ backdropColor: e.target.value })}
+          className={colorInputClass}
+        />
+        <button onClick={() => fileInputRef.current?.click()} className={smallButtonClass} disabled={loadingImage}>
+          {loadingImage ? 'Loading...' : scene.backdropImage ? 'Replace image' : 'Image'}
+        </button>
+        {scene.backdropImage && (
+          <button
+            onClick={() => {
+              setError(null);
+              setBackdropImage(null);
+            }}
+            className={smallButtonClass}
+            aria-label="Remove backdrop image"
+          >
+            Clear
+          </button>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/png,image/jpeg,image/jpg,image/webp"
+          onChange={handleImageSelect}
+          className="hidden"
+        />
+      </div>
+
+      <div className="flex items-center gap-2">
+        <label className="w-16 shrink-0 text-xs text-gray-600" htmlFor="scene-floor-material">Floor</label>
+        <select
+          id="scene-floor-material"
+          value={scene.floorMaterial}
+          onChange={(e) => updateScene({ floorMaterial: e.target.value })}
+          className="flex-1 px-2 py-1 text-xs border border-gray-300 rounded-md bg-white text-gray-900"
+        >
+          {FLOOR_MATERIAL_OPTIONS.map(option => (
+            <option key={option.id} value={option.id}>{option.name}</option>
+          ))}
+        </select>
+        <input
+          type="color"
+          value={scene.floorColor}
+          onChange={(e) => updateScene({ floorColor: e.target.value })}
+          className={colorInputClass}
+          aria-label="Floor color"
+        />
+      </div>
+
+      <SliderRow
+        id="scene-shadow-softness"
+        label="Shadows"
+        value={scene.shadowSoftness}
+        min={0}
+        max={1}
+        step={0.05}
+        format={(value) => `${Math.round(value * 100)}%`}
+        onChange={(shadowSoftness) => updateScene({ shadowSoftness })}
+      />
+      <SliderRow
+        id="scene-light-azimuth"
+        label="Light angle"
+        value={scene.lightAzimuth}
+        min={-180}
+        max={180}
+        step={5}
+        format={(value) => `${value}°`}
+        onChange={(lightAzimuth) => updateScene({ lightAzimuth })}
+      />
+      <SliderRow
+        id="scene-light-elevation"
+        label="Light height"
+        value={scene.lightElevation}
+        min={MIN_LIGHT_ELEVATION}
+        max={MAX_LIGHT_ELEVATION}
+        step={5}
+        format={(value) => `${value}°`}
+        onChange={(lightElevation) => updateScene({ lightElevation })}
+      />
+      {error && <p className="text-xs text-red-700">{error}</p>}
+    </div>
+  );
+};
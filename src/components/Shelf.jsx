@@ -0,0 +1,141 @@
+/**
+ * Book Cover Previewer - Shelf
+ *
+ * Many books at true relative scale on a shelf board. Every book is the same
+ * unit box scaled to its trim and spine, with textures shared per cover, so
+ * large series stay cheap to draw.
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import { BoxGeometry, MeshStandardMaterial } from "three";
+import { getCoverBleed } from "../utils/coverData";
+import { DEFAULT_TRIM_SIZE, DEFAULT_SPINE_WIDTH } from "../utils/trimSizes";
+import { DEFAULT_BINDING_TYPE, getSpreadLayout, getCoverRegions, getRegionUV } from "../utils/bindings";
+import { getShelfBookSize, getShelfLayout } from "../utils/shelfLayout";
+import { getShelfTextureKey, loadShelfTexture, releaseShelfTextures } from "../utils/shelfTextures";
+
+export const SHELF_BOARD_THICKNESS = 0.06;
+const SHELF_BOARD_MARGIN = 0.15;
+const SHELF_BOARD_COLOR = "#8b6b4a";
+
+// Shared by every book: a unit box (faces +X, -X, +Y, -Y, +Z, -Z) and the
+// plain materials for page edges and covers whose image is still loading
+const unitBox = new BoxGeometry(1, 1, 1);
+const pageMaterial = new MeshStandardMaterial({ color: "#f3efe6", roughness: 0.9 });
+const loadingMaterial = new MeshStandardMaterial({ color: "#9ca3af", roughness: 0.8 });
+const loadingMaterials = [loadingMaterial, loadingMaterial, pageMaterial, pageMaterial, loadingMaterial, pageMaterial];
+
+const ShelfBook = ({ cover, texture, item }) => {
+  const materials = useMemo(() => {
+    if (!texture) return loadingMaterials;
+
+    const layout = getSpreadLayout({
+      bindingType: cover.bindingType || DEFAULT_BINDING_TYPE,
+      trimSize: cover.trimSize || DEFAULT_TRIM_SIZE,
+      spineWidthInches: typeof cover.spineWidthInches === "number" ? cover.spineWidthInches : DEFAULT_SPINE_WIDTH,
+      bleed: getCoverBleed(cover)
+    });
+    const regionMaterial = (region) => {
+      const map = texture.clone();
+      const { repeat, offset } = getRegionUV(layout, region);
+      map.repeat.set(repeat[0], repeat[1]);
+      map.offset.set(offset[0], offset[1]);
+      map.needsUpdate = true;
+      return new MeshStandardMaterial({ map, roughness: 0.6 });
+    };
+
+    const regions = getCoverRegions(layout, cover.spreadOrientation);
+    const front = regionMaterial(regions.front);
+    const back = regionMaterial(regions.back);
+    const spine = regionMaterial(regions.spine);
+    return [front, back, pageMaterial, pageMaterial, spine, pageMaterial];
+  }, [cover, texture]);
+
+  useEffect(() => () => {
+    new Set(materials).forEach(material => {
+      if (material === pageMaterial || material === loadingMaterial) return;
+      material.map?.dispose();
+      material.dispose();
+    });
+  }, [materials]);
+
+  return (
+    <mesh
+      geometry={unitBox}
+      material={materials}
+      position={item.position}
+      rotation={item.rotation}
+      scale={item.scale}
+      castShadow
+      receiveShadow
+    />
+  );
+};
+
+/**
+ * Book placement and bounds for a list of covers (see getShelfLayout)
+ */
+export const useShelfLayout = (covers, layout) => {
+  return useMemo(
+    () => getShelfLayout(covers.map(getShelfBookSize), layout),
+    [covers, layout]
+  );
+};
+
+export const Shelf = ({ covers, layout, ...props }) => {
+  const [textures, setTextures] = useState({});
+  const { items, bounds } = useShelfLayout(covers, layout);
+  const textureKey = covers.map(getShelfTextureKey).join(",");
+
+  // Load one texture at a time so a large library doesn't decode every
+  // image at once; drop textures for covers that left the shelf
+  useEffect(() => {
+    let cancelled = false;
+    const keys = new Set(covers.map(getShelfTextureKey));
+    releaseShelfTextures(covers);
+    setTextures(prev => Object.fromEntries(Object.entries(prev).filter(([key]) => keys.has(key))));
+
+    (async () => {
+      for (const cover of covers) {
+        if (cancelled) return;
+        try {
+          const texture = await loadShelfTexture(cover);
+          if (!cancelled) {
+            setTextures(prev => ({ ...prev, [getShelfTextureKey(cover)]: texture }));
+          }
+        } catch (error) {
+          console.warn(`Shelf texture unavailable for ${cover.id}:`, error);
+        }
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [textureKey]);
+
+  useEffect(() => () => releaseShelfTextures(), []);
+
+  if (covers.length === 0) return null;
+
+  return (
+    <group {...props}>
+      {covers.map((cover, index) => (
+        <ShelfBook
+          key={cover.id}
+          cover={cover}
+          texture={textures[getShelfTextureKey(cover)]}
+          item={items[index]}
+        />
+      ))}
+      <mesh
+        position={[0, -SHELF_BOARD_THICKNESS / 2, -bounds.depth / 2]}
+        castShadow
+        receiveShadow
+      >
+        <boxGeometry args={[bounds.width + SHELF_BOARD_MARGIN * 2, SHELF_BOARD_THICKNESS, bounds.depth + SHELF_BOARD_MARGIN]} />
+        <meshStandardMaterial color={SHELF_BOARD_COLOR} roughness={0.7} />
+      </mesh>
+    </group>
+  );
+};
@@ -0,0 +1,148 @@
+/**
+ * Book Cover Previewer - Shelf Controls
+ *
+ * Sidebar panel for the shelf view: which covers to show (the whole library,
+ * a named series or a hand-picked set) and how to arrange them.
+ */
+
+import { useAtom } from 'jotai';
+import { shelfAtom, compareAtom } from './UI';
+import { getCollectionNames, COLLECTION_TYPES } from '../utils/coverData';
+import { useShelfCovers } from '../utils/useShelfCovers';
+import { SHELF_LAYOUT_OPTIONS, SHELF_SOURCES } from '../utils/shelfLayout';
+
+const checkboxClass = 'h-4 w-4 bg-white appearance-none checked:bg-blue-600 checked:border-blue-600 border-2 border-gray-300 rounded';
+
+const SOURCE_OPTIONS = [
+  { id: SHELF_SOURCES.ALL, name: 'All' },
+  { id: SHELF_SOURCES.SERIES, name: 'Series' },
+  { id: SHELF_SOURCES.PICKED, name: 'Pick' }
+];
+
+const optionClass = (active) => `px-2 py-1 text-xs border rounded ${
+  active
+    ? 'border-blue-500 bg-blue-50 text-blue-700'
+    : 'border-gray-300 bg-white text-gray-700 hover:bg-gray-50'
+}`;
+
+export const ShelfControls = ({ covers }) => {
+  const [shelf, setShelf] = useAtom(shelfAtom);
+  const [, setCompare] = useAtom(compareAtom);
+  const shelfCovers = useShelfCovers();
+  const seriesNames = getCollectionNames(COLLECTION_TYPES.SERIES);
+
+  const updateShelf = (updates) => {
+    setShelf(prev => ({ ...prev, ...updates }));
+  };
+
+  const handleToggle = (enabled) => {
+    if (enabled) {
+      // The shelf replaces the single-book and compare scenes
+      setCompare(prev => ({ ...prev, enabled: false }));
+    }
+    updateShelf({ enabled });
+  };
+
+  const handleSourceChange = (source) => {
+    const updates = { source };
+    if (source === SHELF_SOURCES.SERIES && !seriesNames.includes(shelf.series)) {
+      updates.series = seriesNames[0] || '';
+    }
+    updateShelf(updates);
+  };
+
+  const toggleCover = (coverId) => {
+    const coverIds = shelf.coverIds.includes(coverId)
+      ? shelf.coverIds.filter(id => id !== coverId)
+      : [...shelf.coverIds, coverId];
+    updateShelf({ coverIds });
+  };
+
+  return (
+    <div className="mt-3 p-3 border border-gray-200 rounded-md">
+      <div className="flex items-center justify-between">
+        <label className="text-sm font-medium text-gray-700 select-none" htmlFor="shelf-toggle">
+          Shelf view
+        </label>
+        <input
+          id="shelf-toggle"
+          type="checkbox"
+          checked={shelf.enabled}
+          onChange={(e) => handleToggle(e.target.checked)}
+          className={checkboxClass}
+          disabled={covers.length === 0}
+        />
+      </div>
+
+      {shelf.enabled && (
+        <div className="mt-2 space-y-2">
+          <div className="grid grid-cols-3 gap-1">
+            {SHELF_LAYOUT_OPTIONS.map(option => (
+              <button
+                key={option.id}
+                onClick={() => updateShelf({ layout: option.id })}
+                className={optionClass(shelf.layout === option.id)}
+              >
+                {option.name}
+              </button>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-3 gap-1">
+            {SOURCE_OPTIONS.map(option => (
+              <button
+                key={option.id}
+                onClick={() => handleSourceChange(option.id)}
+                className={optionClass(shelf.source === option.id)}
+                disabled={option.id === SHELF_SOURCES.SERIES && seriesNames.length === 0}
+                title={option.id === SHELF_SOURCES.SERIES && seriesNames.length === 0
+                  ? 'Set a series on a cover to use this'
+                  : undefined}
+              >
+                {option.name}
+              </button>
+            ))}
+          </div>
+
+          {shelf.source === SHELF_SOURCES.SERIES && (
+            <select
+              value={shelf.series}
+              onChange={(e) => updateShelf({ series: e.target.value })}
+              className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md bg-white text-gray-900"
+            >
+              {seriesNames.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          )}
+
+          {shelf.source === SHELF_SOURCES.PICKED && (
+            <ul className="max-h-40 overflow-y-auto space-y-1">
+              {covers.map(cover => (
+                <li key={cover.id}>
+                  <label className="flex items-center gap-2 text-xs text-gray-700 select-none">
+                    <input
+                      type="checkbox"
+                      checked={shelf.coverIds.includes(cover.id)}
+                      onChange={() => toggleCover(cover.id)}
+                      className={checkboxClass}
+                    />
+                    <span className="truncate">{cover.originalName}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {shelfCovers.length === 0 ? (
+            <p className="text-xs text-amber-700">No covers to show</p>
+          ) : (
+            <p className="text-xs text-gray-500">
+              {shelfCovers.length} {shelfCovers.length === 1 ? 'book' : 'books'} at true scale
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
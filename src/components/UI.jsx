@@ -1,28 +1,95 @@
 import { atom, useAtom } from "jotai";
-import { useEffect, useState } from "react";
+import { useEffect, useMemo, useState } from "react";
 import { UploadComponent } from "./UploadComponent";
-import { getAllCovers, getCoverDisplayInfo, getCoverImageUrl, getCoverImageUrlByIdAsync, clearAllCovers } from "../utils/coverData";
-import { clearAllFiles } from "../utils/fileSystem";
+import { PreflightBadge, PreflightPanel } from "./PreflightReport";
+import { getAllCovers, getCoverDisplayInfo, getCoverImageUrl, getCoverImageUrlByIdAsync, clearAllCovers, deleteCover } from "../utils/coverData";
 import { useCoverImageUrl } from "../utils/useCoverImageUrl";
+import { DEFAULT_SAFE_MARGIN_INCHES } from "../utils/spreadGuides";
+import { COMPARE_LAYOUTS } from "../utils/compareLayout";
+import { SHELF_LAYOUTS, SHELF_SOURCES } from "../utils/shelfLayout";
+import { loadUnitPreference } from "../utils/units";
+import { DEFAULT_RELIEF_INTENSITY } from "../utils/coverFinishes";
+import { loadSceneSettings } from "../utils/scenePresets";
+import { GuideControls } from "./GuideControls";
+import { FlatSpreadView } from "./FlatSpreadView";
+import { ExportControls } from "./ExportControls";
+import { CameraControls } from "./CameraControls";
+import { LibraryControls } from "./LibraryControls";
+import { CoverEditor } from "./CoverEditor";
+import { CoverVersions } from "./CoverVersions";
+import { InteriorPages } from "./InteriorPages";
+import { CoverFinish } from "./CoverFinish";
+import { PageControls } from "./PageControls";
+import { CompareControls, CompareLabels } from "./CompareControls";
+import { ShelfControls } from "./ShelfControls";
+import { CoverFilters, getVisibleCovers } from "./CoverFilters";
+import { UnitControls } from "./UnitControls";
+import { ReliefControls } from "./ReliefControls";
+import { SceneControls } from "./SceneControls";
 
 // No bundled covers - all covers are user uploads
 
 export const coverAtom = atom(null); // Current selected cover ID
 export const bookOpenAtom = atom(false); // Book open/closed state
+export const pageSpreadAtom = atom(0); // Interior page spread to show while the book is open
 export const sidebarVisibleAtom = atom(true); // Thumbnail sidebar visibility
-export const bleedEnabledAtom = atom(true); // Auto-enabled 0.125" bleed crop
+export const guidesAtom = atom({ // Print guide overlay (3D covers and flat view)
+  enabled: false,
+  bleed: true,
+  safe: true,
+  spine: true,
+  safeMarginInches: DEFAULT_SAFE_MARGIN_INCHES
+});
+export const flatViewAtom = atom(false); // Flat 2D spread view visibility
+export const coverDraftAtom = atom(null); // Unsaved cover edits { id, ...fields }, previewed live in 3D
+export const coverRevisionAtom = atom(0); // Bumped whenever cover metadata is saved
+export const compareAtom = atom({ // Compare mode: several covers in the scene at once
+  enabled: false,
+  coverIds: [],
+  layout: COMPARE_LAYOUTS.SIDE_BY_SIDE,
+  flipIndex: 0
+});
+export const shelfAtom = atom({ // Shelf view: many books at true relative scale
+  enabled: false,
+  source: SHELF_SOURCES.ALL,
+  series: "",
+  coverIds: [],
+  layout: SHELF_LAYOUTS.SPINE_OUT
+});
+export const DEFAULT_COVER_FILTERS = {
+  query: "",
+  collection: "", // "type:name", see CoverFilters
+  tag: "",
+  category: "",
+  sortBy: "oldest"
+};
+export const coverFiltersAtom = atom(DEFAULT_COVER_FILTERS); // Sidebar search, filters and sort order
+export const unitAtom = atom(loadUnitPreference()); // Unit for typing and showing lengths; records stay in inches
+export const reliefViewAtom = atom({ // How embossing is judged: relief strength and the raking-light preset
+  intensity: DEFAULT_RELIEF_INTENSITY,
+  rakingLight: false
+});
+export const sceneAtom = atom(loadSceneSettings()); // Lighting, environment, backdrop and floor; remembered in this browser
 
 
 export const UI = ({ experienceRef }) => {
   const [selectedCoverId, setSelectedCoverId] = useAtom(coverAtom);
   const [bookOpen, setBookOpen] = useAtom(bookOpenAtom);
   const [sidebarVisible, setSidebarVisible] = useAtom(sidebarVisibleAtom);
-  const [bleedEnabled, setBleedEnabled] = useAtom(bleedEnabledAtom);
   const [loading, setLoading] = useState(false);
   const [uploadedCovers, setUploadedCovers] = useState([]);
   const [loadingImageId, setLoadingImageId] = useState(null);
   const [modalVisible, setModalVisible] = useState(false);
   const [modalImageUrl, setModalImageUrl] = useState(null);
+  const [preflightCoverId, setPreflightCoverId] = useState(null);
+  const [editingCoverId, setEditingCoverId] = useState(null);
+  const [libraryError, setLibraryError] = useState(null);
+  const [, setCoverRevision] = useAtom(coverRevisionAtom);
+  const [coverFilters] = useAtom(coverFiltersAtom);
+  const [unit] = useAtom(unitAtom);
+
+  // Covers shown in the sidebar; recomputed whenever the library reloads
+  const visibleCovers = useMemo(() => getVisibleCovers(coverFilters, unit), [uploadedCovers, coverFilters, unit]);
 
   // Load covers on component mount
   useEffect(() => {
@@ -49,35 +116,92 @@ export const UI = ({ experienceRef }) => {
     setSelectedCoverId(newCover.id);
   };
 
+  // Reload after a library import; keep the selection if it still exists
+  const handleLibraryChanged = () => {
+    const covers = getAllCovers();
+    setUploadedCovers(covers);
+    setCoverRevision(revision => revision + 1);
+    if (!covers.some(cover => cover.id === selectedCoverId)) {
+      setSelectedCoverId(covers.length > 0 ? covers[0].id : null);
+    }
+  };
+
   const handleUploadError = (error) => {
     console.error('Upload error:', error);
     // Could add toast notification here
   };
 
+  const handleEditCover = (coverId) => {
+    setEditingCoverId(editingCoverId === coverId ? null : coverId);
+    // Select the cover so edits are previewed on the 3D book
+    handleCoverChange(coverId);
+  };
+
+  const handleCoverSaved = () => {
+    setUploadedCovers(getAllCovers());
+    setEditingCoverId(null);
+  };
+
+  const handleDeleteCover = async (cover) => {
+    const name = cover.originalName || 'this cover';
+    if (!window.confirm(`Delete "${name}"? This removes the cover and its image and cannot be undone.`)) {
+      return;
+    }
+
+    setLibraryError(null);
+    try {
+      await deleteCover(cover.id);
+    } catch (error) {
+      console.error('Failed to delete cover:', error);
+      setLibraryError(`Could not delete "${name}". Please try again.`);
+      return;
+    }
+
+    const covers = getAllCovers();
+    setUploadedCovers(covers);
+    setCoverRevision(revision => revision + 1);
+    if (editingCoverId === cover.id) setEditingCoverId(null);
+    if (preflightCoverId === cover.id) setPreflightCoverId(null);
+    if (selectedCoverId === cover.id) {
+      setSelectedCoverId(covers.length > 0 ? covers[0].id : null);
+    }
+  };
+
   const handleClearAll = async () => {
+    if (!window.confirm(`Delete all ${uploadedCovers.length} covers? This cannot be undone.`)) {
+      return;
+    }
+    setLibraryError(null);
     try {
       setLoading(true);
       await clearAllCovers();
-      await clearAllFiles();
       setUploadedCovers([]);
+      setCoverRevision(revision => revision + 1);
+      setEditingCoverId(null);
       setSelectedCoverId(null);
+    } catch (error) {
+      console.error('Failed to clear covers:', error);
+      setLibraryError('Could not delete the covers. Please try again.');
     } finally {
       setLoading(false);
     }
   };
 
+  // Previous/next step through the covers listed in the sidebar
+  const navigableCovers = visibleCovers.length > 0 ? visibleCovers : uploadedCovers;
+
   const handleNextCover = () => {
-    if (uploadedCovers.length === 0) return;
-    const currentIndex = uploadedCovers.findIndex(cover => cover.id === selectedCoverId);
-    const nextIndex = (currentIndex + 1) % uploadedCovers.length;
-    handleCoverChange(uploadedCovers[nextIndex].id);
+    if (navigableCovers.length === 0) return;
+    const currentIndex = navigableCovers.findIndex(cover => cover.id === selectedCoverId);
+    const nextIndex = (currentIndex + 1) % navigableCovers.length;
+    handleCoverChange(navigableCovers[nextIndex].id);
   };
 
   const handlePreviousCover = () => {
-    if (uploadedCovers.length === 0) return;
-    const currentIndex = uploadedCovers.findIndex(cover => cover.id === selectedCoverId);
-    const prevIndex = currentIndex === 0 ? uploadedCovers.length - 1 : currentIndex - 1;
-    handleCoverChange(uploadedCovers[prevIndex].id);
+    if (navigableCovers.length === 0) return;
+    const currentIndex = navigableCovers.findIndex(cover => cover.id === selectedCoverId);
+    const prevIndex = currentIndex <= 0 ? navigableCovers.length - 1 : currentIndex - 1;
+    handleCoverChange(navigableCovers[prevIndex].id);
   };
 
   const handleCenterView = () => {
@@ -165,6 +289,32 @@ export const UI = ({ experienceRef }) => {
             onUploadError={handleUploadError}
           />
 
+          {/* Measurement Units */}
+          <UnitControls />
+
+          {/* Print Guides */}
+          <GuideControls disabled={!selectedCoverId} />
+
+          {/* Emboss Preview */}
+          <ReliefControls hasRelief={Boolean(uploadedCovers.find(cover => cover.id === selectedCoverId)?.finishMasks?.relief)} />
+
+          {/* Lighting, Backdrop & Floor */}
+          <SceneControls />
+
+          {/* Compare Mode */}
+          <CompareControls covers={uploadedCovers} />
+
+          {/* Shelf & Series View */}
+          <ShelfControls covers={uploadedCovers} />
+
+          {/* Camera Presets & Saved Views */}
+          <CameraControls experienceRef={experienceRef} disabled={!selectedCoverId} />
+
+          {/* Mockup Export */}
+          <ExportControls experienceRef={experienceRef} disabled={!selectedCoverId} />
+
+          {/* Library Backup */}
+          <LibraryControls coverCount={uploadedCovers.length} onLibraryChanged={handleLibraryChanged} />
 
           {/* Manage Covers */}
           <div className="mt-3 mb-5">
@@ -177,8 +327,14 @@ export const UI = ({ experienceRef }) => {
             >
               Clear All
             </button>
+            {libraryError && <p className="mt-2 text-xs text-red-700">{libraryError}</p>}
           </div>
 
+          {/* Search, Filters & Sorting */}
+          {uploadedCovers.length > 0 && (
+            <CoverFilters total={uploadedCovers.length} shown={visibleCovers.length} />
+          )}
+
           {/* Cover Thumbnails */}
           <div className="space-y-4">
             {uploadedCovers.length === 0 ? (
@@ -186,14 +342,19 @@ export const UI = ({ experienceRef }) => {
                 <p>No covers uploaded yet</p>
                 <p className="text-sm">Upload a cover above to get started</p>
               </div>
+            ) : visibleCovers.length === 0 ? (
+              <div className="text-center text-gray-500 py-8">
+                <p>No covers match</p>
+                <p className="text-sm">Try a different search or filter</p>
+              </div>
             ) : (
-              uploadedCovers.map((cover) => {
-                const displayInfo = getCoverDisplayInfo(cover);
+              visibleCovers.map((cover) => {
+                const displayInfo = getCoverDisplayInfo(cover, unit);
                 return (
                   <div key={cover.id} className="relative group">
                     <button
                       onClick={() => handleCoverChange(cover.id)}
-                      className={`w-full pointer-events-auto transition-all duration-300 rounded-lg overflow-hidden ${
+                      className={`relative block w-full pointer-events-auto transition-all duration-300 rounded-lg overflow-hidden ${
                         selectedCoverId === cover.id
                           ? "ring-4 ring-blue-500 shadow-xl"
                           : "ring-2 ring-gray-300 hover:ring-gray-500"
@@ -202,40 +363,33 @@ export const UI = ({ experienceRef }) => {
                       <CoverImage cover={cover} alt={displayInfo.displayName} />
                       {/* Trim size overlay */}
                       <div className="absolute bottom-0 left-0 right-0 bg-black/70 text-white text-xs p-2">
-                        <div className="font-medium">{displayInfo.trimSizeDisplay}</div>
-                        <div className="text-gray-300">{displayInfo.presetName}</div>
+                        <div className="font-medium truncate" title={displayInfo.displayName}>{displayInfo.displayName}</div>
+                        <div className="text-gray-300">{displayInfo.trimSizeDisplay} · {displayInfo.presetName}</div>
+                        {cover.tags?.length > 0 && (
+                          <div className="text-gray-400 truncate">{cover.tags.map(tag => `#${tag}`).join(" ")}</div>
+                        )}
                       </div>
                     </button>
 
-                    {/* Full Image View Button */}
-                    <button
-                      onClick={async (e) => {
-                        e.stopPropagation(); // Prevent triggering cover change
-                        setLoadingImageId(cover.id);
-                        try {
-                          // Use async URL resolution directly
-                          const url = await getCoverImageUrlByIdAsync(cover.id) || `/images/white.png`;
-                          setModalImageUrl(url);
-                          setModalVisible(true);
-                        } catch (error) {
-                          console.error('Failed to load image URL:', error);
-                          // Fallback to white image on error
-                          setModalImageUrl('/images/white.png');
-                          setModalVisible(true);
-                        } finally {
-                          setLoadingImageId(null);
-                        }
-                      }}
-                      disabled={loadingImageId === cover.id}
-                      className={`absolute top-2 right-2 opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-auto text-white p-1.5 rounded-full text-xs ${
-                        loadingImageId === cover.id 
-                          ? 'bg-blue-600 cursor-wait' 
-                          : 'bg-black/60 hover:bg-black/80'
-                      }`}
-                      title={loadingImageId === cover.id ? "Loading image..." : "View full image in new tab"}
-                      aria-label={`View full size of ${displayInfo.displayName} in new tab`}
-                    >
-                      {loadingImageId === cover.id ? (
+                    {/* Preflight Badge */}
+                    <PreflightBadge
+                      preflight={cover.preflight}
+                      expanded={preflightCoverId === cover.id}
+                      onClick={() => setPreflightCoverId(preflightCoverId === cover.id ? null : cover.id)}
+                    />
+
+                    {/* Hover Actions */}
+                    <div className="absolute top-2 right-2 flex gap-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity duration-200">
+                      {/* Edit Button */}
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation(); // Prevent triggering cover change
+                          handleEditCover(cover.id);
+                        }}
+                        className="pointer-events-auto text-white p-1.5 rounded-full text-xs bg-black/60 hover:bg-black/80"
+                        title="Rename or edit trim, spine and bleed"
+                        aria-label={`Edit ${displayInfo.displayName}`}
+                      >
                         <svg
                           width="14"
                           height="14"
@@ -245,11 +399,22 @@ export const UI = ({ experienceRef }) => {
                           strokeWidth="2"
                           strokeLinecap="round"
                           strokeLinejoin="round"
-                          className="animate-spin"
                         >
-                          <path d="M21 12a9 9 0 11-6.219-8.56" />
+                          <path d="M12 20h9" />
+                          <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z" />
                         </svg>
-                      ) : (
+                      </button>
+
+                      {/* Delete Button */}
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation(); // Prevent triggering cover change
+                          handleDeleteCover(cover);
+                        }}
+                        className="pointer-events-auto text-white p-1.5 rounded-full text-xs bg-black/60 hover:bg-red-600"
+                        title="Delete cover"
+                        aria-label={`Delete ${displayInfo.displayName}`}
+                      >
                         <svg
                           width="14"
                           height="14"
@@ -260,12 +425,103 @@ export const UI = ({ experienceRef }) => {
                           strokeLinecap="round"
                           strokeLinejoin="round"
                         >
-                          <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6" />
-                          <polyline points="15,3 21,3 21,9" />
-                          <line x1="10" y1="14" x2="21" y2="3" />
+                          <polyline points="3 6 5 6 21 6" />
+                          <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6" />
+                          <path d="M10 11v6" />
+                          <path d="M14 11v6" />
+                          <path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2" />
                         </svg>
-                      )}
-                    </button>
+                      </button>
+
+                      {/* Full Image View Button */}
+                      <button
+                        onClick={async (e) => {
+                          e.stopPropagation(); // Prevent triggering cover change
+                          setLoadingImageId(cover.id);
+                          try {
+                            // Use async URL resolution directly
+                            const url = await getCoverImageUrlByIdAsync(cover.id) || `/images/white.png`;
+                            setModalImageUrl(url);
+                            setModalVisible(true);
+                          } catch (error) {
+                            console.error('Failed to load image URL:', error);
+                            // Fallback to white image on error
+                            setModalImageUrl('/images/white.png');
+                            setModalVisible(true);
+                          } finally {
+                            setLoadingImageId(null);
+                          }
+                        }}
+                        disabled={loadingImageId === cover.id}
+                        className={`pointer-events-auto text-white p-1.5 rounded-full text-xs ${
+                          loadingImageId === cover.id 
+                            ? 'bg-blue-600 cursor-wait' 
+                            : 'bg-black/60 hover:bg-black/80'
+                        }`}
+                        title={loadingImageId === cover.id ? "Loading image..." : "View full image in new tab"}
+                        aria-label={`View full size of ${displayInfo.displayName} in new tab`}
+                      >
+                        {loadingImageId === cover.id ? (
+                          <svg
+                            width="14"
+                            height="14"
+                            viewBox="0 0 24 24"
+                            fill="none"
+                            stroke="currentColor"
+                            strokeWidth="2"
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            className="animate-spin"
+                          >
+                            <path d="M21 12a9 9 0 11-6.219-8.56" />
+                          </svg>
+                        ) : (
+                          <svg
+                            width="14"
+                            height="14"
+                            viewBox="0 0 24 24"
+                            fill="none"
+                            stroke="currentColor"
+                            strokeWidth="2"
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                          >
+                            <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6" />
+                            <polyline points="15,3 21,3 21,9" />
+                            <line x1="10" y1="14" x2="21" y2="3" />
+                          </svg>
+                        )}
+                      </button>
+                    </div>
+
+                    {/* Preflight Details */}
+                    {preflightCoverId === cover.id && (
+                      <PreflightPanel cover={cover} />
+                    )}
+
+                    {/* Artwork Versions */}
+                    {selectedCoverId === cover.id && (
+                      <CoverVersions cover={cover} onChanged={() => setUploadedCovers(getAllCovers())} />
+                    )}
+
+                    {/* Finish and Special-Finish Masks */}
+                    {selectedCoverId === cover.id && (
+                      <CoverFinish cover={cover} onChanged={() => setUploadedCovers(getAllCovers())} />
+                    )}
+
+                    {/* Interior Page Images */}
+                    {selectedCoverId === cover.id && (
+                      <InteriorPages cover={cover} onChanged={() => setUploadedCovers(getAllCovers())} />
+                    )}
+
+                    {/* Inline Editor */}
+                    {editingCoverId === cover.id && (
+                      <CoverEditor
+                        cover={cover}
+                        onSaved={handleCoverSaved}
+                        onCancel={() => setEditingCoverId(null)}
+                      />
+                    )}
                   </div>
                 );
               })
@@ -359,9 +615,16 @@ export const UI = ({ experienceRef }) => {
         >
           {bookOpen ? "Close Book" : "Open Book"}
         </button>
+
+          {/* Interior Page Navigation */}
+          <PageControls />
         </div>
       </div>
 
+      {/* Flat Spread View */}
+      <CompareLabels />
+      <FlatSpreadView />
+
       {/* Loading Indicator */}
       {loading && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 pointer-events-none">
@@ -400,7 +663,7 @@ export const UI = ({ experienceRef }) => {
 
 const CoverImage = ({ cover, alt }) => {
   const urlSync = getCoverImageUrl(cover);
-  const urlAsync = useCoverImageUrl(cover?.id);
+  const urlAsync = useCoverImageUrl(cover?.id, cover?.currentVersion);
 
   const src = urlSync || urlAsync || "/images/white.png";
   return (
@@ -0,0 +1,42 @@
+/**
+ * Book Cover Previewer - Unit Controls
+ *
+ * Sidebar switch for the unit used to type and display lengths. Stored
+ * values stay in inches; the choice is remembered in this browser.
+ */
+
+import { useAtom } from 'jotai';
+import { unitAtom } from './UI';
+import { UNIT_OPTIONS, saveUnitPreference } from '../utils/units';
+
+export const UnitControls = () => {
+  const [unit, setUnit] = useAtom(unitAtom);
+
+  const handleChange = (nextUnit) => {
+    setUnit(nextUnit);
+    saveUnitPreference(nextUnit);
+  };
+
+  return (
+    <div className="mt-3 p-3 border border-gray-200 rounded-md flex items-center justify-between">
+      <span className="text-sm text-gray-700">Units</span>
+      <div className="flex gap-1" role="group" aria-label="Measurement units">
+        {UNIT_OPTIONS.map(option => (
+          <button
+            key={option.id}
+            onClick={() => handleChange(option.id)}
+            className={`px-2 py-0.5 text-xs border rounded ${
+              unit === option.id
+                ? 'border-blue-500 bg-blue-50 text-blue-700'
+                : 'border-gray-300 bg-white text-gray-700 hover:bg-gray-50'
+            }`}
+            title={option.name}
+            aria-pressed={unit === option.id}
+          >
+            {option.id}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
@@ -7,20 +7,79 @@
 import { useState, useRef, useCallback } from 'react';
 import { useAtom } from 'jotai';
 import { validateFile } from '../utils/fileSystem';
+import { readImageInfo } from '../utils/imageMetadata';
+import {
+  detectTrimFromSpread,
+  findPresetByDimensions,
+  getTrimPresetsByCategory,
+  addUserTrimPreset,
+  deleteUserTrimPreset,
+  USER_PRESET_CATEGORY,
+  TRIM_SIZE_LIMITS,
+  DEFAULT_TRIM_SIZE,
+  DEFAULT_BLEED_INCHES,
+  MAX_SPINE_WIDTH,
+  validateTrimSize,
+  validateBleed
+} from '../utils/trimSizes';
+import {
+  BINDING_OPTIONS,
+  BINDING_TYPES,
+  DEFAULT_BINDING_TYPE,
+  SPREAD_ORIENTATION_OPTIONS,
+  DEFAULT_SPREAD_ORIENTATION,
+  normalizeBleed
+} from '../utils/bindings';
+import {
+  DEFAULT_PAPER_PROFILE_ID,
+  getPaperProfile,
+  getPaperProfilesByPrinter,
+  calculateSpineFromPages,
+  canPrintSpineText
+} from '../utils/paperProfiles';
 import { addCover } from '../utils/coverData';
-import { bleedEnabledAtom } from './UI';
+import {
+  isPdfFile,
+  rasterizePdfCover,
+  deriveCoverSettingsFromBoxes,
+  PDF_DPI_OPTIONS,
+  DEFAULT_PDF_DPI
+} from '../utils/pdfImport';
+import { unitAtom } from './UI';
+import { LengthInput } from './LengthInput';
+import { BleedInputs } from './BleedInputs';
+import { CoverPartsPicker, EMPTY_COVER_PARTS } from './CoverPartsPicker';
+import { COVER_PARTS, buildSpreadFromParts } from '../utils/coverParts';
+import { getUnitSpec, fromInches, formatLength, formatLengthInput, formatDimensions } from '../utils/units';
+
+const SPINE_MISMATCH_TOLERANCE = 0.02; // inches
+
+// Spine widths are kept to a thousandth of an inch
+const roundSpine = (inches) => Math.round(inches * 1000) / 1000;
 
 export const UploadComponent = ({ onUploadSuccess, onUploadError }) => {
   const [isDragOver, setIsDragOver] = useState(false);
   const [isUploading, setIsUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [selectedTrimSize, setSelectedTrimSize] = useState({ width: 5.0, height: 8.0 });
-  const [customTrimSize, setCustomTrimSize] = useState({ width: '', height: '' });
+  const [customTrimSize, setCustomTrimSize] = useState({ width: NaN, height: NaN }); // inches
   const [useCustomSize, setUseCustomSize] = useState(false);
-  const [spineWidthInches, setSpineWidthInches] = useState('0.543');
+  const [presetGroups, setPresetGroups] = useState(getTrimPresetsByCategory);
+  const [presetName, setPresetName] = useState('');
+  const [presetError, setPresetError] = useState(null);
+  const [spineWidthInches, setSpineWidthInches] = useState(0.543); // NaN when not entered
   const [pageCount, setPageCount] = useState('');
+  const [paperProfileId, setPaperProfileId] = useState(DEFAULT_PAPER_PROFILE_ID);
+  const [bindingType, setBindingType] = useState(DEFAULT_BINDING_TYPE);
+  const [spreadOrientation, setSpreadOrientation] = useState(DEFAULT_SPREAD_ORIENTATION);
+  const [pdfDpi, setPdfDpi] = useState(DEFAULT_PDF_DPI);
+  const [pdfNotice, setPdfNotice] = useState(null);
+  const [pendingUpload, setPendingUpload] = useState(null);
   const [error, setError] = useState(null);
-  const [bleedEnabled, setBleedEnabled] = useAtom(bleedEnabledAtom);
+  const [artworkSource, setArtworkSource] = useState('spread'); // 'spread' or 'parts'
+  const [partFiles, setPartFiles] = useState(EMPTY_COVER_PARTS);
+  const [bleed, setBleed] = useState(() => normalizeBleed(DEFAULT_BLEED_INCHES)); // inches per side, NaN when empty
+  const [unit] = useAtom(unitAtom);
   const fileInputRef = useRef(null);
 
   // Handle drag events
@@ -44,8 +103,8 @@ export const UploadComponent = ({ onUploadSuccess, onUploadError }) => {
     e.stopPropagation();
   }, []);
 
-  // Handle file drop
-  const handleDrop = useCallback(async (e) => {
+  // Handle file drop (not memoized so it sees the current form state)
+  const handleDrop = async (e) => {
     e.preventDefault();
     e.stopPropagation();
     setIsDragOver(false);
@@ -54,7 +113,7 @@ export const UploadComponent = ({ onUploadSuccess, onUploadError }) => {
     if (files.length > 0) {
       await processFile(files[0]);
     }
-  }, []);
+  };
 
   // Handle file input change
   const handleFileSelect = async (e) => {
@@ -67,6 +126,8 @@ export const UploadComponent = ({ onUploadSuccess, onUploadError }) => {
   // Process uploaded file
   const processFile = async (file) => {
     setError(null);
+    setPdfNotice(null);
+    setPendingUpload(null);
     setIsUploading(true);
     setUploadProgress(0);
 
@@ -77,44 +138,188 @@ export const UploadComponent = ({ onUploadSuccess, onUploadError }) => {
         throw new Error(validation.error);
       }
 
-      // Simulate upload progress
-      const progressInterval = setInterval(() => {
-        setUploadProgress(prev => {
-          if (prev >= 90) {
-            clearInterval(progressInterval);
-            return 90;
-          }
-          return prev + 10;
-        });
-      }, 100);
-
       // Get trim size
-      const finalTrimSize = useCustomSize ? {
-        width: parseFloat(customTrimSize.width),
-        height: parseFloat(customTrimSize.height)
-      } : selectedTrimSize;
+      const finalTrimSize = resolveTrimSize();
 
       // Add cover to system (include optional spine width)
-      // Ensure spine width is provided (either directly or via page count calculator)
-      const PER_PAGE_THICKNESS = 0.0025; // inches per page
-      let spineInches = spineWidthInches;
-      if ((spineInches === '' || isNaN(parseFloat(spineInches))) && pageCount !== '') {
-        const pages = parseInt(pageCount, 10);
-        if (Number.isFinite(pages) && pages > 0) {
-          spineInches = (pages * PER_PAGE_THICKNESS).toFixed(3);
+      let spineInches = resolveSpineInches();
+
+      // Size detection assumes a paperback spread; hardcover spreads add wrap or flaps
+      const detectSettings = bindingType === BINDING_TYPES.PAPERBACK;
+
+      // PDF cover spreads are rasterized locally and their page boxes suggest trim and spine
+      let uploadFile = file;
+      const extraOptions = {};
+      if (isPdfFile(file)) {
+        const raster = await rasterizePdfCover(file, pdfDpi);
+        const detected = detectSettings
+          ? deriveCoverSettingsFromBoxes(raster.boxes, finalTrimSize)
+          : { trimSize: null, bleedInches: null, spineWidthInches: null };
+        uploadFile = raster.file;
+        extraOptions.sourceFormat = 'pdf';
+        extraOptions.rasterDpi = raster.dpi;
+        extraOptions.imageDimensions = { width: raster.width, height: raster.height };
+        // The raster is cropped to the bleed box, so its bleed replaces the form value
+        if (detected.bleedInches !== null) {
+          extraOptions.bleed = detected.bleedInches;
+        }
+
+        // An empty spine is filled in; entered values are only replaced when the user chooses
+        if (!Number.isFinite(spineInches) && detected.spineWidthInches > 0) {
+          spineInches = roundSpine(detected.spineWidthInches);
           setSpineWidthInches(spineInches);
         }
+
+        const notice = describeDetectedSettings(detected, raster.dpi, pdfDpi);
+        if (holdForMismatch(uploadFile, finalTrimSize, spineInches, extraOptions, detected, 'The PDF', notice)) {
+          return;
+        }
+        setPdfNotice(notice);
+      } else {
+        // Raster spreads: suggest trim and spine from pixel size and embedded DPI
+        const info = await readImageInfo(file);
+        extraOptions.imageDimensions = { width: info.width, height: info.height };
+        extraOptions.colorSpace = info.colorSpace;
+        if (info.dpi) {
+          extraOptions.imageDpi = info.dpi.x;
+        }
+
+        const detected = detectSettings ? detectTrimFromSpread(info, info.dpi?.x, finalTrimSize) : null;
+        if (detected) {
+          if (!Number.isFinite(spineInches)) {
+            spineInches = roundSpine(detected.spineWidthInches);
+            setSpineWidthInches(spineInches);
+          }
+
+          const notice = `Detected at ${detected.dpi} DPI (${detected.dpiSource})` +
+            (detected.bleedInches > 0 ? ` with ${formatLength(detected.bleedInches, unit)} bleed` : ' without bleed');
+          if (holdForMismatch(uploadFile, finalTrimSize, spineInches, extraOptions, detected, 'Image', notice)) {
+            return;
+          }
+        }
+      }
+
+      await commitUpload(uploadFile, finalTrimSize, spineInches, extraOptions);
+    } catch (error) {
+      reportUploadError(error);
+    } finally {
+      setIsUploading(false);
+      setUploadProgress(0);
+    }
+  };
+
+  // Selected preset, or the custom size once it is entered and within limits
+  const resolveTrimSize = () => {
+    if (!useCustomSize) {
+      return selectedTrimSize;
+    }
+    if (!Number.isFinite(customTrimSize.width) || !Number.isFinite(customTrimSize.height)) {
+      throw new Error('Enter a custom trim size before adding the cover');
+    }
+    const validation = validateTrimSize(fromInches(customTrimSize.width, unit), fromInches(customTrimSize.height, unit), unit);
+    if (!validation.valid) {
+      throw new Error(validation.errors[0]);
+    }
+    return customTrimSize;
+  };
+
+  // Spine width as entered, or calculated from the page count when left empty
+  const resolveSpineInches = () => {
+    if (!Number.isFinite(spineWidthInches) && pageCount !== '') {
+      const computed = calculateSpineFromPages(pageCount, paperProfileId);
+      if (computed !== null) {
+        const spineInches = roundSpine(computed);
+        setSpineWidthInches(spineInches);
+        return spineInches;
       }
-      const parsedSpine = parseFloat(spineInches);
-      if (!Number.isFinite(parsedSpine) || parsedSpine <= 0) {
+    }
+    return spineWidthInches;
+  };
+
+  // Build a spread from separate front, spine and back images and store it
+  const processParts = async () => {
+    setError(null);
+    setPdfNotice(null);
+    setPendingUpload(null);
+    setIsUploading(true);
+    setUploadProgress(0);
+
+    try {
+      COVER_PARTS.forEach(name => {
+        const file = partFiles[name];
+        if (!file) return;
+        const validation = validateFile(file);
+        if (!validation.valid) {
+          throw new Error(validation.error);
+        }
+        if (isPdfFile(file)) {
+          throw new Error('Cover parts must be PNG, JPG or WebP images');
+        }
+      });
+
+      const trimSize = resolveTrimSize();
+      const spineInches = resolveSpineInches();
+      if (!Number.isFinite(spineInches) || spineInches <= 0) {
         throw new Error('Spine width is required. Enter it directly or provide a valid page count.');
       }
 
-      const options = { spineWidthInches: parsedSpine };
-      const newCover = await addCover(file, finalTrimSize, options);
+      const built = await buildSpreadFromParts(partFiles, { bindingType, trimSize, spineWidthInches: spineInches, spreadOrientation });
+      // Parts are trimmed panels, so the built spread has no bleed
+      await commitUpload(built.file, trimSize, spineInches, {
+        sourceFormat: 'parts',
+        sourceParts: built.sourceParts,
+        imageDimensions: built.imageDimensions,
+        imageDpi: built.imageDpi,
+        colorSpace: 'rgb',
+        bleed: 0
+      });
+      setPartFiles(EMPTY_COVER_PARTS);
+    } catch (error) {
+      reportUploadError(error);
+    } finally {
+      setIsUploading(false);
+      setUploadProgress(0);
+    }
+  };
+
+  // Store the cover once trim and spine values are settled
+  const commitUpload = async (uploadFile, trimSize, spineInches, extraOptions) => {
+    if (!Number.isFinite(spineInches) || spineInches <= 0) {
+      throw new Error('Spine width is required. Enter it directly or provide a valid page count.');
+    }
+    // Bleed read from a PDF replaces the form values, which are only checked when used
+    if (extraOptions.bleed === undefined) {
+      const bleedCheck = validateBleed(bleed, unit);
+      if (!bleedCheck.valid) {
+        throw new Error(bleedCheck.errors[0]);
+      }
+    }
+
+    // Simulate upload progress
+    const progressInterval = setInterval(() => {
+      setUploadProgress(prev => {
+        if (prev >= 90) {
+          clearInterval(progressInterval);
+          return 90;
+        }
+        return prev + 10;
+      });
+    }, 100);
+
+    try {
+      const pages = parseInt(pageCount, 10);
+      const options = {
+        spineWidthInches: spineInches,
+        bindingType,
+        spreadOrientation,
+        paperProfileId,
+        pageCount: Number.isFinite(pages) && pages > 0 ? pages : undefined,
+        bleed,
+        ...extraOptions
+      };
+      const newCover = await addCover(uploadFile, trimSize, options);
 
       setUploadProgress(100);
-      clearInterval(progressInterval);
 
       // Success callback
       if (onUploadSuccess) {
@@ -123,38 +328,125 @@ export const UploadComponent = ({ onUploadSuccess, onUploadError }) => {
 
       // Reset form
       resetForm();
+    } finally {
+      clearInterval(progressInterval);
+    }
+  };
 
-    } catch (error) {
-      // Provide more specific error messages
-      let errorMessage = error.message;
-      if (error.message.includes('Spine width is required')) {
-        errorMessage = 'Please enter a valid spine width or page count';
-      } else if (error.message.includes('File size must be less than 10MB')) {
-        errorMessage = 'File is too large. Please choose a smaller image (max 10MB)';
-      } else if (error.message.includes('File must be PNG, JPG, JPEG, or WebP')) {
-        errorMessage = 'Please choose a PNG, JPG, JPEG, or WebP image file';
-      } else if (error.message.includes('Failed to read file')) {
-        errorMessage = 'Could not read the file. Please try a different image';
-      } else if (error.message.includes('Failed to decode image')) {
-        errorMessage = 'The image file appears to be corrupted. Please try a different file';
+  // Hold the upload until the user picks the detected or entered values; false when they agree
+  const holdForMismatch = (file, trimSize, spineInches, options, detected, source, notice) => {
+    const mismatch = describeMismatch(detected, trimSize, spineInches, source);
+    if (mismatch.length === 0) {
+      return false;
+    }
+    setPendingUpload({ file, trimSize, spineInches, options, detected, mismatch, notice });
+    return true;
+  };
+
+  // Resolve a held upload with either the detected or the entered values
+  const resolvePendingUpload = async (useDetected) => {
+    if (!pendingUpload) return;
+    const { file, trimSize, spineInches, options, detected, notice } = pendingUpload;
+
+    setPendingUpload(null);
+    setIsUploading(true);
+    try {
+      if (useDetected) {
+        // PDF page boxes may settle only some of the values
+        const detectedTrim = detected.trimSize || trimSize;
+        const detectedSpine = detected.spineWidthInches > 0 ? roundSpine(detected.spineWidthInches) : spineInches;
+        const detectedOptions = { ...options };
+        applyDetectedTrimSize(detectedTrim);
+        setSpineWidthInches(detectedSpine);
+        if (detected.bleedInches !== null) {
+          setBleed(normalizeBleed(detected.bleedInches));
+          detectedOptions.bleed = detected.bleedInches;
+        }
+        await commitUpload(file, detectedTrim, detectedSpine, detectedOptions);
+      } else {
+        await commitUpload(file, trimSize, spineInches, options);
       }
-      
-      setError(errorMessage);
-      if (onUploadError) {
-        onUploadError(error);
+      if (options.sourceFormat === 'pdf') {
+        setPdfNotice(notice);
       }
+    } catch (error) {
+      reportUploadError(error);
     } finally {
       setIsUploading(false);
       setUploadProgress(0);
     }
   };
 
+  const cancelPendingUpload = () => {
+    setPendingUpload(null);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  // Provide more specific error messages
+  const reportUploadError = (error) => {
+    let errorMessage = error.message;
+    if (error.message.includes('Spine width is required')) {
+      errorMessage = 'Please enter a valid spine width or page count';
+    } else if (error.message.includes('File size must be less than 10MB')) {
+      errorMessage = 'File is too large. Please choose a smaller image (max 10MB)';
+    } else if (error.message.includes('PDF size must be less than 50MB')) {
+      errorMessage = 'PDF is too large. Please choose a smaller file (max 50MB)';
+    } else if (error.message.includes('File must be PNG, JPG, JPEG, WebP, or PDF')) {
+      errorMessage = 'Please choose a PNG, JPG, JPEG, WebP image or a PDF cover spread';
+    } else if (error.message.includes('PDF must contain exactly one page')) {
+      errorMessage = 'The PDF has more than one page. Please upload a single-page cover spread';
+    } else if (error.message.includes('Invalid PDF') || error.name === 'InvalidPDFException') {
+      errorMessage = 'The PDF could not be opened. Please try a different file';
+    } else if (error.message.includes('Failed to read file')) {
+      errorMessage = 'Could not read the file. Please try a different image';
+    } else if (error.message.includes('Failed to decode image')) {
+      errorMessage = 'The image file appears to be corrupted. Please try a different file';
+    } else if (error.name === 'QuotaExceededError') {
+      errorMessage = 'Browser storage is full. Delete some covers and try again';
+    }
+
+    setError(errorMessage);
+    if (onUploadError) {
+      onUploadError(error);
+    }
+  };
+
+  // List differences between detected and entered trim/spine values
+  const describeMismatch = (detected, trimSize, spineInches, source) => {
+    const issues = [];
+    if (
+      detected.trimSize && (
+        Math.abs(detected.trimSize.width - trimSize.width) > 0.01 ||
+        Math.abs(detected.trimSize.height - trimSize.height) > 0.01
+      )
+    ) {
+      const detectedName = detected.preset?.name ||
+        findPresetByDimensions(detected.trimSize.width, detected.trimSize.height)?.name ||
+        formatDimensions(detected.trimSize.width, detected.trimSize.height, unit);
+      // Presets sharing a height fit the same spread; "Use detected" takes the first
+      const alternatives = detected.ambiguous && detected.alternatives?.length
+        ? ` (or ${detected.alternatives.map(preset => preset.name).join(' or ')}, which share its height)`
+        : '';
+      issues.push(`${source} fits ${detectedName}${alternatives}, but ${formatDimensions(trimSize.width, trimSize.height, unit)} is selected`);
+    }
+    if (
+      detected.spineWidthInches > 0 &&
+      Number.isFinite(spineInches) &&
+      Math.abs(detected.spineWidthInches - spineInches) > SPINE_MISMATCH_TOLERANCE
+    ) {
+      issues.push(`${source} implies a ${formatLength(detected.spineWidthInches, unit)} spine, but ${formatLength(spineInches, unit)} is entered`);
+    }
+    return issues;
+  };
+
   // Reset form to initial state
   const resetForm = () => {
     setError(null);
     setUploadProgress(0);
     setIsUploading(false);
-    setSpineWidthInches('');
+    setSpineWidthInches(NaN);
     setPageCount('');
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
@@ -167,6 +459,45 @@ export const UploadComponent = ({ onUploadSuccess, onUploadError }) => {
     setUseCustomSize(false);
   };
 
+  // Select the preset matching a detected trim size, or fill in the custom inputs
+  const applyDetectedTrimSize = (trimSize) => {
+    const preset = findPresetByDimensions(trimSize.width, trimSize.height);
+    if (preset) {
+      handleTrimSizeChange(preset);
+    } else {
+      setCustomTrimSize({ width: trimSize.width, height: trimSize.height });
+      setUseCustomSize(true);
+    }
+  };
+
+  // Summarize what was read from the PDF page boxes
+  const describeDetectedSettings = (detected, dpi, requestedDpi) => {
+    const parts = [dpi < requestedDpi ? `Rasterized at ${dpi} DPI (the most a spread this size allows)` : `Rasterized at ${dpi} DPI`];
+    if (detected.trimSize) parts.push(`trim ${formatDimensions(detected.trimSize.width, detected.trimSize.height, unit)}`);
+    if (detected.spineWidthInches !== null) parts.push(`spine ${formatLength(detected.spineWidthInches, unit)}`);
+    if (detected.bleedInches !== null) parts.push(`bleed ${formatLength(detected.bleedInches, unit)}`);
+    return parts.join(', ');
+  };
+
+  // Recalculate spine width from page count with the selected paper profile
+  const handlePageCountChange = (value) => {
+    setPageCount(value);
+    const computed = calculateSpineFromPages(value, paperProfileId);
+    if (computed !== null) {
+      setSpineWidthInches(roundSpine(computed));
+    }
+  };
+
+  const handlePaperProfileChange = (profileId) => {
+    setPaperProfileId(profileId);
+    const computed = calculateSpineFromPages(pageCount, profileId);
+    if (computed !== null) {
+      setSpineWidthInches(roundSpine(computed));
+    }
+  };
+
+  const paperProfile = getPaperProfile(paperProfileId);
+
   // Handle custom trim size input
   const handleCustomTrimSizeChange = (field, value) => {
     setCustomTrimSize(prev => ({
@@ -175,31 +506,107 @@ export const UploadComponent = ({ onUploadSuccess, onUploadError }) => {
     }));
   };
 
-  // Essential trim sizes for quick selection
-  const presetSizes = [
-    { width: 4.25, height: 6.87, name: '4.25" × 6.87"', category: 'Fiction' },
-    { width: 5.0, height: 8.0, name: '5" × 8"', category: 'Fiction' },
-    { width: 6.0, height: 9.0, name: '6" × 9"', category: 'Fiction' },
-    { width: 8.5, height: 11.0, name: '8.5" × 11"', category: 'Textbook' }
-  ];
+  const presets = presetGroups.flatMap(group => group.presets);
+  const selectedPreset = useCustomSize
+    ? null
+    : findPresetByDimensions(selectedTrimSize.width, selectedTrimSize.height);
+
+  const handlePresetSelect = (presetId) => {
+    const preset = presets.find(entry => entry.id === presetId);
+    if (preset) {
+      handleTrimSizeChange(preset);
+    }
+  };
+
+  // Keep the custom size as a preset and switch to it
+  const handleSavePreset = () => {
+    setPresetError(null);
+    try {
+      const preset = addUserTrimPreset({
+        name: presetName,
+        width: customTrimSize.width,
+        height: customTrimSize.height
+      }, unit);
+      setPresetGroups(getTrimPresetsByCategory());
+      setPresetName('');
+      handleTrimSizeChange(preset);
+    } catch (err) {
+      setPresetError(err.message);
+    }
+  };
+
+  const handleDeletePreset = (preset) => {
+    if (!window.confirm(`Remove the preset "${preset.name}"? Covers using this size are not changed.`)) {
+      return;
+    }
+    deleteUserTrimPreset(preset.id);
+    setPresetGroups(getTrimPresetsByCategory());
+  };
 
   return (
     <div className="p-4 border-b border-gray-200 bg-white">
       <h3 className="text-lg font-semibold mb-4 text-gray-800">Upload Cover Art</h3>
 
-      {/* Bleed toggle */}
-      <div className="mb-4 flex items-center justify-between">
-        <label className="text-sm text-gray-700 select-none" htmlFor="bleed-toggle">
-          Apply 0.125" bleed
+      {/* Bleed per side (spreads built from parts have none) */}
+      {artworkSource === 'spread' && (
+        <fieldset className="mb-4">
+          <legend className="block text-sm font-medium text-gray-700 mb-2">
+            Bleed ({unit})
+          </legend>
+          <BleedInputs
+            id="upload-bleed"
+            unit={unit}
+            bleed={bleed}
+            onChange={setBleed}
+            inputClassName="w-full px-2 py-1 text-sm border border-gray-300 rounded-md bg-white text-gray-900"
+            disabled={isUploading}
+          />
+          <p className="mt-1 text-xs text-gray-500">
+            Most printers use {formatLength(DEFAULT_BLEED_INCHES, unit)}; set a side to 0 if the file has none there
+          </p>
+        </fieldset>
+      )}
+
+      {/* Binding Type */}
+      <div className="mb-4">
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Binding
+        </label>
+        <div className="grid grid-cols-3 gap-2">
+          {BINDING_OPTIONS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setBindingType(option.id)}
+              className={`px-2 py-2 text-xs border rounded transition-colors ${
+                bindingType === option.id
+                  ? 'border-blue-500 bg-blue-50 text-blue-700'
+                  : 'border-gray-300 hover:border-gray-400 text-gray-800 bg-white'
+              }`}
+              disabled={isUploading}
+            >
+              <div className="font-medium">{option.name}</div>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Spread layout: panel order in the file and the binding edge */}
+      <div className="mb-4 flex items-center justify-between gap-2">
+        <label className="text-sm text-gray-700 select-none" htmlFor="spread-orientation">
+          Spread layout
         </label>
-        <input
-          id="bleed-toggle"
-          type="checkbox"
-          checked={bleedEnabled}
-          onChange={(e) => setBleedEnabled(e.target.checked)}
-          className="h-4 w-4 bg-white appearance-none checked:bg-blue-600 checked:border-blue-600 border-2 border-gray-300 rounded"
+        <select
+          id="spread-orientation"
+          value={spreadOrientation}
+          onChange={(e) => setSpreadOrientation(e.target.value)}
+          className="px-2 py-1 text-sm border border-gray-300 rounded-md bg-white text-gray-900"
           disabled={isUploading}
-        />
+          title={SPREAD_ORIENTATION_OPTIONS.find(option => option.id === spreadOrientation)?.description}
+        >
+          {SPREAD_ORIENTATION_OPTIONS.map(option => (
+            <option key={option.id} value={option.id}>{option.name}</option>
+          ))}
+        </select>
       </div>
 
       {/* Trim Size Selection */}
@@ -209,24 +616,37 @@ export const UploadComponent = ({ onUploadSuccess, onUploadError }) => {
         </label>
 
         {/* Preset Sizes */}
-        <div className="grid grid-cols-2 gap-2 mb-3">
-          {presetSizes.map((size, index) => (
+        <div className="flex gap-2 mb-1">
+          <select
+            value={selectedPreset?.id || ''}
+            onChange={(e) => handlePresetSelect(e.target.value)}
+            className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded-md bg-white text-gray-900"
+            disabled={isUploading}
+            aria-label="Trim size preset"
+          >
+            {!selectedPreset && <option value="">Custom size</option>}
+            {presetGroups.map(group => (
+              <optgroup key={group.category} label={group.category}>
+                {group.presets.map(preset => (
+                  <option key={preset.id} value={preset.id}>{preset.name}</option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+          {selectedPreset?.category === USER_PRESET_CATEGORY && (
             <button
-              key={index}
-              onClick={() => handleTrimSizeChange(size)}
-              className={`px-3 py-2 text-xs border rounded transition-colors ${
-                !useCustomSize &&
-                selectedTrimSize.width === size.width &&
-                selectedTrimSize.height === size.height
-                  ? 'border-blue-500 bg-blue-50 text-blue-700'
-                  : 'border-gray-300 hover:border-gray-400 text-gray-800 bg-white'
-              }`}
+              onClick={() => handleDeletePreset(selectedPreset)}
+              className="px-2 py-1 text-xs border border-gray-300 rounded-md bg-white text-gray-700 hover:bg-gray-50"
               disabled={isUploading}
+              title="Remove this preset"
             >
-              <div className="font-medium">{size.name}</div>
+              Remove
             </button>
-          ))}
+          )}
         </div>
+        <p className="mb-3 text-xs text-gray-500 min-h-[1rem]">
+          {selectedPreset?.printers?.length > 0 && `${formatDimensions(selectedPreset.width, selectedPreset.height, unit)} · ${selectedPreset.printers.join(', ')}`}
+        </p>
 
         {/* Custom Size Toggle */}
         <div className="flex items-center mb-2">
@@ -247,33 +667,51 @@ export const UploadComponent = ({ onUploadSuccess, onUploadError }) => {
         {useCustomSize && (
           <div className="grid grid-cols-2 gap-2">
             <div>
-              <label className="block text-xs text-gray-600 mb-1">Width (inches)</label>
-              <input
-                type="number"
-                step="0.01"
-                min="0.1"
-                max="20"
-                value={customTrimSize.width}
-                onChange={(e) => handleCustomTrimSizeChange('width', e.target.value)}
+              <label className="block text-xs text-gray-600 mb-1">Width ({getUnitSpec(unit).label})</label>
+              <LengthInput
+                unit={unit}
+                min={TRIM_SIZE_LIMITS.MIN_WIDTH}
+                max={TRIM_SIZE_LIMITS.MAX_WIDTH}
+                inches={customTrimSize.width}
+                onChange={(value) => handleCustomTrimSizeChange('width', value)}
                 className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md bg-white text-gray-900 appearance-none"
-                placeholder="5.0"
+                placeholder={formatLengthInput(DEFAULT_TRIM_SIZE.width, unit)}
                 disabled={isUploading}
               />
             </div>
             <div>
-              <label className="block text-xs text-gray-600 mb-1">Height (inches)</label>
-              <input
-                type="number"
-                step="0.01"
-                min="0.1"
-                max="20"
-                value={customTrimSize.height}
-                onChange={(e) => handleCustomTrimSizeChange('height', e.target.value)}
+              <label className="block text-xs text-gray-600 mb-1">Height ({getUnitSpec(unit).label})</label>
+              <LengthInput
+                unit={unit}
+                min={TRIM_SIZE_LIMITS.MIN_HEIGHT}
+                max={TRIM_SIZE_LIMITS.MAX_HEIGHT}
+                inches={customTrimSize.height}
+                onChange={(value) => handleCustomTrimSizeChange('height', value)}
                 className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md bg-white text-gray-900 appearance-none"
-                placeholder="8.0"
+                placeholder={formatLengthInput(DEFAULT_TRIM_SIZE.height, unit)}
                 disabled={isUploading}
               />
             </div>
+            <div className="col-span-2 flex gap-2">
+              <input
+                type="text"
+                value={presetName}
+                onChange={(e) => setPresetName(e.target.value)}
+                className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded-md bg-white text-gray-900"
+                placeholder="Preset name (optional)"
+                maxLength={60}
+                disabled={isUploading}
+              />
+              <button
+                onClick={handleSavePreset}
+                className="px-2 py-1 text-xs border border-gray-300 rounded-md bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+                disabled={isUploading || !Number.isFinite(customTrimSize.width) || !Number.isFinite(customTrimSize.height)}
+                title="Save this size to the preset list"
+              >
+                Save preset
+              </button>
+            </div>
+            {presetError && <p className="col-span-2 text-xs text-red-700">{presetError}</p>}
           </div>
         )}
       </div>
@@ -281,124 +719,239 @@ export const UploadComponent = ({ onUploadSuccess, onUploadError }) => {
       {/* Page count calculator and spine width (required) */}
       <div className="mb-4 grid grid-cols-1 gap-2">
         <div>
-          <label className="block text-xs text-gray-600 mb-1">Page count (optional, auto-calculates spine at 0.0025"/page)</label>
+          <label className="block text-xs text-gray-600 mb-1" htmlFor="paper-profile">Printer &amp; paper</label>
+          <select
+            id="paper-profile"
+            value={paperProfileId}
+            onChange={(e) => handlePaperProfileChange(e.target.value)}
+            className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md bg-white text-gray-900"
+            disabled={isUploading}
+          >
+            {getPaperProfilesByPrinter().map(group => (
+              <optgroup key={group.printer} label={group.printer}>
+                {group.profiles.map(profile => (
+                  <option key={profile.id} value={profile.id}>{profile.name}</option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">
+            Page count (optional, auto-calculates spine at {formatLength(paperProfile.perPageInches, unit, 4)}/page)
+          </label>
           <input
             type="number"
             step="1"
             min="1"
             max="2000"
             value={pageCount}
-            onChange={(e) => {
-              const val = e.target.value;
-              setPageCount(val);
-              const pages = parseInt(val, 10);
-              if (Number.isFinite(pages) && pages > 0) {
-                const computed = (pages * 0.0025).toFixed(3);
-                setSpineWidthInches(computed);
-              }
-            }}
+            onChange={(e) => handlePageCountChange(e.target.value)}
             className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md bg-white text-gray-900 appearance-none"
             placeholder="e.g. 217"
             disabled={isUploading}
           />
+          {pageCount !== '' && !canPrintSpineText(pageCount, paperProfileId) && (
+            <p className="mt-1 text-xs text-amber-700">
+              {paperProfile.printer} allows spine text from {paperProfile.minSpineTextPages} pages
+            </p>
+          )}
         </div>
         <div>
-          <label className="block text-xs text-red-600 mb-1">Spine width (inches, required)</label>
-          <input
-            type="number"
-            step="0.001"
-            min="0.001"
-            max="5"
-            value={spineWidthInches}
-            onChange={(e) => setSpineWidthInches(e.target.value)}
+          <label className="block text-xs text-red-600 mb-1">Spine width ({getUnitSpec(unit).label}, required)</label>
+          <LengthInput
+            unit={unit}
+            min={0}
+            max={MAX_SPINE_WIDTH}
+            inches={spineWidthInches}
+            onChange={setSpineWidthInches}
             className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md bg-white text-gray-900 appearance-none"
-            placeholder="e.g. 0.543"
+            placeholder={`e.g. ${formatLengthInput(0.543, unit)}`}
             disabled={isUploading}
             required
           />
         </div>
       </div>
 
-      {/* Upload Area */}
-      <div
-        className={`relative border-2 border-dashed rounded-lg p-6 transition-colors ${
-          isDragOver
-            ? 'border-blue-400 bg-blue-50'
-            : error
-            ? 'border-red-400 bg-red-50'
-            : 'border-gray-300 hover:border-gray-400'
-        } ${isUploading ? 'opacity-50 pointer-events-none' : ''}`}
-        onDragEnter={handleDragEnter}
-        onDragLeave={handleDragLeave}
-        onDragOver={handleDragOver}
-        onDrop={handleDrop}
-      >
-        <div className="text-center">
-          <svg
-            className={`mx-auto h-12 w-12 mb-4 ${
-              isDragOver ? 'text-blue-400' : error ? 'text-red-400' : 'text-gray-400'
-            }`}
-            stroke="currentColor"
-            fill="none"
-            viewBox="0 0 48 48"
-            aria-hidden="true"
-          >
-            <path
-              d="M28 8H12a4 4 0 00-4 4v20m32-12v8m0 0v8a4 4 0 01-4 4H12a4 4 0 01-4-4v-4m32-4l-3.172-3.172a4 4 0 00-5.656 0L28 28M8 32l9.172-9.172a4 4 0 015.656 0L28 28m0 0l4 4m4-24h8m-4-4v8m-12 4h.02"
-              strokeWidth={2}
-              strokeLinecap="round"
-              strokeLinejoin="round"
-            />
-          </svg>
-
-          <div className="mb-4">
-            <p className="text-lg font-medium text-gray-900 mb-1">
-              {isDragOver ? 'Drop your cover image here' : 'Upload cover art'}
-            </p>
-            <p className="text-sm text-gray-500">
-              Drag and drop your PNG, JPG, or WebP file here, or click to browse
-            </p>
-            <p className="text-xs text-gray-400 mt-1">
-              Maximum file size: 10MB
-            </p>
-          </div>
+      {/* PDF rasterization resolution */}
+      <div className="mb-4 flex items-center justify-between">
+        <label className="text-sm text-gray-700 select-none" htmlFor="pdf-dpi">
+          PDF import resolution
+        </label>
+        <select
+          id="pdf-dpi"
+          value={pdfDpi}
+          onChange={(e) => setPdfDpi(parseInt(e.target.value, 10))}
+          className="px-2 py-1 text-sm border border-gray-300 rounded-md bg-white text-gray-900"
+          disabled={isUploading}
+        >
+          {PDF_DPI_OPTIONS.map(dpi => (
+            <option key={dpi} value={dpi}>{dpi} DPI</option>
+          ))}
+        </select>
+      </div>
 
+      {/* Artwork source */}
+      <div className="mb-2 grid grid-cols-2 gap-2" role="group" aria-label="Artwork source">
+        {[
+          { id: 'spread', name: 'Single spread' },
+          { id: 'parts', name: 'Separate parts' }
+        ].map(option => (
           <button
-            onClick={() => fileInputRef.current?.click()}
-            className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50"
+            key={option.id}
+            onClick={() => setArtworkSource(option.id)}
+            className={`px-2 py-1 text-xs border rounded transition-colors ${
+              artworkSource === option.id
+                ? 'border-blue-500 bg-blue-50 text-blue-700'
+                : 'border-gray-300 hover:border-gray-400 text-gray-800 bg-white'
+            }`}
+            aria-pressed={artworkSource === option.id}
             disabled={isUploading}
           >
-            Choose File
+            {option.name}
           </button>
+        ))}
+      </div>
 
-          <input
-            ref={fileInputRef}
-            type="file"
-            accept="image/png,image/jpg,image/jpeg,image/webp"
-            onChange={handleFileSelect}
-            className="hidden"
-          />
-        </div>
+      {/* Upload Area */}
+      {artworkSource === 'spread' && (
+        <div
+          className={`relative border-2 border-dashed rounded-lg p-6 transition-colors ${
+            isDragOver
+              ? 'border-blue-400 bg-blue-50'
+              : error
+              ? 'border-red-400 bg-red-50'
+              : 'border-gray-300 hover:border-gray-400'
+          } ${isUploading ? 'opacity-50 pointer-events-none' : ''}`}
+          onDragEnter={handleDragEnter}
+          onDragLeave={handleDragLeave}
+          onDragOver={handleDragOver}
+          onDrop={handleDrop}
+        >
+          <div className="text-center">
+            <svg
+              className={`mx-auto h-12 w-12 mb-4 ${
+                isDragOver ? 'text-blue-400' : error ? 'text-red-400' : 'text-gray-400'
+              }`}
+              stroke="currentColor"
+              fill="none"
+              viewBox="0 0 48 48"
+              aria-hidden="true"
+            >
+              <path
+                d="M28 8H12a4 4 0 00-4 4v20m32-12v8m0 0v8a4 4 0 01-4 4H12a4 4 0 01-4-4v-4m32-4l-3.172-3.172a4 4 0 00-5.656 0L28 28M8 32l9.172-9.172a4 4 0 015.656 0L28 28m0 0l4 4m4-24h8m-4-4v8m-12 4h.02"
+                strokeWidth={2}
+                strokeLinecap="round"
+                strokeLinejoin="round"
+              />
+            </svg>
+
+            <div className="mb-4">
+              <p className="text-lg font-medium text-gray-900 mb-1">
+                {isDragOver ? 'Drop your cover image here' : 'Upload cover art'}
+              </p>
+              <p className="text-sm text-gray-500">
+                Drag and drop your PNG, JPG, WebP or PDF cover spread here, or click to browse
+              </p>
+              <p className="text-xs text-gray-400 mt-1">
+                Maximum file size: 10MB (PDF: 50MB)
+              </p>
+            </div>
 
-        {/* Upload Progress */}
-        {isUploading && (
-          <div className="absolute inset-0 bg-white bg-opacity-90 flex items-center justify-center rounded-lg">
-            <div className="text-center">
-              <div className="mb-2">
-                <div className="w-48 bg-gray-200 rounded-full h-2">
-                  <div
-                    className="bg-blue-600 h-2 rounded-full transition-all duration-300"
-                    style={{ width: `${uploadProgress}%` }}
-                  />
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50"
+              disabled={isUploading}
+            >
+              Choose File
+            </button>
+
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/png,image/jpg,image/jpeg,image/webp,application/pdf,.pdf"
+              onChange={handleFileSelect}
+              className="hidden"
+            />
+          </div>
+
+          {/* Upload Progress */}
+          {isUploading && (
+            <div className="absolute inset-0 bg-white bg-opacity-90 flex items-center justify-center rounded-lg">
+              <div className="text-center">
+                <div className="mb-2">
+                  <div className="w-48 bg-gray-200 rounded-full h-2">
+                    <div
+                      className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                      style={{ width: `${uploadProgress}%` }}
+                    />
+                  </div>
                 </div>
+                <p className="text-sm text-gray-600">
+                  Uploading... {uploadProgress}%
+                </p>
               </div>
-              <p className="text-sm text-gray-600">
-                Uploading... {uploadProgress}%
-              </p>
             </div>
+          )}
+        </div>
+      )}
+
+      {/* Separate front, spine and back images */}
+      {artworkSource === 'parts' && (
+        <div className={`p-3 border-2 border-dashed rounded-lg ${error ? 'border-red-400 bg-red-50' : 'border-gray-300'}`}>
+          <CoverPartsPicker files={partFiles} onChange={setPartFiles} disabled={isUploading} />
+          <p className="mt-2 text-xs text-gray-500">
+            Images are fitted to the trim size and spine above; missing parts get a color sampled from the front
+          </p>
+          <button
+            onClick={processParts}
+            className="mt-3 w-full px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50"
+            disabled={isUploading || !COVER_PARTS.some(name => partFiles[name])}
+          >
+            {isUploading ? `Building cover... ${uploadProgress}%` : 'Build cover'}
+          </button>
+        </div>
+      )}
+
+      {/* Trim/Spine Mismatch Warning */}
+      {pendingUpload && (
+        <div className="mt-4 p-3 bg-amber-50 border border-amber-300 rounded-md">
+          <p className="text-sm font-medium text-amber-900 mb-1">Spread size doesn't match your settings</p>
+          <ul className="text-xs text-amber-800 list-disc pl-4 mb-2">
+            {pendingUpload.mismatch.map((issue, index) => (
+              <li key={index}>{issue}</li>
+            ))}
+          </ul>
+          <p className="text-xs text-amber-700 mb-2">{pendingUpload.notice}</p>
+          <div className="flex gap-2">
+            <button
+              onClick={() => resolvePendingUpload(true)}
+              className="px-2 py-1 text-xs font-medium rounded bg-amber-600 text-white hover:bg-amber-700"
+            >
+              Use detected
+            </button>
+            <button
+              onClick={() => resolvePendingUpload(false)}
+              className="px-2 py-1 text-xs font-medium rounded border border-amber-400 text-amber-900 bg-white hover:bg-amber-100"
+            >
+              Keep mine
+            </button>
+            <button
+              onClick={cancelPendingUpload}
+              className="px-2 py-1 text-xs font-medium rounded text-amber-900 hover:underline"
+            >
+              Cancel
+            </button>
           </div>
-        )}
-      </div>
+        </div>
+      )}
+
+      {/* PDF Import Summary */}
+      {pdfNotice && !error && (
+        <div className="mt-4 p-3 bg-blue-50 border border-blue-200 rounded-md">
+          <p className="text-sm text-blue-800">{pdfNotice}</p>
+        </div>
+      )}
 
       {/* Error Display */}
       {error && (
@@ -0,0 +1,271 @@
+/**
+ * Binding Types for BOOK COVER PREVIEWER
+ *
+ * Physical specs for paperback, case-laminate and dust-jacket hardcover
+ * bindings, and the spread layout (which part of the cover image lands on
+ * which face) for each of them.
+ */
+
+import { DEFAULT_UNIT, formatLength } from './units.js';
+
+export const BINDING_TYPES = {
+  PAPERBACK: 'paperback',
+  CASE_LAMINATE: 'case-laminate',
+  DUST_JACKET: 'dust-jacket'
+};
+
+export const DEFAULT_BINDING_TYPE = BINDING_TYPES.PAPERBACK;
+
+// All measurements in inches
+export const BINDING_SPECS = {
+  [BINDING_TYPES.PAPERBACK]: {
+    name: 'Paperback',
+    coverThickness: 0.04,
+    boardOverhang: 0,
+    wrap: 0,
+    hingeOffset: null,
+    roundSpine: false,
+    flapWidth: 0
+  },
+  [BINDING_TYPES.CASE_LAMINATE]: {
+    name: 'Case laminate',
+    coverThickness: 0.1,
+    boardOverhang: 0.125, // boards extend past the pages at head, tail and fore-edge
+    wrap: 0.75, // printed area folded around the board edges
+    hingeOffset: 0.4, // groove distance from the spine edge
+    roundSpine: true,
+    flapWidth: 0
+  },
+  [BINDING_TYPES.DUST_JACKET]: {
+    name: 'Dust jacket',
+    coverThickness: 0.1,
+    boardOverhang: 0.125,
+    wrap: 0,
+    hingeOffset: 0.4,
+    roundSpine: true,
+    flapWidth: 3.5 // front and back flaps folded inside the boards
+  }
+};
+
+export const BINDING_OPTIONS = Object.entries(BINDING_SPECS).map(([id, spec]) => ({ id, name: spec.name }));
+
+// Order of the cover panels in the uploaded spread, and which edge the book is bound on
+export const SPREAD_ORIENTATIONS = {
+  BACK_SPINE_FRONT: 'back-spine-front',
+  FRONT_SPINE_BACK: 'front-spine-back',
+  RTL: 'rtl'
+};
+
+export const DEFAULT_SPREAD_ORIENTATION = SPREAD_ORIENTATIONS.BACK_SPINE_FRONT;
+
+// frontPanel: spread panel holding the front cover; rightBound: spine on the right of the front cover
+export const SPREAD_ORIENTATION_SPECS = {
+  [SPREAD_ORIENTATIONS.BACK_SPINE_FRONT]: {
+    name: 'Back · spine · front',
+    description: 'Printer template for left-bound books',
+    frontPanel: 'right',
+    rightBound: false
+  },
+  [SPREAD_ORIENTATIONS.FRONT_SPINE_BACK]: {
+    name: 'Front · spine · back',
+    description: 'Front cover on the left, left-bound book',
+    frontPanel: 'left',
+    rightBound: false
+  },
+  [SPREAD_ORIENTATIONS.RTL]: {
+    name: 'Right-to-left',
+    description: 'Right-bound book (Arabic, Japanese); front cover on the left',
+    frontPanel: 'left',
+    rightBound: true
+  }
+};
+
+export const SPREAD_ORIENTATION_OPTIONS = Object.entries(SPREAD_ORIENTATION_SPECS).map(([id, spec]) => ({ id, name: spec.name, description: spec.description }));
+
+/**
+ * Get the spec for a spread orientation (falls back to back-spine-front)
+ */
+export const getSpreadOrientationSpec = (orientation) => {
+  return SPREAD_ORIENTATION_SPECS[orientation] || SPREAD_ORIENTATION_SPECS[DEFAULT_SPREAD_ORIENTATION];
+};
+
+/**
+ * Get the spec for a binding type (falls back to paperback)
+ */
+export const getBindingSpec = (bindingType) => {
+  return BINDING_SPECS[bindingType] || BINDING_SPECS[DEFAULT_BINDING_TYPE];
+};
+
+export const isHardcover = (bindingType) => {
+  return bindingType === BINDING_TYPES.CASE_LAMINATE || bindingType === BINDING_TYPES.DUST_JACKET;
+};
+
+/**
+ * Outer cover (board) size: the trim size plus overhang at head, tail and fore-edge
+ */
+export const getBoardSize = (bindingType, trimSize) => {
+  const { boardOverhang } = getBindingSpec(bindingType);
+  return {
+    width: trimSize.width + boardOverhang,
+    height: trimSize.height + boardOverhang * 2
+  };
+};
+
+// Sides of the spread that can carry bleed; the spine edge never does
+export const BLEED_SIDES = ['top', 'bottom', 'outside'];
+
+/**
+ * Per-side bleed in inches: { top, bottom, outside }. A single number applies
+ * to every side; missing or invalid sides count as no bleed.
+ */
+export const normalizeBleed = (bleed) => {
+  const side = (value) => (Number.isFinite(value) && value > 0 ? value : 0);
+  if (typeof bleed === 'number') {
+    return { top: side(bleed), bottom: side(bleed), outside: side(bleed) };
+  }
+  return { top: side(bleed?.top), bottom: side(bleed?.bottom), outside: side(bleed?.outside) };
+};
+
+/**
+ * Display a bleed: 0.125" when every side matches, otherwise per side
+ */
+export const formatBleed = (bleed, unit = DEFAULT_UNIT) => {
+  const margins = normalizeBleed(bleed);
+  if (margins.top === margins.outside && margins.bottom === margins.outside) {
+    return formatLength(margins.outside, unit);
+  }
+  return BLEED_SIDES.map(side => `${side} ${formatLength(margins[side], unit)}`).join(', ');
+};
+
+/**
+ * Spread layout in inches, left to right as [leftFlap][left][spine][right][rightFlap].
+ * Each region is { start, end } from the left edge; `top`/`bottom` bound the
+ * visible height from the top edge. Which panel is the front cover depends on
+ * the spread orientation (see getCoverRegions).
+ *
+ * Every binding adds its margins around the outside of the trim: bleed for
+ * paperback and dust jacket, wrap for case laminate.
+ *
+ * @param {number|object} [bleed=0] - inches, or per side { top, bottom, outside } (see normalizeBleed)
+ * @param {boolean} [cropMargins=true] - false extends the outer regions over bleed/wrap
+ */
+export const getSpreadLayout = ({ bindingType, trimSize, spineWidthInches, bleed = 0, cropMargins = true }) => {
+  const spec = getBindingSpec(bindingType);
+  const board = getBoardSize(bindingType, trimSize);
+  const spine = Math.max(0, spineWidthInches || 0);
+
+  // Case laminate wraps the same amount on every side
+  const margins = bindingType === BINDING_TYPES.CASE_LAMINATE
+    ? normalizeBleed(spec.wrap)
+    : normalizeBleed(bleed);
+
+  let panelWidth;
+  let totalHeight;
+  let totalWidth;
+  let cursor;
+
+  if (bindingType === BINDING_TYPES.CASE_LAMINATE) {
+    panelWidth = board.width;
+    totalWidth = margins.outside * 2 + panelWidth * 2 + spine;
+    totalHeight = board.height + margins.top + margins.bottom;
+    cursor = margins.outside;
+  } else if (bindingType === BINDING_TYPES.DUST_JACKET) {
+    panelWidth = board.width;
+    totalWidth = margins.outside * 2 + spec.flapWidth * 2 + panelWidth * 2 + spine;
+    totalHeight = board.height + margins.top + margins.bottom;
+    cursor = margins.outside;
+  } else {
+    panelWidth = trimSize.width;
+    totalWidth = margins.outside * 2 + panelWidth * 2 + spine;
+    totalHeight = trimSize.height + margins.top + margins.bottom;
+    cursor = margins.outside;
+  }
+
+  const take = (width) => {
+    const region = { start: cursor, end: cursor + width };
+    cursor += width;
+    return region;
+  };
+
+  const regions = {};
+  if (spec.flapWidth > 0) regions.leftFlap = take(spec.flapWidth);
+  regions.left = take(panelWidth);
+  regions.spine = take(spine);
+  regions.right = take(panelWidth);
+  if (spec.flapWidth > 0) regions.rightFlap = take(spec.flapWidth);
+
+  let top = margins.top;
+  let bottom = totalHeight - margins.bottom;
+
+  if (!cropMargins) {
+    const outerLeft = regions.leftFlap || regions.left;
+    const outerRight = regions.rightFlap || regions.right;
+    outerLeft.start = 0;
+    outerRight.end = totalWidth;
+    top = 0;
+    bottom = totalHeight;
+  }
+
+  return { totalWidth, totalHeight, regions, top, bottom };
+};
+
+/**
+ * Cover parts of a spread layout for an orientation: { front, back, spine,
+ * frontFlap, backFlap } (flaps only on dust jackets). The spine strip is used
+ * as drawn in every orientation.
+ */
+export const getCoverRegions = (layout, orientation = DEFAULT_SPREAD_ORIENTATION) => {
+  const { regions } = layout;
+  const frontOnLeft = getSpreadOrientationSpec(orientation).frontPanel === 'left';
+  return {
+    front: frontOnLeft ? regions.left : regions.right,
+    back: frontOnLeft ? regions.right : regions.left,
+    spine: regions.spine,
+    frontFlap: frontOnLeft ? regions.leftFlap : regions.rightFlap,
+    backFlap: frontOnLeft ? regions.rightFlap : regions.leftFlap
+  };
+};
+
+/**
+ * Book mesh faces for an orientation. Box faces are [+X, -X, +Y, -Y, +Z, -Z];
+ * the scene shows the -Z side, so the front board prints on -Z and the back
+ * board on +Z. Left-bound boards extend to -X from the spine (side 1) and
+ * right-bound books are mirrored (side -1), which moves the fore-edge of the
+ * page block from -X to +X. Each outer face is seen upright from outside with
+ * u increasing to the viewer's right, so a panel maps onto it unmirrored.
+ */
+export const getBookFaces = (orientation) => {
+  const rightBound = getSpreadOrientationSpec(orientation).rightBound;
+  return {
+    side: rightBound ? -1 : 1,
+    frontOuter: 5,
+    backOuter: 4,
+    foreEdge: rightBound ? 0 : 1
+  };
+};
+
+/**
+ * Texture repeat/offset for a layout region (UV origin at the bottom-left)
+ */
+export const getRegionUV = (layout, region) => {
+  const width = Math.max(0.0001, layout.totalWidth);
+  const height = Math.max(0.0001, layout.totalHeight);
+  return {
+    repeat: [
+      Math.max(0, Math.min(1, (region.end - region.start) / width)),
+      Math.max(0, Math.min(1, (layout.bottom - layout.top) / height))
+    ],
+    offset: [
+      Math.max(0, region.start / width),
+      Math.max(0, (height - layout.bottom) / height)
+    ]
+  };
+};
+
+/**
+ * Full print file size in inches for a binding, including bleed or wrap
+ */
+export const getPrintSpreadSize = ({ bindingType, trimSize, spineWidthInches, bleed = 0 }) => {
+  const layout = getSpreadLayout({ bindingType, trimSize, spineWidthInches, bleed });
+  return { width: layout.totalWidth, height: layout.totalHeight };
+};
@@ -0,0 +1,260 @@
+import { describe, it, expect } from 'vitest';
+import {
+  BINDING_TYPES,
+  SPREAD_ORIENTATIONS,
+  getSpreadLayout,
+  getCoverRegions,
+  getRegionUV,
+  getBookFaces,
+  getPrintSpreadSize
+} from './bindings.js';
+import { BoxGeometry, Vector3 } from 'three';
+
+const TRIM = { width: 6, height: 9 };
+const SPINE = 0.5;
+const BLEED = 0.125;
+const UNEVEN_BLEED = { top: 0.1, bottom: 0.2, outside: 0.125 };
+
+// Expected regions in inches for a 6" × 9" book with a 0.5" spine and 0.125" bleed:
+// [left flap][left][spine][right][right flap], with the visible top/bottom
+const EXPECTED_LAYOUTS = {
+  [BINDING_TYPES.PAPERBACK]: {
+    totalWidth: 12.75,
+    totalHeight: 9.25,
+    top: 0.125,
+    bottom: 9.125,
+    left: [0.125, 6.125],
+    spine: [6.125, 6.625],
+    right: [6.625, 12.625]
+  },
+  // 6.125" × 9.25" boards with 0.75" wrap on every side
+  [BINDING_TYPES.CASE_LAMINATE]: {
+    totalWidth: 14.25,
+    totalHeight: 10.75,
+    top: 0.75,
+    bottom: 10,
+    left: [0.75, 6.875],
+    spine: [6.875, 7.375],
+    right: [7.375, 13.5]
+  },
+  // 6.125" × 9.25" boards, 3.5" flaps, bleed outside the flaps
+  [BINDING_TYPES.DUST_JACKET]: {
+    totalWidth: 20,
+    totalHeight: 9.5,
+    top: 0.125,
+    bottom: 9.375,
+    leftFlap: [0.125, 3.625],
+    left: [3.625, 9.75],
+    spine: [9.75, 10.25],
+    right: [10.25, 16.375],
+    rightFlap: [16.375, 19.875]
+  }
+};
+
+// Spread panel holding each cover part, per orientation
+const EXPECTED_PANELS = {
+  [SPREAD_ORIENTATIONS.BACK_SPINE_FRONT]: { front: 'right', back: 'left', frontFlap: 'rightFlap', backFlap: 'leftFlap' },
+  [SPREAD_ORIENTATIONS.FRONT_SPINE_BACK]: { front: 'left', back: 'right', frontFlap: 'leftFlap', backFlap: 'rightFlap' },
+  [SPREAD_ORIENTATIONS.RTL]: { front: 'left', back: 'right', frontFlap: 'leftFlap', backFlap: 'rightFlap' }
+};
+
+const layoutFor = (bindingType, options = {}) => getSpreadLayout({
+  bindingType,
+  trimSize: TRIM,
+  spineWidthInches: SPINE,
+  bleed: BLEED,
+  ...options
+});
+
+// UV rectangle { u0, u1, v0, v1 } covered by a texture repeat/offset
+const toRect = ({ repeat, offset }) => ({
+  u0: offset[0],
+  u1: offset[0] + repeat[0],
+  v0: offset[1],
+  v1: offset[1] + repeat[1]
+});
+
+// Outward normal and the directions u and v increase along, for one face of a BoxGeometry
+const faceAxes = (geometry, face) => {
+  const { start } = geometry.groups[face];
+  const index = geometry.index.array;
+  const position = geometry.attributes.position;
+  const uv = geometry.attributes.uv;
+  const corners = [0, 1, 2].map(offset => {
+    const vertex = index[start + offset];
+    return {
+      position: new Vector3().fromBufferAttribute(position, vertex),
+      u: uv.getX(vertex),
+      v: uv.getY(vertex)
+    };
+  });
+
+  // Solve position = origin + u · U + v · V from the three corners of one triangle
+  const [a, b, c] = corners;
+  const du1 = b.u - a.u;
+  const dv1 = b.v - a.v;
+  const du2 = c.u - a.u;
+  const dv2 = c.v - a.v;
+  const det = du1 * dv2 - du2 * dv1;
+  const e1 = b.position.clone().sub(a.position);
+  const e2 = c.position.clone().sub(a.position);
+  const uDirection = e1.clone().multiplyScalar(dv2).addScaledVector(e2, -dv1).divideScalar(det).normalize();
+  const vDirection = e2.clone().multiplyScalar(du1).addScaledVector(e1, -du2).divideScalar(det).normalize();
+  const normal = new Vector3().fromBufferAttribute(geometry.attributes.normal, index[start]);
+  return { normal, uDirection, vDirection };
+};
+
+const expectRect = (actual, expected) => {
+  Object.keys(expected).forEach(key => {
+    expect(actual[key], key).toBeCloseTo(expected[key], 6);
+  });
+};
+
+// Expected UV rectangle of an [start, end] inch range on a layout (v from the bottom)
+const expectedRect = (expected, [start, end]) => ({
+  u0: start / expected.totalWidth,
+  u1: end / expected.totalWidth,
+  v0: (expected.totalHeight - expected.bottom) / expected.totalHeight,
+  v1: (expected.totalHeight - expected.top) / expected.totalHeight
+});
+
+describe('getSpreadLayout', () => {
+  Object.entries(EXPECTED_LAYOUTS).forEach(([bindingType, expected]) => {
+    it(`lays out a ${bindingType} spread`, () => {
+      const layout = layoutFor(bindingType);
+      expect(layout.totalWidth).toBeCloseTo(expected.totalWidth, 6);
+      expect(layout.totalHeight).toBeCloseTo(expected.totalHeight, 6);
+      expect(layout.top).toBeCloseTo(expected.top, 6);
+      expect(layout.bottom).toBeCloseTo(expected.bottom, 6);
+      ['leftFlap', 'left', 'spine', 'right', 'rightFlap'].forEach(name => {
+        if (!expected[name]) {
+          expect(layout.regions[name], name).toBeUndefined();
+          return;
+        }
+        expect(layout.regions[name].start, name).toBeCloseTo(expected[name][0], 6);
+        expect(layout.regions[name].end, name).toBeCloseTo(expected[name][1], 6);
+      });
+    });
+  });
+
+  it('extends case-laminate wrap to the edges when margins are not cropped', () => {
+    const layout = layoutFor(BINDING_TYPES.CASE_LAMINATE, { cropMargins: false });
+    expectRect(toRect(getRegionUV(layout, layout.regions.left)), { u0: 0, u1: 6.875 / 14.25, v0: 0, v1: 1 });
+    expectRect(toRect(getRegionUV(layout, layout.regions.right)), { u0: 7.375 / 14.25, u1: 1, v0: 0, v1: 1 });
+  });
+
+  it('ignores the bleed argument for case laminate, which always wraps', () => {
+    const layout = layoutFor(BINDING_TYPES.CASE_LAMINATE, { bleed: 0.5 });
+    expect(layout.totalWidth).toBeCloseTo(14.25, 6);
+    expect(layout.top).toBeCloseTo(0.75, 6);
+  });
+
+  it('spans the full print file of every binding', () => {
+    Object.values(BINDING_TYPES).forEach(bindingType => {
+      const layout = layoutFor(bindingType, { bleed: UNEVEN_BLEED });
+      const printSize = getPrintSpreadSize({ bindingType, trimSize: TRIM, spineWidthInches: SPINE, bleed: UNEVEN_BLEED });
+      expect(layout.totalWidth, bindingType).toBeCloseTo(printSize.width, 6);
+      expect(layout.totalHeight, bindingType).toBeCloseTo(printSize.height, 6);
+    });
+  });
+
+  it('keeps paperback bleed outside the trim', () => {
+    const layout = layoutFor(BINDING_TYPES.PAPERBACK, { bleed: UNEVEN_BLEED });
+    expect(layout.totalWidth).toBeCloseTo(6 * 2 + SPINE + 0.125 * 2, 6);
+    expect(layout.totalHeight).toBeCloseTo(9 + 0.1 + 0.2, 6);
+    expect(layout.regions.left.end - layout.regions.left.start).toBeCloseTo(TRIM.width, 6);
+    expect(layout.regions.right.end - layout.regions.right.start).toBeCloseTo(TRIM.width, 6);
+    expect(layout.bottom - layout.top).toBeCloseTo(TRIM.height, 6);
+  });
+
+  it('extends dust-jacket flaps over the bleed when margins are not cropped', () => {
+    const layout = layoutFor(BINDING_TYPES.DUST_JACKET, { cropMargins: false });
+    expectRect(toRect(getRegionUV(layout, layout.regions.leftFlap)), { u0: 0, u1: 3.625 / 20, v0: 0, v1: 1 });
+    expectRect(toRect(getRegionUV(layout, layout.regions.rightFlap)), { u0: 16.375 / 20, u1: 1, v0: 0, v1: 1 });
+  });
+});
+
+describe('cover region UVs', () => {
+  Object.entries(EXPECTED_LAYOUTS).forEach(([bindingType, expected]) => {
+    Object.entries(EXPECTED_PANELS).forEach(([orientation, panels]) => {
+      it(`maps front, spine and back of a ${bindingType} ${orientation} spread`, () => {
+        const layout = layoutFor(bindingType);
+        const regions = getCoverRegions(layout, orientation);
+
+        expectRect(toRect(getRegionUV(layout, regions.front)), expectedRect(expected, expected[panels.front]));
+        expectRect(toRect(getRegionUV(layout, regions.back)), expectedRect(expected, expected[panels.back]));
+        // The spine strip is used as drawn in every orientation
+        expectRect(toRect(getRegionUV(layout, regions.spine)), expectedRect(expected, expected.spine));
+
+        if (bindingType === BINDING_TYPES.DUST_JACKET) {
+          expectRect(toRect(getRegionUV(layout, regions.frontFlap)), expectedRect(expected, expected[panels.frontFlap]));
+          expectRect(toRect(getRegionUV(layout, regions.backFlap)), expectedRect(expected, expected[panels.backFlap]));
+        } else {
+          expect(regions.frontFlap).toBeUndefined();
+          expect(regions.backFlap).toBeUndefined();
+        }
+      });
+    });
+  });
+
+  it('keeps every region inside the texture', () => {
+    Object.keys(EXPECTED_LAYOUTS).forEach(bindingType => {
+      [true, false].forEach(cropMargins => {
+        const layout = layoutFor(bindingType, { cropMargins });
+        Object.values(layout.regions).forEach(region => {
+          const rect = toRect(getRegionUV(layout, region));
+          expect(rect.u0).toBeGreaterThanOrEqual(0);
+          expect(rect.v0).toBeGreaterThanOrEqual(0);
+          expect(rect.u1).toBeLessThanOrEqual(1 + 1e-9);
+          expect(rect.v1).toBeLessThanOrEqual(1 + 1e-9);
+        });
+      });
+    });
+  });
+});
+
+describe('getBookFaces', () => {
+  it('prints the front on -Z and the back on +Z in every orientation', () => {
+    Object.values(SPREAD_ORIENTATIONS).forEach(orientation => {
+      const faces = getBookFaces(orientation);
+      expect(faces.frontOuter).toBe(5);
+      expect(faces.backOuter).toBe(4);
+    });
+  });
+
+  it('binds left-to-right books on the left, with the fore-edge on -X', () => {
+    [SPREAD_ORIENTATIONS.BACK_SPINE_FRONT, SPREAD_ORIENTATIONS.FRONT_SPINE_BACK].forEach(orientation => {
+      expect(getBookFaces(orientation)).toMatchObject({ side: 1, foreEdge: 1 });
+    });
+  });
+
+  it('mirrors right-to-left books, moving the fore-edge to +X', () => {
+    expect(getBookFaces(SPREAD_ORIENTATIONS.RTL)).toMatchObject({ side: -1, foreEdge: 0 });
+  });
+
+  it('falls back to a left-bound book for unknown orientations', () => {
+    expect(getBookFaces('sideways')).toMatchObject({ side: 1, foreEdge: 1 });
+  });
+
+  // Seen from outside, an outer face must run left to right in u and bottom
+  // to top in v, so a panel drawn upright maps onto it unmirrored
+  it('shows both board faces upright from outside', () => {
+    const geometry = new BoxGeometry(1, 1, 0.1);
+    const { frontOuter, backOuter } = getBookFaces(SPREAD_ORIENTATIONS.BACK_SPINE_FRONT);
+    [frontOuter, backOuter].forEach(face => {
+      const { normal, uDirection, vDirection } = faceAxes(geometry, face);
+      const viewerRight = normal.clone().negate().cross(new Vector3(0, 1, 0));
+      expect(uDirection.distanceTo(viewerRight), `face ${face} u`).toBeCloseTo(0, 6);
+      expect(vDirection.distanceTo(new Vector3(0, 1, 0)), `face ${face} v`).toBeCloseTo(0, 6);
+    });
+  });
+
+  it('puts the page fore-edge on the face pointing away from the spine', () => {
+    const geometry = new BoxGeometry(1, 1, 1);
+    Object.values(SPREAD_ORIENTATIONS).forEach(orientation => {
+      const { side, foreEdge } = getBookFaces(orientation);
+      // Boards extend to -side · X from the spine
+      expect(faceAxes(geometry, foreEdge).normal.x).toBeCloseTo(-side, 6);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Camera Presets for BOOK COVER PREVIEWER
+ *
+ * Named camera poses around the book. Poses in the 'book' frame are relative
+ * to the book model (spine at x = 0 facing +X, or -X for right-bound books;
+ * front cover facing -Z) and are converted to world space by the scene;
+ * 'world' poses are used as-is.
+ */
+
+export const CAMERA_PRESETS = [
+  { id: 'front', name: 'Front' },
+  { id: 'back', name: 'Back' },
+  { id: 'spine', name: 'Spine' },
+  { id: 'three-quarter', name: 'Three-quarter' },
+  { id: 'top-down', name: 'Top-down' },
+  { id: 'open-spread', name: 'Open spread' }
+];
+
+const FRAMING_MARGIN = 1.6; // distance multiplier so the book doesn't touch the frame edges
+
+/**
+ * Camera distance that fits an object of the given size in view
+ */
+const fitDistance = (size, fovDegrees) => {
+  const halfFov = (fovDegrees * Math.PI) / 360;
+  return (size / 2 / Math.tan(halfFov)) * FRAMING_MARGIN;
+};
+
+/**
+ * Pose for a preset, sized to the book.
+ *
+ * @param {string} presetId
+ * @param {{ bookWidth: number, bookHeight: number, fov: number, rightBound?: boolean }} book - dimensions in scene units
+ * @returns {{ position: number[], target: number[], frame: 'book' | 'world', open: boolean } | null}
+ */
+export const getPresetCameraPose = (presetId, { bookWidth, bookHeight, fov, rightBound = false }) => {
+  const side = rightBound ? -1 : 1; // direction the spine faces
+  const center = [-side * bookWidth / 2, 0, 0];
+  const distance = fitDistance(Math.max(bookHeight, bookWidth), fov);
+  const from = (dx, dy, dz) => [center[0] + dx, center[1] + dy, center[2] + dz];
+
+  switch (presetId) {
+    case 'front':
+      return { position: from(0, 0, -distance), target: center, frame: 'book', open: false };
+    case 'back':
+      return { position: from(0, 0, distance), target: center, frame: 'book', open: false };
+    case 'spine':
+      return { position: [side * distance * 0.9, 0, 0], target: [0, 0, 0], frame: 'book', open: false };
+    case 'three-quarter': {
+      const d = distance * 1.05;
+      return { position: from(side * d * 0.55, d * 0.25, -d * 0.8), target: center, frame: 'book', open: false };
+    }
+    case 'top-down':
+      // Small Z offset keeps OrbitControls away from its pole
+      return { position: [0, distance * 1.1, 0.01], target: [0, 0, 0], frame: 'world', open: false };
+    case 'open-spread':
+      // The open book faces away from the spine
+      return {
+        position: [-side * (bookWidth / 2 + distance * 1.1), bookHeight * 0.15, 0],
+        target: [-side * bookWidth / 4, 0, 0],
+        frame: 'book',
+        open: true
+      };
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,89 @@
+/**
+ * Compare Layout for BOOK COVER PREVIEWER
+ *
+ * Placement math for showing several covers at once: side by side in one
+ * scene, in split viewports that share a camera, or flipped A/B in place.
+ */
+
+export const COMPARE_LAYOUTS = {
+  SIDE_BY_SIDE: 'side-by-side',
+  SPLIT: 'split',
+  FLIP: 'flip'
+};
+
+export const COMPARE_LAYOUT_OPTIONS = [
+  { id: COMPARE_LAYOUTS.SIDE_BY_SIDE, name: 'Side by side' },
+  { id: COMPARE_LAYOUTS.SPLIT, name: 'Split view' },
+  { id: COMPARE_LAYOUTS.FLIP, name: 'A/B flip' }
+];
+
+export const MAX_COMPARE_COVERS = 4;
+
+// Labels shown for compared covers: A, B, C, D
+export const getCompareLabel = (index) => String.fromCharCode(65 + index);
+
+/**
+ * Centers of books laid out in a row, in scene units, so the row is centered
+ * on 0. The first book gets the largest offset.
+ *
+ * @param {number[]} widths - book widths in scene units
+ * @param {number} gap - space between neighbouring books
+ */
+export const getRowOffsets = (widths, gap) => {
+  const total = widths.reduce((sum, width) => sum + width, 0) + gap * Math.max(0, widths.length - 1);
+  let edge = total / 2;
+  return widths.map(width => {
+    const center = edge - width / 2;
+    edge -= width + gap;
+    return center;
+  });
+};
+
+/**
+ * Equal-width viewports for a split view, left to right, in CSS pixels with a
+ * bottom-left origin (as used by WebGLRenderer.setViewport)
+ */
+export const getSplitViewports = (width, height, count) => {
+  const paneWidth = Math.floor(width / count);
+  return Array.from({ length: count }, (_, index) => ({
+    x: index * paneWidth,
+    y: 0,
+    // The last pane absorbs any rounding remainder
+    width: index === count - 1 ? width - paneWidth * (count - 1) : paneWidth,
+    height
+  }));
+};
+
+/**
+ * Render one pane per object, showing only that object in its pane.
+ * All panes use the same camera, so the views stay in sync.
+ *
+ * @param {object} params - { gl, scene, camera, objects, width, height } (width/height in CSS pixels)
+ */
+export const renderSplitView = ({ gl, scene, camera, objects, width, height }) => {
+  const viewports = getSplitViewports(width, height, objects.length);
+  const previousAspect = camera.aspect;
+  const previousVisibility = objects.map(object => object.visible);
+
+  gl.setScissorTest(true);
+  try {
+    viewports.forEach((viewport, index) => {
+      objects.forEach((object, objectIndex) => {
+        object.visible = objectIndex === index;
+      });
+      gl.setViewport(viewport.x, viewport.y, viewport.width, viewport.height);
+      gl.setScissor(viewport.x, viewport.y, viewport.width, viewport.height);
+      camera.aspect = viewport.width / viewport.height;
+      camera.updateProjectionMatrix();
+      gl.render(scene, camera);
+    });
+  } finally {
+    objects.forEach((object, index) => {
+      object.visible = previousVisibility[index];
+    });
+    gl.setScissorTest(false);
+    gl.setViewport(0, 0, width, height);
+    camera.aspect = previousAspect;
+    camera.updateProjectionMatrix();
+  }
+};
@@ -4,8 +4,27 @@
  * Manages cover metadata, CRUD operations, and data persistence.
  */
 
-import { loadMetadata, saveMetadata, generateFileId, getFileDataUrl, saveUploadedFile } from './fileSystem.js';
-import { findPresetByDimensions, formatTrimSize } from './trimSizes.js';
+import {
+  loadMetadata,
+  saveMetadata,
+  deleteMetadata,
+  queryMetadata,
+  generateFileId,
+  getFileDataUrl,
+  createImageRecord,
+  buildImageRecord,
+  buildVersionRecord,
+  buildPageRecord,
+  buildMaskRecord,
+  getVersionRecord,
+  getPageRecord,
+  getMaskRecord
+} from './fileSystem.js';
+import { findPresetByDimensions, formatTrimSize, DEFAULT_BLEED_INCHES, DEFAULT_SPINE_WIDTH } from './trimSizes.js';
+import { runPreflight } from './preflight.js';
+import { DEFAULT_BINDING_TYPE, DEFAULT_SPREAD_ORIENTATION, normalizeBleed } from './bindings.js';
+import { calculateSpineFromPages, getPaperProfile, DEFAULT_PAPER_PROFILE_ID } from './paperProfiles.js';
+import { FINISH_MASKS } from './coverFinishes.js';
 
 /**
  * Cover data structure:
@@ -16,7 +35,33 @@ import { findPresetByDimensions, formatTrimSize } from './trimSizes.js';
  *   trimSize: { width: number, height: number },
  *   uploadedAt: string (ISO date),
  *   fileSize: number,
- *   imageDimensions: { width: number, height: number } (optional)
+ *   imageDimensions: { width: number, height: number } (optional),
+ *   spineWidthInches: number (optional),
+ *   bleed: { top, bottom, outside } (optional, bleed in inches per side of the spread, see getCoverBleed),
+ *   bindingType: 'paperback' | 'case-laminate' | 'dust-jacket' (see bindings.js),
+ *   spreadOrientation: 'back-spine-front' | 'front-spine-back' | 'rtl' (optional, panel order and binding edge, see bindings.js),
+ *   paperProfileId: string (optional, printer/paper profile ID),
+ *   pageCount: number (optional, interior page count),
+ *   paperShade: 'white' | 'cream' (optional, page block color; defaults to the paper profile's shade),
+ *   interiorPages: [{ id, fileName, uploadedAt, fileSize }] (optional, interior page images in reading order;
+ *     images are kept in the pages store),
+ *   finish: 'matte' | 'gloss' | 'soft-touch' (optional, laminate finish, see coverFinishes.js),
+ *   finishMasks: { foil, spotUv, relief } (optional, each { fileName, uploadedAt, fileSize, imageDimensions } for an
+ *     image laid out like the spread; relief also has mapType and mode; images are kept in the masks store),
+ *   sourceFormat: 'pdf' | 'parts' (optional, set for rasterized PDF uploads and spreads built from parts),
+ *   sourceParts: { front, spine, back } (optional, file name of each supplied part, null for a placeholder; see coverParts.js),
+ *   rasterDpi: number (optional, DPI used to rasterize a PDF upload),
+ *   imageDpi: number (optional, resolution embedded in the uploaded image),
+ *   preflight: { status, checks, bleed, colorSpace, checkedAt } (optional, see preflight.js),
+ *   series: string (optional, name of the series the book belongs to),
+ *   seriesNumber: number (optional, position within the series),
+ *   client: string (optional, client collection),
+ *   project: string (optional, project collection),
+ *   tags: string[] (optional, free-form labels, see normalizeTags),
+ *   savedViews: [{ id, name, position: [x, y, z], target: [x, y, z], open: boolean }] (optional, camera views),
+ *   versions: [{ version, fileName, uploadedAt, fileSize, imageDimensions, imageDpi, sourceFormat, rasterDpi, sourceParts, colorSpace }]
+ *     (optional, artwork revisions; images are kept in the versions store),
+ *   currentVersion: number (optional, version whose image is in the covers store)
  * }
  */
 
@@ -39,7 +84,6 @@ export const getCoverById = (id) => {
  * Add new cover
  */
 export const addCover = async (file, trimSize, options = {}) => {
-  const covers = getAllCovers();
   const id = generateFileId();
 
   const newCover = {
@@ -54,14 +98,33 @@ export const addCover = async (file, trimSize, options = {}) => {
     fileSize: file.size,
     source: 'uploaded',
     // Optional rendering hints
-    spineWidthInches: typeof options.spineWidthInches === 'number' ? options.spineWidthInches : undefined
+    spineWidthInches: typeof options.spineWidthInches === 'number' ? options.spineWidthInches : undefined,
+    bleed: options.bleed != null ? normalizeBleed(options.bleed) : undefined,
+    bindingType: options.bindingType || DEFAULT_BINDING_TYPE,
+    spreadOrientation: options.spreadOrientation || DEFAULT_SPREAD_ORIENTATION,
+    // Paper stock and page count the spine was calculated from (see paperProfiles.js)
+    paperProfileId: options.paperProfileId || undefined,
+    pageCount: typeof options.pageCount === 'number' ? options.pageCount : undefined,
+    // Set when the artwork was rasterized from a PDF cover spread
+    sourceFormat: options.sourceFormat || undefined,
+    rasterDpi: typeof options.rasterDpi === 'number' ? options.rasterDpi : undefined,
+    // Set when the spread was built from separate front, spine and back images
+    sourceParts: options.sourceParts || undefined,
+    // Pixel size and embedded resolution of the uploaded spread
+    imageDimensions: options.imageDimensions || undefined,
+    imageDpi: typeof options.imageDpi === 'number' ? options.imageDpi : undefined
   };
 
-  // Persist file data as Data URL in localStorage for local dev
-  await saveUploadedFile(file, id);
+  // Print checks are stored with the record so the sidebar can show them without re-reading the file
+  newCover.preflight = runPreflight(newCover, {
+    bleed: newCover.bleed,
+    colorSpace: options.colorSpace
+  }) || undefined;
 
-  covers.push(newCover);
-  await saveMetadata(covers);
+  // Image and metadata are written in one transaction. PDF rasters keep the
+  // size of the chosen DPI, which rasterDpi and preflight describe.
+  const imageRecord = await createImageRecord(file, id, { keepSize: options.sourceFormat === 'pdf' });
+  await saveMetadata([newCover], [imageRecord]);
 
   return newCover;
 };
@@ -70,52 +133,420 @@ export const addCover = async (file, trimSize, options = {}) => {
  * Update cover metadata
  */
 export const updateCover = async (id, updates) => {
-  const covers = getAllCovers();
-  const index = covers.findIndex(cover => cover.id === id);
+  const existing = getCoverById(id);
+  if (!existing) {
+    throw new Error('Cover not found');
+  }
 
-  if (index === -1) {
+  const updated = { ...existing, ...updates };
+  if ('bleed' in updates) {
+    // Per-side bleed replaces the single value older records stored
+    updated.bleed = normalizeBleed(updates.bleed);
+    delete updated.bleedInches;
+  }
+
+  // Trim, spine, bleed or binding changes invalidate the stored preflight report
+  const affectsPreflight = ['trimSize', 'spineWidthInches', 'bleed', 'bindingType'].some(key => key in updates);
+  if (updated.preflight && affectsPreflight) {
+    updated.preflight = runPreflight(updated, {
+      bleed: getCoverBleed(updated),
+      colorSpace: updated.preflight.colorSpace
+    }) || undefined;
+  }
+
+  await saveMetadata([updated]);
+
+  return updated;
+};
+
+/**
+ * Recalculate a cover's spine width from its page count, optionally switching
+ * to a different paper profile
+ */
+export const recalculateCoverSpine = async (id, profileId) => {
+  const cover = getCoverById(id);
+  if (!cover) {
     throw new Error('Cover not found');
   }
+  if (!cover.pageCount) {
+    throw new Error('Cover has no page count');
+  }
 
-  covers[index] = { ...covers[index], ...updates };
-  await saveMetadata(covers);
+  const paperProfileId = profileId || cover.paperProfileId || DEFAULT_PAPER_PROFILE_ID;
+  const spineWidthInches = calculateSpineFromPages(cover.pageCount, paperProfileId);
 
-  return covers[index];
+  return updateCover(id, { paperProfileId, spineWidthInches });
 };
 
 /**
- * Delete cover
+ * Save a named camera view on a cover
  */
-export const deleteCover = async (id) => {
-  const covers = getAllCovers();
-  const filteredCovers = covers.filter(cover => cover.id !== id);
+export const saveCameraView = async (coverId, view) => {
+  const cover = getCoverById(coverId);
+  if (!cover) {
+    throw new Error('Cover not found');
+  }
+
+  const name = view.name?.trim();
+  if (!name) {
+    throw new Error('View name is required');
+  }
+
+  const savedView = {
+    id: generateFileId(),
+    name,
+    position: view.position.map(value => parseFloat(value.toFixed(4))),
+    target: view.target.map(value => parseFloat(value.toFixed(4))),
+    open: Boolean(view.open)
+  };
+
+  // Saving under an existing name replaces that view
+  const savedViews = (cover.savedViews || []).filter(existing => existing.name !== name);
+  await updateCover(coverId, { savedViews: [...savedViews, savedView] });
+
+  return savedView;
+};
+
+/**
+ * Delete a saved camera view from a cover
+ */
+export const deleteCameraView = async (coverId, viewId) => {
+  const cover = getCoverById(coverId);
+  if (!cover) {
+    throw new Error('Cover not found');
+  }
+
+  const savedViews = (cover.savedViews || []).filter(view => view.id !== viewId);
+  return updateCover(coverId, { savedViews });
+};
+
+// Version entry describing the image currently on a cover record
+const describeCurrentImage = (cover, version) => ({
+  version,
+  fileName: cover.originalName,
+  uploadedAt: cover.uploadedAt,
+  fileSize: cover.fileSize,
+  imageDimensions: cover.imageDimensions,
+  imageDpi: cover.imageDpi,
+  sourceFormat: cover.sourceFormat,
+  rasterDpi: cover.rasterDpi,
+  sourceParts: cover.sourceParts,
+  colorSpace: cover.preflight?.colorSpace || undefined
+});
+
+// Copy a version's image details onto the cover, keeping its name and print settings
+const applyVersion = (cover, entry, versions) => {
+  const updated = {
+    ...cover,
+    versions,
+    currentVersion: entry.version,
+    fileSize: entry.fileSize,
+    imageDimensions: entry.imageDimensions,
+    imageDpi: entry.imageDpi,
+    sourceFormat: entry.sourceFormat,
+    rasterDpi: entry.rasterDpi,
+    sourceParts: entry.sourceParts
+  };
+  updated.preflight = runPreflight(updated, {
+    bleed: getCoverBleed(cover),
+    colorSpace: entry.colorSpace
+  }) || undefined;
+  return updated;
+};
+
+/**
+ * Upload new artwork for an existing cover. The cover keeps its ID, name and
+ * trim/spine/bleed settings; the new image becomes the next numbered version.
+ *
+ * @param {string} id
+ * @param {File} file - image file (PDFs must be rasterized first)
+ * @param {object} [options] - { imageDimensions, imageDpi, colorSpace, sourceFormat, rasterDpi, sourceParts }
+ */
+export const addCoverVersion = async (id, file, options = {}) => {
+  const cover = getCoverById(id);
+  if (!cover) {
+    throw new Error('Cover not found');
+  }
+
+  const versions = cover.versions ? [...cover.versions] : [];
+  const versionRecords = [];
+
+  // Covers uploaded before versioning keep their current image as version 1
+  if (versions.length === 0) {
+    const currentData = await getFileDataUrl(id);
+    if (currentData) {
+      versions.push(describeCurrentImage(cover, 1));
+      versionRecords.push(buildVersionRecord(id, 1, buildImageRecord(id, currentData, {
+        name: cover.originalName,
+        size: cover.fileSize,
+        uploadedAt: cover.uploadedAt
+      })));
+    }
+  }
+
+  const version = versions.reduce((max, entry) => Math.max(max, entry.version), 0) + 1;
+  const imageRecord = await createImageRecord(file, id, { keepSize: options.sourceFormat === 'pdf' });
+  const entry = {
+    version,
+    fileName: file.name,
+    uploadedAt: imageRecord.uploadedAt,
+    fileSize: file.size,
+    imageDimensions: options.imageDimensions || undefined,
+    imageDpi: typeof options.imageDpi === 'number' ? options.imageDpi : undefined,
+    sourceFormat: options.sourceFormat || undefined,
+    rasterDpi: typeof options.rasterDpi === 'number' ? options.rasterDpi : undefined,
+    sourceParts: options.sourceParts || undefined,
+    colorSpace: options.colorSpace || undefined
+  };
+  versionRecords.push(buildVersionRecord(id, version, imageRecord));
+
+  const updated = applyVersion(cover, entry, [...versions, entry]);
+  await saveMetadata([updated], [imageRecord], { versions: versionRecords });
+
+  return updated;
+};
+
+/**
+ * Make a stored version the cover's active artwork
+ */
+export const setCoverVersion = async (id, version) => {
+  const cover = getCoverById(id);
+  if (!cover) {
+    throw new Error('Cover not found');
+  }
+
+  const entry = cover.versions?.find(item => item.version === version);
+  if (!entry) {
+    throw new Error('Version not found');
+  }
+  if (cover.currentVersion === version) {
+    return cover;
+  }
+
+  const record = await getVersionRecord(id, version);
+  if (!record) {
+    throw new Error('Version image not found');
+  }
+
+  const updated = applyVersion(cover, entry, cover.versions);
+  await saveMetadata([updated], [buildImageRecord(id, record.data, record)]);
+
+  return updated;
+};
+
+/**
+ * Data URL of a specific version's image
+ */
+export const getCoverVersionImageUrl = async (id, version) => {
+  const record = await getVersionRecord(id, version);
+  return record?.data || null;
+};
+
+/**
+ * Per-side bleed ({ top, bottom, outside } in inches) used to crop a cover's
+ * spread. Older records stored one value for every side, either on the cover
+ * or only in its preflight report; covers with neither use the default bleed.
+ */
+export const getCoverBleed = (cover) => {
+  if (cover?.bleed) return normalizeBleed(cover.bleed);
+  if (typeof cover?.bleedInches === 'number') return normalizeBleed(cover.bleedInches);
+  if (cover?.preflight?.bleed) return normalizeBleed(cover.preflight.bleed);
+  if (typeof cover?.preflight?.bleedInches === 'number') return normalizeBleed(cover.preflight.bleedInches);
+  return normalizeBleed(DEFAULT_BLEED_INCHES);
+};
+
+/**
+ * Paper shade of a cover's page block: the one chosen for the cover, else the
+ * shade of its paper profile's stock
+ */
+export const getCoverPaperShade = (cover) => {
+  return cover?.paperShade || getPaperProfile(cover?.paperProfileId).shade;
+};
+
+/**
+ * Interior page count: the one entered at upload, else estimated from the
+ * spine width and the paper's per-page caliper
+ */
+export const getCoverPageCount = (cover) => {
+  if (typeof cover?.pageCount === 'number' && cover.pageCount > 0) return cover.pageCount;
+  const spine = typeof cover?.spineWidthInches === 'number' ? cover.spineWidthInches : DEFAULT_SPINE_WIDTH;
+  const pages = Math.round(spine / getPaperProfile(cover?.paperProfileId).perPageInches);
+  return Math.max(2, pages + (pages % 2)); // pages come in leaves of two
+};
+
+/**
+ * Add interior page images to the end of a cover's page list
+ *
+ * @param {string} coverId
+ * @param {File[]} files - images, in reading order
+ */
+export const addInteriorPages = async (coverId, files) => {
+  const cover = getCoverById(coverId);
+  if (!cover) {
+    throw new Error('Cover not found');
+  }
+
+  const entries = [];
+  const records = [];
+  for (const file of files) {
+    const pageId = generateFileId();
+    const imageRecord = await createImageRecord(file, pageId);
+    entries.push({
+      id: pageId,
+      fileName: file.name,
+      uploadedAt: imageRecord.uploadedAt,
+      fileSize: file.size
+    });
+    records.push(buildPageRecord(coverId, pageId, imageRecord));
+  }
+
+  const updated = { ...cover, interiorPages: [...(cover.interiorPages || []), ...entries] };
+  await saveMetadata([updated], [], { pages: records });
+
+  return updated;
+};
+
+/**
+ * Remove one interior page image from a cover
+ */
+export const removeInteriorPage = async (coverId, pageId) => {
+  const cover = getCoverById(coverId);
+  if (!cover) {
+    throw new Error('Cover not found');
+  }
+
+  const interiorPages = (cover.interiorPages || []).filter(page => page.id !== pageId);
+  const updated = { ...cover, interiorPages };
+  await saveMetadata([updated], [], { removedPages: [[coverId, pageId]] });
+
+  return updated;
+};
+
+/**
+ * Move an interior page earlier (-1) or later (+1) in reading order
+ */
+export const moveInteriorPage = async (coverId, pageId, offset) => {
+  const cover = getCoverById(coverId);
+  if (!cover) {
+    throw new Error('Cover not found');
+  }
+
+  const interiorPages = [...(cover.interiorPages || [])];
+  const index = interiorPages.findIndex(page => page.id === pageId);
+  const target = index + offset;
+  if (index === -1 || target < 0 || target >= interiorPages.length) {
+    return cover;
+  }
+  [interiorPages[index], interiorPages[target]] = [interiorPages[target], interiorPages[index]];
+
+  return updateCover(coverId, { interiorPages });
+};
+
+/**
+ * Data URL of one interior page image
+ */
+export const getInteriorPageImageUrl = async (coverId, pageId) => {
+  const record = await getPageRecord(coverId, pageId);
+  return record?.data || null;
+};
+
+/**
+ * Set (or replace) a cover's foil or spot UV mask or relief map
+ *
+ * @param {string} coverId
+ * @param {string} kind - 'foil' | 'spotUv' | 'relief' (see FINISH_MASKS)
+ * @param {File} file - image laid out like the artwork spread
+ * @param {object} [options] - { imageDimensions, settings (extra fields for the entry, e.g. a relief's mapType and mode) }
+ */
+export const setFinishMask = async (coverId, kind, file, options = {}) => {
+  const cover = getCoverById(coverId);
+  if (!cover) {
+    throw new Error('Cover not found');
+  }
+
+  const imageRecord = await createImageRecord(file, `${coverId}_${kind}`);
+  const entry = {
+    fileName: file.name,
+    uploadedAt: imageRecord.uploadedAt,
+    fileSize: file.size,
+    imageDimensions: options.imageDimensions || undefined,
+    ...options.settings
+  };
+  const updated = { ...cover, finishMasks: { ...cover.finishMasks, [kind]: entry } };
+  await saveMetadata([updated], [], { masks: [buildMaskRecord(coverId, kind, imageRecord)] });
+
+  return updated;
+};
+
+/**
+ * Change the settings stored with a mask (e.g. a relief map's mapType or mode)
+ */
+export const updateFinishMaskSettings = async (coverId, kind, settings) => {
+  const cover = getCoverById(coverId);
+  if (!cover?.finishMasks?.[kind]) {
+    throw new Error('Mask not found');
+  }
 
-  if (filteredCovers.length === covers.length) {
+  return updateCover(coverId, {
+    finishMasks: { ...cover.finishMasks, [kind]: { ...cover.finishMasks[kind], ...settings } }
+  });
+};
+
+/**
+ * Remove a cover's foil or spot UV mask or relief map
+ */
+export const removeFinishMask = async (coverId, kind) => {
+  const cover = getCoverById(coverId);
+  if (!cover) {
+    throw new Error('Cover not found');
+  }
+
+  const finishMasks = { ...cover.finishMasks };
+  delete finishMasks[kind];
+  const updated = { ...cover, finishMasks: Object.keys(finishMasks).length > 0 ? finishMasks : undefined };
+  await saveMetadata([updated], [], { removedMasks: [[coverId, kind]] });
+
+  return updated;
+};
+
+/**
+ * Data URL of a cover's foil or spot UV mask or relief map
+ */
+export const getFinishMaskUrl = async (coverId, kind) => {
+  const record = await getMaskRecord(coverId, kind);
+  return record?.data || null;
+};
+
+/**
+ * Delete cover. The metadata row and its image are removed in one transaction.
+ */
+export const deleteCover = async (id) => {
+  if (!getCoverById(id)) {
     throw new Error('Cover not found');
   }
 
-  await saveMetadata(filteredCovers);
+  await deleteMetadata(id);
   return true;
 };
 
 /**
- * Clear all covers
+ * Clear all covers (metadata and images)
  */
 export const clearAllCovers = async () => {
-  await saveMetadata([]);
+  await saveMetadata([], [], { replace: true });
   return true;
 };
 
 /**
- * Get cover display info
+ * Get cover display info, with the trim size shown in the given unit
  */
-export const getCoverDisplayInfo = (cover) => {
+export const getCoverDisplayInfo = (cover, unit) => {
   const preset = findPresetByDimensions(cover.trimSize.width, cover.trimSize.height);
 
   return {
     ...cover,
     displayName: cover.originalName,
-    trimSizeDisplay: formatTrimSize(cover.trimSize.width, cover.trimSize.height),
+    trimSizeDisplay: formatTrimSize(cover.trimSize.width, cover.trimSize.height, unit),
     presetName: preset?.name || 'Custom',
     category: preset?.category || 'Custom',
     uploadedDate: new Date(cover.uploadedAt).toLocaleDateString(),
@@ -136,8 +567,75 @@ const formatFileSize = (bytes) => {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 };
 
+// Fields of a cover record (see the structure at the top of this file);
+// bleedInches is the single bleed value older records stored
+const COVER_FIELDS = [
+  'id', 'filename', 'originalName', 'trimSize', 'uploadedAt', 'fileSize', 'source', 'imageDimensions',
+  'spineWidthInches', 'bleed', 'bleedInches', 'bindingType', 'spreadOrientation', 'paperProfileId', 'pageCount',
+  'paperShade', 'interiorPages', 'finish', 'finishMasks', 'sourceFormat', 'sourceParts', 'rasterDpi', 'imageDpi',
+  'preflight', 'series', 'seriesNumber', 'client', 'project', 'tags', 'savedViews', 'versions', 'currentVersion'
+];
+
+// Fields of the entries in a record's lists and maps
+const COVER_ENTRY_FIELDS = {
+  interiorPages: ['id', 'fileName', 'uploadedAt', 'fileSize'],
+  savedViews: ['id', 'name', 'position', 'target', 'open'],
+  versions: ['version', 'fileName', 'uploadedAt', 'fileSize', 'imageDimensions', 'imageDpi', 'sourceFormat', 'rasterDpi', 'sourceParts', 'colorSpace']
+};
+const FINISH_MASK_FIELDS = ['fileName', 'uploadedAt', 'fileSize', 'imageDimensions', 'mapType', 'mode'];
+const PREFLIGHT_FIELDS = ['status', 'checks', 'bleed', 'colorSpace', 'checkedAt'];
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const pickFields = (source, fields) => {
+  return Object.fromEntries(fields.filter(field => source[field] !== undefined).map(field => [field, source[field]]));
+};
+
+// Copy of a record from outside the app (e.g. a library archive) with only the known fields
+const sanitizeCoverData = (data) => {
+  const cover = pickFields(data, COVER_FIELDS);
+
+  if (isObject(cover.trimSize)) {
+    cover.trimSize = { width: parseFloat(cover.trimSize.width), height: parseFloat(cover.trimSize.height) };
+  } else {
+    delete cover.trimSize;
+  }
+
+  Object.entries(COVER_ENTRY_FIELDS).forEach(([field, entryFields]) => {
+    if (cover[field] === undefined) return;
+    if (Array.isArray(cover[field])) {
+      cover[field] = cover[field].filter(isObject).map(entry => pickFields(entry, entryFields));
+    } else {
+      delete cover[field];
+    }
+  });
+
+  if (cover.finishMasks !== undefined) {
+    const masks = isObject(cover.finishMasks) ? cover.finishMasks : {};
+    cover.finishMasks = Object.fromEntries(Object.values(FINISH_MASKS)
+      .filter(kind => isObject(masks[kind]))
+      .map(kind => [kind, pickFields(masks[kind], FINISH_MASK_FIELDS)]));
+    if (Object.keys(cover.finishMasks).length === 0) delete cover.finishMasks;
+  }
+
+  if (cover.preflight !== undefined) {
+    if (isObject(cover.preflight)) {
+      cover.preflight = pickFields(cover.preflight, PREFLIGHT_FIELDS);
+    } else {
+      delete cover.preflight;
+    }
+  }
+
+  if (cover.tags !== undefined) {
+    cover.tags = normalizeTags(cover.tags);
+  }
+
+  return cover;
+};
+
 /**
- * Validate cover data
+ * Validate cover data. `cover` is a copy holding only the fields a cover
+ * record has, for storing data that came from outside the app.
  */
 export const validateCoverData = (data) => {
   const errors = [];
@@ -145,12 +643,22 @@ export const validateCoverData = (data) => {
   if (!data.id) errors.push('ID is required');
   if (!data.filename) errors.push('Filename is required');
   if (!data.trimSize) errors.push('Trim size is required');
-  if (!data.trimSize.width || !data.trimSize.height) errors.push('Trim size dimensions are required');
+  if (data.trimSize && (!data.trimSize.width || !data.trimSize.height)) {
+    errors.push('Trim size dimensions are required');
+  } else if (data.trimSize) {
+    // Stored as numbers, so check what parsing makes of them
+    const width = parseFloat(data.trimSize.width);
+    const height = parseFloat(data.trimSize.height);
+    if (!Number.isFinite(width) || !Number.isFinite(height) || width <= 0 || height <= 0) {
+      errors.push('Trim size dimensions must be positive numbers');
+    }
+  }
   if (!data.uploadedAt) errors.push('Upload date is required');
 
   return {
     valid: errors.length === 0,
-    errors
+    errors,
+    cover: errors.length === 0 ? sanitizeCoverData(data) : null
   };
 };
 
@@ -166,25 +674,140 @@ export const getCoversByCategory = (category) => {
 };
 
 /**
- * Search covers by name or trim size
+ * Get covers with an exact trim size (uses the metadata store's trimSize index)
+ */
+export const getCoversByTrimSize = (width, height) => {
+  return queryMetadata('trimSize', [parseFloat(width), parseFloat(height)]);
+};
+
+/**
+ * Kinds of user-defined collection; each is a field on the cover record
+ * holding the name of the collection the cover belongs to
+ */
+export const COLLECTION_TYPES = {
+  SERIES: 'series',
+  CLIENT: 'client',
+  PROJECT: 'project'
+};
+
+export const COLLECTION_TYPE_LABELS = {
+  [COLLECTION_TYPES.SERIES]: 'Series',
+  [COLLECTION_TYPES.CLIENT]: 'Client',
+  [COLLECTION_TYPES.PROJECT]: 'Project'
+};
+
+const sortNames = (names) => [...new Set(names)].sort((a, b) => a.localeCompare(b));
+
+/**
+ * Names of all collections of a type in the library, alphabetically
+ */
+export const getCollectionNames = (type) => {
+  return sortNames(getAllCovers().map(cover => cover[type]).filter(Boolean));
+};
+
+/**
+ * Trim and de-duplicate tags (case-insensitively, keeping the first spelling).
+ * Accepts an array or a comma-separated string.
  */
-export const searchCovers = (query) => {
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const seen = new Set();
+  return list
+    .map(tag => String(tag).trim())
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Every tag used in the library, alphabetically
+ */
+export const getAllTags = () => {
+  return sortNames(getAllCovers().flatMap(cover => cover.tags || []));
+};
+
+// Older rows may have no upload date; they sort first, as when loaded
+const compareUploadedAt = (a, b) => String(a.uploadedAt || '').localeCompare(String(b.uploadedAt || ''));
+
+/**
+ * Covers in a series, ordered by series number and then upload date
+ */
+export const getCoversInSeries = (series) => {
+  return getAllCovers()
+    .filter(cover => cover.series === series)
+    .sort((a, b) => (
+      (a.seriesNumber ?? Infinity) - (b.seriesNumber ?? Infinity) ||
+      compareUploadedAt(a, b)
+    ));
+};
+
+/**
+ * Search covers by name, trim size (as shown in the given unit), collection or tag
+ */
+export const searchCovers = (query, unit) => {
   if (!query) return getAllCovers();
 
   const covers = getAllCovers();
   const lowercaseQuery = query.toLowerCase();
 
   return covers.filter(cover => {
-    const displayInfo = getCoverDisplayInfo(cover);
+    const displayInfo = getCoverDisplayInfo(cover, unit);
+    const labels = [
+      ...Object.values(COLLECTION_TYPES).map(type => cover[type]),
+      ...(cover.tags || [])
+    ].filter(Boolean);
     return (
       displayInfo.displayName.toLowerCase().includes(lowercaseQuery) ||
       displayInfo.trimSizeDisplay.includes(query) ||
       displayInfo.presetName.toLowerCase().includes(lowercaseQuery) ||
-      displayInfo.category.toLowerCase().includes(lowercaseQuery)
+      displayInfo.category.toLowerCase().includes(lowercaseQuery) ||
+      labels.some(label => label.toLowerCase().includes(lowercaseQuery))
     );
   });
 };
 
+export const COVER_SORT_OPTIONS = [
+  { id: 'newest', name: 'Newest first' },
+  { id: 'oldest', name: 'Oldest first' },
+  { id: 'name', name: 'Name' },
+  { id: 'size', name: 'Trim size' }
+];
+
+/**
+ * Narrow a cover list by collection, tag and trim category. Empty filter
+ * values match everything.
+ *
+ * @param {Array} covers
+ * @param {object} filters - { collectionType, collection, tag, category }
+ */
+export const filterCovers = (covers, { collectionType, collection, tag, category } = {}) => {
+  const lowercaseTag = tag?.toLowerCase();
+  return covers.filter(cover => {
+    if (collectionType && collection && cover[collectionType] !== collection) return false;
+    if (lowercaseTag && !(cover.tags || []).some(entry => entry.toLowerCase() === lowercaseTag)) return false;
+    if (category && getCoverDisplayInfo(cover).category !== category) return false;
+    return true;
+  });
+};
+
+/**
+ * Sorted copy of a cover list (see COVER_SORT_OPTIONS). Size sorts by trim
+ * area, smallest first.
+ */
+export const sortCovers = (covers, sortBy) => {
+  const area = (cover) => cover.trimSize.width * cover.trimSize.height;
+  const compare = {
+    newest: (a, b) => compareUploadedAt(b, a),
+    oldest: compareUploadedAt,
+    name: (a, b) => (a.originalName || '').localeCompare(b.originalName || '', undefined, { numeric: true }),
+    size: (a, b) => area(a) - area(b) || a.trimSize.height - b.trimSize.height
+  }[sortBy];
+  return compare ? [...covers].sort(compare) : [...covers];
+};
+
 /**
  * Get cover statistics
  */
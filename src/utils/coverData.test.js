@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { validateCoverData, sortCovers } from './coverData.js';
+
+const validCover = {
+  id: 'cover_1',
+  filename: 'cover_1.png',
+  originalName: 'book.png',
+  trimSize: { width: 6, height: 9 },
+  uploadedAt: '2024-01-01T00:00:00.000Z',
+  fileSize: 1000
+};
+
+describe('validateCoverData', () => {
+  it('reports missing required fields', () => {
+    const { valid, errors, cover } = validateCoverData({ ...validCover, id: undefined, uploadedAt: undefined });
+    expect(valid).toBe(false);
+    expect(errors).toEqual(['ID is required', 'Upload date is required']);
+    expect(cover).toBeNull();
+  });
+
+  it('rejects trim sizes that are not positive numbers', () => {
+    ['six', { inches: 6 }, -6].forEach(width => {
+      const { valid, errors } = validateCoverData({ ...validCover, trimSize: { width, height: 9 } });
+      expect(valid).toBe(false);
+      expect(errors).toEqual(['Trim size dimensions must be positive numbers']);
+    });
+    expect(validateCoverData({ ...validCover, trimSize: { width: '6.14', height: 9.21 } }).cover.trimSize).toEqual({ width: 6.14, height: 9.21 });
+  });
+
+  it('keeps only known cover fields', () => {
+    const { valid, cover } = validateCoverData({
+      ...validCover,
+      series: 'Saga',
+      tags: ['one', 'One', ' two '],
+      externalUrl: 'https://example.com/track',
+      __proto__polluted: true
+    });
+    expect(valid).toBe(true);
+    expect(cover).toEqual({ ...validCover, series: 'Saga', tags: ['one', 'two'] });
+  });
+
+  it('keeps only known fields of nested entries', () => {
+    const { cover } = validateCoverData({
+      ...validCover,
+      trimSize: { width: '6', height: 9, depth: 2 },
+      interiorPages: [{ id: 'page_1', fileName: 'p1.png', script: 'x' }, 'not a page'],
+      versions: [{ version: 1, fileName: 'v1.png', extra: true }],
+      savedViews: 'not a list',
+      finishMasks: { foil: { fileName: 'foil.png', href: 'x' }, glitter: { fileName: 'g.png' } },
+      preflight: { status: 'ok', checks: [], injected: 1 }
+    });
+    expect(cover.trimSize).toEqual({ width: 6, height: 9 });
+    expect(cover.interiorPages).toEqual([{ id: 'page_1', fileName: 'p1.png' }]);
+    expect(cover.versions).toEqual([{ version: 1, fileName: 'v1.png' }]);
+    expect(cover.savedViews).toBeUndefined();
+    expect(cover.finishMasks).toEqual({ foil: { fileName: 'foil.png' } });
+    expect(cover.preflight).toEqual({ status: 'ok', checks: [] });
+  });
+});
+
+describe('sortCovers', () => {
+  const covers = [
+    { ...validCover, id: 'b', uploadedAt: '2024-02-01T00:00:00.000Z' },
+    { ...validCover, id: 'undated', uploadedAt: undefined },
+    { ...validCover, id: 'a', uploadedAt: '2024-01-01T00:00:00.000Z' }
+  ];
+
+  it('orders by upload date with undated covers oldest', () => {
+    expect(sortCovers(covers, 'oldest').map(cover => cover.id)).toEqual(['undated', 'a', 'b']);
+    expect(sortCovers(covers, 'newest').map(cover => cover.id)).toEqual(['b', 'a', 'undated']);
+  });
+});
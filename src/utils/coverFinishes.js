@@ -0,0 +1,192 @@
+/**
+ * Cover Finishes for BOOK COVER PREVIEWER
+ *
+ * Laminate finishes and special-finish masks for previewing printed covers.
+ * A finish sets the surface of the whole cover; grayscale masks the size of
+ * the artwork spread mark foil (metallic) and spot UV (high gloss) regions,
+ * white where the effect is applied. A relief map, aligned the same way,
+ * raises (emboss) or presses in (deboss) parts of the cover.
+ */
+
+export const FINISHES = {
+  MATTE: 'matte',
+  GLOSS: 'gloss',
+  SOFT_TOUCH: 'soft-touch'
+};
+
+export const DEFAULT_FINISH = FINISHES.MATTE;
+
+// Material settings per finish (MeshPhysicalMaterial parameters)
+export const FINISH_SPECS = {
+  [FINISHES.MATTE]: {
+    name: 'Matte',
+    description: 'Matte laminate: soft, diffuse highlights',
+    roughness: 0.75,
+    clearcoat: 0,
+    clearcoatRoughness: 0,
+    sheen: 0
+  },
+  [FINISHES.GLOSS]: {
+    name: 'Gloss',
+    description: 'Gloss laminate: sharp reflections over the artwork',
+    roughness: 0.35,
+    clearcoat: 1,
+    clearcoatRoughness: 0.06,
+    sheen: 0
+  },
+  [FINISHES.SOFT_TOUCH]: {
+    name: 'Soft-touch',
+    description: 'Soft-touch (velvet) laminate: no reflections, a faint sheen at glancing angles',
+    roughness: 0.95,
+    clearcoat: 0,
+    clearcoatRoughness: 0,
+    sheen: 0.6,
+    sheenRoughness: 0.8
+  }
+};
+
+export const FINISH_OPTIONS = Object.entries(FINISH_SPECS).map(([id, spec]) => ({
+  id,
+  name: spec.name,
+  description: spec.description
+}));
+
+export const FINISH_MASKS = {
+  FOIL: 'foil',
+  SPOT_UV: 'spotUv',
+  RELIEF: 'relief'
+};
+
+export const FINISH_MASK_LABELS = {
+  [FINISH_MASKS.FOIL]: 'Foil',
+  [FINISH_MASKS.SPOT_UV]: 'Spot UV',
+  [FINISH_MASKS.RELIEF]: 'Relief'
+};
+
+// A relief map is a grayscale height map (white is highest) or a tangent-space normal map
+export const RELIEF_MAP_TYPES = {
+  HEIGHT: 'height',
+  NORMAL: 'normal'
+};
+
+export const RELIEF_MODES = {
+  EMBOSS: 'emboss',
+  DEBOSS: 'deboss'
+};
+
+export const DEFAULT_RELIEF_INTENSITY = 1;
+export const MAX_RELIEF_INTENSITY = 3;
+const BUMP_SCALE = 2; // bumpScale at intensity 1
+
+const FOIL_ROUGHNESS = 0.22;
+const SPOT_UV_ROUGHNESS = 0.06;
+const MAX_FINISH_MAP_PIXELS = 2048;
+
+export const getFinishSpec = (finish) => {
+  return FINISH_SPECS[finish] || FINISH_SPECS[DEFAULT_FINISH];
+};
+
+/**
+ * Material parameters for a finish. With a finish map, roughness, metalness
+ * and clearcoat are scaled per pixel by its G, B and R channels.
+ */
+export const getFinishMaterialProps = (finish, { hasFoil = false, hasSpotUv = false } = {}) => {
+  const spec = getFinishSpec(finish);
+  return {
+    roughness: spec.roughness,
+    metalness: hasFoil ? 1 : 0,
+    clearcoat: hasSpotUv ? 1 : spec.clearcoat,
+    clearcoatRoughness: hasSpotUv ? SPOT_UV_ROUGHNESS : spec.clearcoatRoughness,
+    sheen: spec.sheen,
+    sheenRoughness: spec.sheenRoughness ?? 1
+  };
+};
+
+/**
+ * Guess whether an uploaded relief map is a normal map: flat areas of a
+ * normal map are the light blue (128, 128, 255), so its average leans blue.
+ *
+ * @param {number[]} color - average [r, g, b] of the image
+ */
+export const guessReliefMapType = ([r, g, b]) => {
+  const isNormal = b > 200 && Math.abs(r - 128) < 40 && Math.abs(g - 128) < 40;
+  return isNormal ? RELIEF_MAP_TYPES.NORMAL : RELIEF_MAP_TYPES.HEIGHT;
+};
+
+/**
+ * Material parameters for a relief map: a bump map for height maps, a normal
+ * map otherwise. Debossing inverts the relief.
+ *
+ * @param {object} relief - the cover's finishMasks.relief entry ({ mapType, mode })
+ * @param {Texture} texture - the relief map, sliced like the artwork
+ * @param {number} intensity - 0 (flat) to MAX_RELIEF_INTENSITY
+ */
+export const getReliefMaterialProps = (relief, texture, intensity = DEFAULT_RELIEF_INTENSITY) => {
+  if (!relief || !texture) return {};
+  const sign = relief.mode === RELIEF_MODES.DEBOSS ? -1 : 1;
+  if (relief.mapType === RELIEF_MAP_TYPES.NORMAL) {
+    return { normalMap: texture, normalScale: [sign * intensity, sign * intensity] };
+  }
+  return { bumpMap: texture, bumpScale: sign * intensity * BUMP_SCALE };
+};
+
+// Mask brightness (0-1) per pixel, stretched to the map size
+const readMask = (image, width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const values = new Float32Array(width * height);
+  for (let i = 0; i < values.length; i++) {
+    const offset = i * 4;
+    const luminance = (0.2126 * data[offset] + 0.7152 * data[offset + 1] + 0.0722 * data[offset + 2]) / 255;
+    values[i] = luminance * (data[offset + 3] / 255); // transparent counts as black
+  }
+  return values;
+};
+
+/**
+ * Draw the finish map for a cover: R = clearcoat, G = roughness scale,
+ * B = metalness, laid out like the artwork spread so it takes the same UV
+ * slicing. Masks are stretched to the spread's aspect.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {object} params - { finish, aspect (spread width / height), foil, spotUv (images or null) }
+ */
+export const drawFinishMap = (canvas, { finish, aspect, foil, spotUv }) => {
+  const spec = getFinishSpec(finish);
+  const props = getFinishMaterialProps(finish, { hasFoil: Boolean(foil), hasSpotUv: Boolean(spotUv) });
+  const width = aspect >= 1 ? MAX_FINISH_MAP_PIXELS : Math.round(MAX_FINISH_MAP_PIXELS * aspect);
+  const height = aspect >= 1 ? Math.round(MAX_FINISH_MAP_PIXELS / aspect) : MAX_FINISH_MAP_PIXELS;
+
+  const foilMask = foil ? readMask(foil, width, height) : null;
+  const spotMask = spotUv ? readMask(spotUv, width, height) : null;
+  const baseClearcoat = props.clearcoat > 0 ? spec.clearcoat / props.clearcoat : 0;
+  const foilRoughness = FOIL_ROUGHNESS / spec.roughness;
+  const spotRoughness = SPOT_UV_ROUGHNESS / spec.roughness;
+
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(width, height);
+  const { data } = image;
+
+  for (let i = 0; i < width * height; i++) {
+    const foilValue = foilMask ? foilMask[i] : 0;
+    const spotValue = spotMask ? spotMask[i] : 0;
+    let roughness = 1;
+    roughness += (foilRoughness - roughness) * foilValue;
+    roughness += (spotRoughness - roughness) * spotValue;
+
+    const offset = i * 4;
+    data[offset] = Math.round(255 * Math.max(baseClearcoat, spotValue));
+    data[offset + 1] = Math.round(255 * roughness);
+    data[offset + 2] = Math.round(255 * foilValue);
+    data[offset + 3] = 255;
+  }
+
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+};
@@ -0,0 +1,233 @@
+/**
+ * Cover Parts for BOOK COVER PREVIEWER
+ *
+ * Builds a cover spread from separate front, spine and back images. The
+ * parts are drawn into an ordinary spread (same layout as getSpreadLayout,
+ * without bleed, panels in the cover's orientation), so the 3D book, shelf and flat view slice it like any
+ * uploaded spread. Missing parts get a solid placeholder sampled from the
+ * artwork that is there.
+ */
+
+import { DEFAULT_BINDING_TYPE, getSpreadLayout, getCoverRegions } from './bindings.js';
+
+export const COVER_PARTS = ['front', 'spine', 'back'];
+
+export const COVER_PART_LABELS = { front: 'Front', spine: 'Spine', back: 'Back' };
+
+// Composed spreads are stored downscaled to this size anyway (see fileSystem.js)
+const MAX_SPREAD_PIXELS = 3000;
+const FALLBACK_DPI = 150;
+const PLACEHOLDER_GRAY = [156, 163, 175];
+const SPINE_SHADE = 0.85; // placeholder spine is a little darker so the folds read
+
+const loadImage = (source) => {
+  return new Promise((resolve, reject) => {
+    const url = typeof source === 'string' ? source : URL.createObjectURL(source);
+    const img = new Image();
+    const release = () => {
+      if (url !== source) URL.revokeObjectURL(url);
+    };
+    img.onload = () => {
+      release();
+      resolve(img);
+    };
+    img.onerror = () => {
+      release();
+      reject(new Error('Failed to decode image'));
+    };
+    img.src = url;
+  });
+};
+
+/**
+ * Average color of an image (or a crop of it) as [r, g, b]
+ */
+export const sampleImageColor = (image, crop) => {
+  const size = 16;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  const { x, y, width, height } = crop || { x: 0, y: 0, width: image.width, height: image.height };
+  ctx.drawImage(image, x, y, width, height, 0, 0, size, size);
+
+  const { data } = ctx.getImageData(0, 0, size, size);
+  const sum = [0, 0, 0];
+  for (let i = 0; i < data.length; i += 4) {
+    sum[0] += data[i];
+    sum[1] += data[i + 1];
+    sum[2] += data[i + 2];
+  }
+  const count = data.length / 4;
+  return sum.map(value => Math.round(value / count));
+};
+
+const toCssColor = ([r, g, b], shade = 1) => `rgb(${Math.round(r * shade)}, ${Math.round(g * shade)}, ${Math.round(b * shade)})`;
+
+// Source rectangle of an image that fills the target aspect without stretching
+const coverCrop = (crop, targetAspect) => {
+  const aspect = crop.width / crop.height;
+  if (aspect > targetAspect) {
+    const width = crop.height * targetAspect;
+    return { ...crop, x: crop.x + (crop.width - width) / 2, width };
+  }
+  const height = crop.width / targetAspect;
+  return { ...crop, y: crop.y + (crop.height - height) / 2, height };
+};
+
+/**
+ * Draw a spread from parts. Each part is { image, crop? } or null for a placeholder.
+ *
+ * @param {object} settings - { bindingType, trimSize, spineWidthInches, spreadOrientation }
+ * @param {object} parts - { front, spine, back }
+ * @returns {{ canvas: HTMLCanvasElement, dpi: number }}
+ */
+export const composeCoverSpread = (settings, parts) => {
+  const layout = getSpreadLayout({
+    bindingType: settings.bindingType || DEFAULT_BINDING_TYPE,
+    trimSize: settings.trimSize,
+    spineWidthInches: settings.spineWidthInches
+  });
+  const regions = getCoverRegions(layout, settings.spreadOrientation);
+  const panelHeight = layout.bottom - layout.top;
+  const cropOf = (part) => part.crop || { x: 0, y: 0, width: part.image.width, height: part.image.height };
+
+  // Keep the sharpest part's resolution, within the stored size limit
+  const present = COVER_PARTS.filter(name => parts[name]);
+  const sourceDpi = present.reduce((best, name) => Math.max(best, cropOf(parts[name]).height / panelHeight), 0) || FALLBACK_DPI;
+  const dpi = Math.min(sourceDpi, MAX_SPREAD_PIXELS / Math.max(layout.totalWidth, layout.totalHeight));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(layout.totalWidth * dpi);
+  canvas.height = Math.round(layout.totalHeight * dpi);
+  const ctx = canvas.getContext('2d');
+
+  // Placeholder color comes from the front, else whichever part was supplied
+  const sample = present.length > 0
+    ? sampleImageColor(parts[present[0]].image, cropOf(parts[present[0]]))
+    : PLACEHOLDER_GRAY;
+
+  // Wraps, flaps and missing panels share the placeholder color
+  ctx.fillStyle = toCssColor(sample);
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  COVER_PARTS.forEach(name => {
+    const region = regions[name];
+    const x = region.start * dpi;
+    const y = layout.top * dpi;
+    const width = (region.end - region.start) * dpi;
+    const height = panelHeight * dpi;
+    if (width <= 0) return;
+
+    const part = parts[name];
+    if (!part) {
+      if (name === 'spine') {
+        ctx.fillStyle = toCssColor(sample, SPINE_SHADE);
+        ctx.fillRect(x, y, width, height);
+      }
+      return;
+    }
+    const source = coverCrop(cropOf(part), width / height);
+    ctx.drawImage(part.image, source.x, source.y, source.width, source.height, x, y, width, height);
+  });
+
+  return { canvas, dpi: Math.round(dpi) };
+};
+
+const canvasToFile = (canvas, name) => {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) {
+        resolve(new File([blob], name, { type: 'image/png' }));
+      } else {
+        reject(new Error('Failed to encode cover spread'));
+      }
+    }, 'image/png');
+  });
+};
+
+/**
+ * Build a spread file from separate part files (any of them may be missing).
+ *
+ * @param {object} files - { front, spine, back } File or null
+ * @param {object} settings - { bindingType, trimSize, spineWidthInches, spreadOrientation }
+ * @returns {Promise<{ file: File, imageDimensions, imageDpi: number, sourceParts: object }>}
+ */
+export const buildSpreadFromParts = async (files, settings) => {
+  if (!COVER_PARTS.some(name => files[name])) {
+    throw new Error('Choose at least one cover part');
+  }
+
+  const parts = {};
+  for (const name of COVER_PARTS) {
+    parts[name] = files[name] ? { image: await loadImage(files[name]) } : null;
+  }
+
+  const { canvas, dpi } = composeCoverSpread(settings, parts);
+  const baseName = (files.front || files.back || files.spine).name.replace(/\.[^.]+$/, '');
+  const file = await canvasToFile(canvas, `${baseName}-spread.png`);
+
+  return {
+    file,
+    imageDimensions: { width: canvas.width, height: canvas.height },
+    imageDpi: dpi,
+    sourceParts: Object.fromEntries(COVER_PARTS.map(name => [name, files[name]?.name || null]))
+  };
+};
+
+/**
+ * Replace one part of a cover built from parts. The other supplied parts are
+ * cut back out of the current spread; placeholders are regenerated.
+ *
+ * @param {object} cover - cover record with sourceParts
+ * @param {string} spreadUrl - data URL of the cover's current spread
+ * @param {string} partName - 'front' | 'spine' | 'back'
+ * @param {File} file
+ */
+export const replaceSpreadPart = async (cover, spreadUrl, partName, file) => {
+  const settings = {
+    bindingType: cover.bindingType,
+    trimSize: cover.trimSize,
+    spineWidthInches: cover.spineWidthInches,
+    spreadOrientation: cover.spreadOrientation
+  };
+  const spread = await loadImage(spreadUrl);
+  const layout = getSpreadLayout({ ...settings, bindingType: settings.bindingType || DEFAULT_BINDING_TYPE });
+  const regions = getCoverRegions(layout, settings.spreadOrientation);
+  const scaleX = spread.width / layout.totalWidth;
+  const scaleY = spread.height / layout.totalHeight;
+
+  const parts = {};
+  const names = {};
+  for (const name of COVER_PARTS) {
+    if (name === partName) {
+      parts[name] = { image: await loadImage(file) };
+      names[name] = file.name;
+    } else if (cover.sourceParts?.[name]) {
+      const region = regions[name];
+      parts[name] = {
+        image: spread,
+        crop: {
+          x: region.start * scaleX,
+          y: layout.top * scaleY,
+          width: (region.end - region.start) * scaleX,
+          height: (layout.bottom - layout.top) * scaleY
+        }
+      };
+      names[name] = cover.sourceParts[name];
+    } else {
+      parts[name] = null;
+      names[name] = null;
+    }
+  }
+
+  const { canvas, dpi } = composeCoverSpread(settings, parts);
+  const spreadFile = await canvasToFile(canvas, `${file.name.replace(/\.[^.]+$/, '')}-spread.png`);
+
+  return {
+    file: spreadFile,
+    imageDimensions: { width: canvas.width, height: canvas.height },
+    imageDpi: dpi,
+    sourceParts: names
+  };
+};
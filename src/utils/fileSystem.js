@@ -2,81 +2,205 @@
  * File System Abstraction Layer for BOOK COVER PREVIEWER
  *
  * Handles file operations for uploaded cover images and metadata.
- * Uses client-side storage (IndexedDB + localStorage) for optimal performance.
+ * Cover metadata and image data live in separate IndexedDB object stores and
+ * are written together in one transaction. Metadata is mirrored in memory so
+ * synchronous reads stay cheap.
  */
 
-// IndexedDB configuration for storing uploaded image data
+// IndexedDB configuration
 const IDB_NAME = 'bookCoverPreviewerDB';
-const IDB_VERSION = 1;
-const IDB_STORE_COVERS = 'covers';
+const IDB_VERSION = 5;
+const IDB_STORE_COVERS = 'covers'; // image data
+const IDB_STORE_METADATA = 'metadata';
+const IDB_STORE_VERSIONS = 'versions'; // artwork revisions, keyed by [coverId, version]
+const IDB_STORE_PAGES = 'pages'; // interior page images, keyed by [coverId, id]
+const IDB_STORE_MASKS = 'masks'; // finish masks (foil, spot UV), keyed by [coverId, kind]
+
+// Longest edge of a stored cover image; larger uploads are downscaled
+export const MAX_STORED_IMAGE_DIMENSION = 3000;
+
+// localStorage keys used before metadata moved to IndexedDB (version 2)
+const LEGACY_METADATA_KEY = 'bookCoverPreviewer_metadata';
+const LEGACY_COVERS_KEY = 'bookCoverPreviewer_covers';
+
+// In-memory copy of the metadata store, in upload order
+let metadataCache = [];
+
+const readLegacyMetadata = () => {
+  try {
+    const rows = JSON.parse(localStorage.getItem(LEGACY_METADATA_KEY) || '[]');
+    return Array.isArray(rows) ? rows.filter(row => row && row.id) : [];
+  } catch (error) {
+    console.error('Failed to read legacy metadata:', error);
+    return [];
+  }
+};
+
+// Schema migrations, keyed by the version they upgrade to
+const MIGRATIONS = {
+  1: (db) => {
+    if (!db.objectStoreNames.contains(IDB_STORE_COVERS)) {
+      db.createObjectStore(IDB_STORE_COVERS, { keyPath: 'id' });
+    }
+  },
+  2: (db) => {
+    const store = db.createObjectStore(IDB_STORE_METADATA, { keyPath: 'id' });
+    store.createIndex('uploadedAt', 'uploadedAt');
+    store.createIndex('trimSize', ['trimSize.width', 'trimSize.height']);
+    store.createIndex('name', 'originalName');
+    // Runs inside the upgrade transaction, so a failed copy leaves the legacy key in place
+    readLegacyMetadata().forEach(row => store.put(row));
+    return { migratedLegacyMetadata: true };
+  },
+  3: (db) => {
+    db.createObjectStore(IDB_STORE_VERSIONS, { keyPath: ['coverId', 'version'] });
+  },
+  4: (db) => {
+    db.createObjectStore(IDB_STORE_PAGES, { keyPath: ['coverId', 'id'] });
+  },
+  5: (db) => {
+    db.createObjectStore(IDB_STORE_MASKS, { keyPath: ['coverId', 'kind'] });
+  }
+};
+
+const ALL_STORES = [IDB_STORE_METADATA, IDB_STORE_COVERS, IDB_STORE_VERSIONS, IDB_STORE_PAGES, IDB_STORE_MASKS];
+
+// Every version of one cover
+const coverVersionRange = (coverId) => IDBKeyRange.bound([coverId, 0], [coverId, Infinity]);
+
+// Every interior page of one cover (page IDs are strings)
+const coverPageRange = (coverId) => IDBKeyRange.bound([coverId, ''], [coverId, '\uffff']);
+
+// Every finish mask of one cover (kinds are strings)
+const coverMaskRange = (coverId) => IDBKeyRange.bound([coverId, ''], [coverId, '\uffff']);
 
 const openIdb = () => {
   return new Promise((resolve, reject) => {
     if (typeof indexedDB === 'undefined') {
       return reject(new Error('IndexedDB not available'));
     }
+    let migratedLegacyMetadata = false;
+    let blocked = false;
     const request = indexedDB.open(IDB_NAME, IDB_VERSION);
-    request.onupgradeneeded = () => {
+    request.onupgradeneeded = (event) => {
       const db = request.result;
-      if (!db.objectStoreNames.contains(IDB_STORE_COVERS)) {
-        db.createObjectStore(IDB_STORE_COVERS, { keyPath: 'id' });
+      for (let version = event.oldVersion + 1; version <= IDB_VERSION; version++) {
+        const result = MIGRATIONS[version]?.(db);
+        migratedLegacyMetadata = migratedLegacyMetadata || Boolean(result?.migratedLegacyMetadata);
       }
     };
     request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve(request.result);
+    // An older tab still holds the database open. Give up rather than wait,
+    // so startup is not held until that tab closes.
+    request.onblocked = () => {
+      blocked = true;
+      reject(new Error('The cover library is open in another tab with an older version of the app. Close or reload that tab, then reload this one.'));
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      if (blocked) {
+        // The other tab closed after this open was given up on
+        db.close();
+        return;
+      }
+      // Let a newer version in another tab upgrade the schema
+      db.onversionchange = () => db.close();
+      if (migratedLegacyMetadata) {
+        localStorage.removeItem(LEGACY_METADATA_KEY);
+        localStorage.removeItem(LEGACY_COVERS_KEY);
+      }
+      resolve(db);
+    };
   });
 };
 
-const idbPutCover = async (record) => {
+/**
+ * Run work against one or more stores in a single transaction. Resolves with
+ * the work function's return value once the transaction commits; rejects if
+ * any request fails (e.g. QuotaExceededError), in which case nothing is written.
+ */
+const runTransaction = async (storeNames, mode, work) => {
   const db = await openIdb();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(IDB_STORE_COVERS, 'readwrite');
-    const store = tx.objectStore(IDB_STORE_COVERS);
-    const req = store.put(record);
-    req.onerror = () => reject(req.error);
-    req.onsuccess = () => resolve(true);
+    let settled = false;
+    // Closing waits for the transaction to finish, so it is safe in every branch
+    const settle = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      db.close();
+      callback(value);
+    };
+
+    let tx;
+    let result;
+    try {
+      tx = db.transaction(storeNames, mode);
+      tx.oncomplete = () => settle(resolve, result);
+      // A failed request reports here (tx.error is only set once the transaction aborts)
+      tx.onerror = (event) => settle(reject, event.target.error || new Error('Transaction failed'));
+      tx.onabort = () => settle(reject, tx.error || new Error('Transaction aborted'));
+      result = work(tx);
+    } catch (error) {
+      try {
+        tx?.abort();
+      } catch (abortError) {
+        // Already finished
+      }
+      settle(reject, error);
+    }
+  });
+};
+
+// Holds a request's result; read it after the transaction has completed
+const requestResult = (req) => {
+  const holder = { value: undefined };
+  req.onsuccess = () => {
+    holder.value = req.result;
+  };
+  return holder;
+};
+
+const idbPutCover = (record) => {
+  return runTransaction(IDB_STORE_COVERS, 'readwrite', (tx) => {
+    tx.objectStore(IDB_STORE_COVERS).put(record);
+    return true;
   });
 };
 
 const idbGetCover = async (id) => {
-  const db = await openIdb();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(IDB_STORE_COVERS, 'readonly');
-    const store = tx.objectStore(IDB_STORE_COVERS);
-    const req = store.get(id);
-    req.onerror = () => reject(req.error);
-    req.onsuccess = () => resolve(req.result || null);
+  const holder = await runTransaction(IDB_STORE_COVERS, 'readonly', (tx) => {
+    return requestResult(tx.objectStore(IDB_STORE_COVERS).get(id));
   });
+  return holder.value || null;
 };
 
-const idbDeleteCover = async (id) => {
-  const db = await openIdb();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(IDB_STORE_COVERS, 'readwrite');
-    const store = tx.objectStore(IDB_STORE_COVERS);
-    const req = store.delete(id);
-    req.onerror = () => reject(req.error);
-    req.onsuccess = () => resolve(true);
+const idbDeleteCover = (id) => {
+  return runTransaction(IDB_STORE_COVERS, 'readwrite', (tx) => {
+    tx.objectStore(IDB_STORE_COVERS).delete(id);
+    return true;
   });
 };
 
+// Upload order; rows without a date (old localStorage records) come first, in stored order
+const sortByUploadedAt = (rows) => {
+  return [...rows].sort((a, b) => String(a.uploadedAt || '').localeCompare(String(b.uploadedAt || '')));
+};
+
 /**
- * Initialize client-side storage
+ * Initialize client-side storage: open (and if needed migrate) the database
+ * and load cover metadata into memory
  */
 export const ensureDataDirectories = async () => {
   try {
-    if (typeof window !== 'undefined') {
-      // Initialize localStorage structure
-      if (!localStorage.getItem('bookCoverPreviewer_metadata')) {
-        localStorage.setItem('bookCoverPreviewer_metadata', JSON.stringify([]));
-      }
-      if (!localStorage.getItem('bookCoverPreviewer_covers')) {
-        localStorage.setItem('bookCoverPreviewer_covers', JSON.stringify({}));
-      }
-    }
+    // Read the store itself: the uploadedAt index skips rows without the field
+    const holder = await runTransaction(IDB_STORE_METADATA, 'readonly', (tx) => {
+      return requestResult(tx.objectStore(IDB_STORE_METADATA).getAll());
+    });
+    metadataCache = sortByUploadedAt(holder.value || []);
     return true;
   } catch (error) {
     console.error('Failed to initialize storage:', error);
+    metadataCache = [];
     return false;
   }
 };
@@ -88,25 +212,76 @@ export const generateFileId = () => {
   return `cover_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 };
 
+/**
+ * Build an image record for the covers store
+ */
+export const buildImageRecord = (fileId, dataUrl, info = {}) => ({
+  id: fileId,
+  data: dataUrl,
+  name: info.name || fileId,
+  size: info.size || 0,
+  type: info.type || dataUrl.slice(5, dataUrl.indexOf(';')),
+  uploadedAt: info.uploadedAt || new Date().toISOString()
+});
+
+/**
+ * Build a record for the versions store from an image record
+ */
+export const buildVersionRecord = (coverId, version, imageRecord) => ({
+  coverId,
+  version,
+  data: imageRecord.data,
+  name: imageRecord.name,
+  size: imageRecord.size,
+  type: imageRecord.type,
+  uploadedAt: imageRecord.uploadedAt
+});
+
+/**
+ * Build a record for the pages store from an image record
+ */
+export const buildPageRecord = (coverId, pageId, imageRecord) => ({
+  coverId,
+  id: pageId,
+  data: imageRecord.data,
+  name: imageRecord.name,
+  size: imageRecord.size,
+  type: imageRecord.type,
+  uploadedAt: imageRecord.uploadedAt
+});
+
+/**
+ * Build a record for the masks store from an image record
+ */
+export const buildMaskRecord = (coverId, kind, imageRecord) => ({
+  coverId,
+  kind,
+  data: imageRecord.data,
+  name: imageRecord.name,
+  size: imageRecord.size,
+  type: imageRecord.type,
+  uploadedAt: imageRecord.uploadedAt
+});
+
+/**
+ * Compress an uploaded file into an image record (not yet stored). keepSize
+ * skips the downscale, for rasters made at a chosen DPI (PDF covers).
+ */
+export const createImageRecord = async (file, fileId, { keepSize = false } = {}) => {
+  // Compress large images to reduce storage size
+  const dataUrl = await readFileAsCompressedDataUrl(file, keepSize ? Infinity : MAX_STORED_IMAGE_DIMENSION);
+  return buildImageRecord(fileId, dataUrl, { name: file.name, size: file.size, type: file.type });
+};
+
 /**
  * Save uploaded file to IndexedDB
  */
 export const saveUploadedFile = async (file, fileId) => {
-  // Compress large images to reduce storage size
-  const dataUrl = await readFileAsCompressedDataUrl(file);
-  const record = {
-    id: fileId,
-    data: dataUrl,
-    name: file.name,
-    size: file.size,
-    type: file.type,
-    uploadedAt: new Date().toISOString()
-  };
-  await idbPutCover(record);
+  await idbPutCover(await createImageRecord(file, fileId));
   return fileId;
 };
 
-const readFileAsCompressedDataUrl = (file) => {
+const readFileAsCompressedDataUrl = (file, maxDim) => {
   return new Promise((resolve, reject) => {
     const img = new Image();
     const reader = new FileReader();
@@ -116,7 +291,6 @@ const readFileAsCompressedDataUrl = (file) => {
         try {
           const canvas = document.createElement('canvas');
           const ctx = canvas.getContext('2d');
-          const maxDim = 3000; // cap large images to reduce storage usage
           let { width, height } = img;
           if (width > maxDim || height > maxDim) {
             const scale = Math.min(maxDim / width, maxDim / height);
@@ -173,13 +347,9 @@ export const deleteFile = async (fileId) => {
  */
 export const clearAllFiles = async () => {
   try {
-    const db = await openIdb();
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction(IDB_STORE_COVERS, 'readwrite');
-      const store = tx.objectStore(IDB_STORE_COVERS);
-      const req = store.clear();
-      req.onerror = () => reject(req.error);
-      req.onsuccess = () => resolve(true);
+    return await runTransaction(IDB_STORE_COVERS, 'readwrite', (tx) => {
+      tx.objectStore(IDB_STORE_COVERS).clear();
+      return true;
     });
   } catch (error) {
     console.error('Failed to clear all files:', error);
@@ -192,43 +362,174 @@ export const clearAllFiles = async () => {
  */
 export const getAllFiles = async () => {
   try {
-    const db = await openIdb();
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction(IDB_STORE_COVERS, 'readonly');
-      const store = tx.objectStore(IDB_STORE_COVERS);
-      const req = store.getAll();
-      req.onerror = () => reject(req.error);
-      req.onsuccess = () => resolve(req.result || []);
+    const holder = await runTransaction(IDB_STORE_COVERS, 'readonly', (tx) => {
+      return requestResult(tx.objectStore(IDB_STORE_COVERS).getAll());
     });
+    return holder.value || [];
   } catch (error) {
     console.error('Failed to get all files:', error);
     return [];
   }
 };
 
+const upsertCache = (rows) => {
+  const next = metadataCache.slice();
+  rows.forEach(row => {
+    const index = next.findIndex(existing => existing.id === row.id);
+    if (index === -1) {
+      next.push(row);
+    } else {
+      next[index] = row;
+    }
+  });
+  metadataCache = next;
+};
+
 /**
- * Save metadata
+ * Save metadata rows, and optionally their image, version and page records, in
+ * one transaction. Throws if the write fails; the in-memory copy is only
+ * updated on success.
+ *
+ * @param {object[]} rows - cover metadata
+ * @param {object[]} [images] - image records from createImageRecord/buildImageRecord
+ * @param {object} [options] - { replace: clear all stores first, versions: records from buildVersionRecord,
+ *   pages: records from buildPageRecord, removedPages: [coverId, pageId] keys to delete,
+ *   masks: records from buildMaskRecord, removedMasks: [coverId, kind] keys to delete }
  */
-export const saveMetadata = async (metadata) => {
-  try {
-    localStorage.setItem('bookCoverPreviewer_metadata', JSON.stringify(metadata));
-    return true;
-  } catch (error) {
-    console.error('Failed to save metadata:', error);
-    return false;
+export const saveMetadata = async (rows, images = [], {
+  replace = false,
+  versions = [],
+  pages = [],
+  removedPages = [],
+  masks = [],
+  removedMasks = []
+} = {}) => {
+  const touchesImages = [images, versions, pages, removedPages, masks, removedMasks].some(list => list.length > 0);
+  const stores = touchesImages || replace ? ALL_STORES : [IDB_STORE_METADATA];
+  await runTransaction(stores, 'readwrite', (tx) => {
+    const metadataStore = tx.objectStore(IDB_STORE_METADATA);
+    if (replace) {
+      stores.forEach(name => tx.objectStore(name).clear());
+    }
+    rows.forEach(row => metadataStore.put(row));
+    images.forEach(record => tx.objectStore(IDB_STORE_COVERS).put(record));
+    versions.forEach(record => tx.objectStore(IDB_STORE_VERSIONS).put(record));
+    pages.forEach(record => tx.objectStore(IDB_STORE_PAGES).put(record));
+    removedPages.forEach(key => tx.objectStore(IDB_STORE_PAGES).delete(key));
+    masks.forEach(record => tx.objectStore(IDB_STORE_MASKS).put(record));
+    removedMasks.forEach(key => tx.objectStore(IDB_STORE_MASKS).delete(key));
+  });
+
+  if (replace) {
+    metadataCache = [];
   }
+  upsertCache(rows);
+  return true;
+};
+
+/**
+ * Delete a metadata row with its image, all of its versions, its interior
+ * pages and its finish masks
+ */
+export const deleteMetadata = async (id) => {
+  await runTransaction(ALL_STORES, 'readwrite', (tx) => {
+    tx.objectStore(IDB_STORE_METADATA).delete(id);
+    tx.objectStore(IDB_STORE_COVERS).delete(id);
+    tx.objectStore(IDB_STORE_VERSIONS).delete(coverVersionRange(id));
+    tx.objectStore(IDB_STORE_PAGES).delete(coverPageRange(id));
+    tx.objectStore(IDB_STORE_MASKS).delete(coverMaskRange(id));
+  });
+  metadataCache = metadataCache.filter(row => row.id !== id);
+  return true;
+};
+
+/**
+ * Get one stored version of a cover's artwork
+ */
+export const getVersionRecord = async (coverId, version) => {
+  const holder = await runTransaction(IDB_STORE_VERSIONS, 'readonly', (tx) => {
+    return requestResult(tx.objectStore(IDB_STORE_VERSIONS).get([coverId, version]));
+  });
+  return holder.value || null;
+};
+
+/**
+ * Get stored versions, for one cover or for the whole library
+ */
+export const getVersionRecords = async (coverId) => {
+  const holder = await runTransaction(IDB_STORE_VERSIONS, 'readonly', (tx) => {
+    const store = tx.objectStore(IDB_STORE_VERSIONS);
+    return requestResult(coverId ? store.getAll(coverVersionRange(coverId)) : store.getAll());
+  });
+  return holder.value || [];
+};
+
+/**
+ * Get one interior page image of a cover
+ */
+export const getPageRecord = async (coverId, pageId) => {
+  const holder = await runTransaction(IDB_STORE_PAGES, 'readonly', (tx) => {
+    return requestResult(tx.objectStore(IDB_STORE_PAGES).get([coverId, pageId]));
+  });
+  return holder.value || null;
 };
 
 /**
- * Load metadata
+ * Get stored interior pages, for one cover or for the whole library
+ */
+export const getPageRecords = async (coverId) => {
+  const holder = await runTransaction(IDB_STORE_PAGES, 'readonly', (tx) => {
+    const store = tx.objectStore(IDB_STORE_PAGES);
+    return requestResult(coverId ? store.getAll(coverPageRange(coverId)) : store.getAll());
+  });
+  return holder.value || [];
+};
+
+/**
+ * Get one finish mask of a cover
+ */
+export const getMaskRecord = async (coverId, kind) => {
+  const holder = await runTransaction(IDB_STORE_MASKS, 'readonly', (tx) => {
+    return requestResult(tx.objectStore(IDB_STORE_MASKS).get([coverId, kind]));
+  });
+  return holder.value || null;
+};
+
+/**
+ * Get every stored finish mask in the library
+ */
+export const getMaskRecords = async () => {
+  const holder = await runTransaction(IDB_STORE_MASKS, 'readonly', (tx) => {
+    return requestResult(tx.objectStore(IDB_STORE_MASKS).getAll());
+  });
+  return holder.value || [];
+};
+
+/**
+ * Load metadata (synchronous; returns the copy loaded by ensureDataDirectories)
  */
 export const loadMetadata = () => {
-  try {
-    return JSON.parse(localStorage.getItem('bookCoverPreviewer_metadata') || '[]');
-  } catch (error) {
-    console.error('Failed to load metadata:', error);
-    return [];
-  }
+  return metadataCache.slice();
+};
+
+/**
+ * Query metadata through one of the store's indexes ('uploadedAt', 'trimSize', 'name')
+ */
+export const queryMetadata = async (indexName, query) => {
+  const holder = await runTransaction(IDB_STORE_METADATA, 'readonly', (tx) => {
+    return requestResult(tx.objectStore(IDB_STORE_METADATA).index(indexName).getAll(query));
+  });
+  return holder.value || [];
+};
+
+export const PDF_MIME_TYPE = 'application/pdf';
+
+/**
+ * Check whether a file is a PDF (by MIME type or extension)
+ */
+export const isPdfFile = (file) => {
+  if (!file) return false;
+  return file.type === PDF_MIME_TYPE || /\.pdf$/i.test(file.name || '');
 };
 
 /**
@@ -236,18 +537,26 @@ export const loadMetadata = () => {
  */
 export const validateFile = (file) => {
   const maxSize = 10 * 1024 * 1024; // 10MB
+  const maxPdfSize = 50 * 1024 * 1024; // 50MB - print PDFs are rasterized before storage
   const allowedTypes = ['image/png', 'image/jpg', 'image/jpeg', 'image/webp'];
 
   if (!file) {
     return { valid: false, error: 'No file selected' };
   }
 
-  if (file.size > maxSize) {
+  // Some systems report no MIME type for PDFs, so the extension counts too
+  const isPdf = isPdfFile(file);
+
+  if (isPdf && file.size > maxPdfSize) {
+    return { valid: false, error: 'PDF size must be less than 50MB' };
+  }
+
+  if (!isPdf && file.size > maxSize) {
     return { valid: false, error: 'File size must be less than 10MB' };
   }
 
-  if (!allowedTypes.includes(file.type)) {
-    return { valid: false, error: 'File must be PNG, JPG, JPEG, or WebP' };
+  if (!isPdf && !allowedTypes.includes(file.type)) {
+    return { valid: false, error: 'File must be PNG, JPG, JPEG, WebP, or PDF' };
   }
 
   return { valid: true };
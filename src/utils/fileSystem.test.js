@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { validateFile, isPdfFile } from './fileSystem.js';
+
+const fileOf = (name, type, size = 1024) => ({ name, type, size });
+
+describe('validateFile', () => {
+  it('accepts PDFs by extension when the browser reports no MIME type', () => {
+    const pdf = fileOf('cover.PDF', '');
+    expect(isPdfFile(pdf)).toBe(true);
+    expect(validateFile(pdf)).toEqual({ valid: true });
+  });
+
+  it('applies the PDF size limit to PDFs without a MIME type', () => {
+    expect(validateFile(fileOf('cover.pdf', '', 20 * 1024 * 1024)).valid).toBe(true);
+    expect(validateFile(fileOf('cover.pdf', '', 60 * 1024 * 1024)).error).toBe('PDF size must be less than 50MB');
+  });
+
+  it('rejects other files without a known image type', () => {
+    expect(validateFile(fileOf('cover.tiff', '')).valid).toBe(false);
+    expect(validateFile(fileOf('cover.png', 'image/png', 11 * 1024 * 1024)).error).toBe('File size must be less than 10MB');
+    expect(validateFile(fileOf('cover.png', 'image/png'))).toEqual({ valid: true });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Floor Textures for BOOK COVER PREVIEWER
+ *
+ * Procedural plank texture for the wooden floor material. It is drawn in
+ * light neutral tones so the floor color tints it.
+ */
+
+import { CanvasTexture, RepeatWrapping, SRGBColorSpace } from 'three';
+
+const TEXTURE_SIZE = 1024;
+const PLANKS_PER_TILE = 8;
+const GRAIN_LINES_PER_PLANK = 28;
+const TILE_SCENE_UNITS = 6.4; // 8 planks of 4" at 0.2 scene units per inch
+const SEAM_OPACITY = 0.35;
+
+// Deterministic generator so the floor looks the same on every load
+const seededRandom = (seed) => {
+  let state = seed >>> 0 || 1;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+};
+
+/**
+ * Draw a tile of planks running across the canvas
+ */
+export const drawWoodPlanks = (canvas) => {
+  const random = seededRandom(PLANKS_PER_TILE);
+  const plankHeight = TEXTURE_SIZE / PLANKS_PER_TILE;
+
+  canvas.width = TEXTURE_SIZE;
+  canvas.height = TEXTURE_SIZE;
+  const ctx = canvas.getContext('2d');
+
+  for (let plank = 0; plank < PLANKS_PER_TILE; plank++) {
+    const top = plank * plankHeight;
+    const shade = 205 + Math.round(random() * 40);
+    ctx.fillStyle = `rgb(${shade}, ${shade}, ${shade})`;
+    ctx.fillRect(0, top, TEXTURE_SIZE, plankHeight);
+
+    // Grain: faint wavy lines along the plank
+    for (let line = 0; line < GRAIN_LINES_PER_PLANK; line++) {
+      const y = top + random() * plankHeight;
+      const amplitude = 1 + random() * 4;
+      const frequency = (1 + Math.floor(random() * 3)) * 2 * Math.PI / TEXTURE_SIZE;
+      const phase = random() * Math.PI * 2;
+      ctx.strokeStyle = `rgba(60, 40, 20, ${0.04 + random() * 0.1})`;
+      ctx.lineWidth = 0.5 + random() * 1.5;
+      ctx.beginPath();
+      for (let x = 0; x <= TEXTURE_SIZE; x += 16) {
+        const waveY = y + Math.sin(x * frequency + phase) * amplitude;
+        if (x === 0) {
+          ctx.moveTo(x, waveY);
+        } else {
+          ctx.lineTo(x, waveY);
+        }
+      }
+      ctx.stroke();
+    }
+
+    // Seams along the plank and one butt joint per plank
+    ctx.fillStyle = `rgba(0, 0, 0, ${SEAM_OPACITY})`;
+    ctx.fillRect(0, top, TEXTURE_SIZE, 2);
+    ctx.fillRect(Math.round(random() * TEXTURE_SIZE), top, 2, plankHeight);
+  }
+};
+
+/**
+ * Repeating plank texture for a square floor of the given size in scene units
+ */
+export const createWoodTexture = (floorSize) => {
+  const canvas = document.createElement('canvas');
+  drawWoodPlanks(canvas);
+  const texture = new CanvasTexture(canvas);
+  texture.colorSpace = SRGBColorSpace;
+  texture.wrapS = RepeatWrapping;
+  texture.wrapT = RepeatWrapping;
+  texture.repeat.set(floorSize / TILE_SCENE_UNITS, floorSize / TILE_SCENE_UNITS);
+  texture.anisotropy = 8;
+  return texture;
+};
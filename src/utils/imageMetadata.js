@@ -0,0 +1,212 @@
+/**
+ * Image Metadata Reader for BOOK COVER PREVIEWER
+ *
+ * Reads pixel dimensions, color space and embedded resolution (DPI) from
+ * uploaded images without decoding them: PNG IHDR/pHYs chunks and JPEG
+ * SOF/JFIF/EXIF segments.
+ */
+
+const INCHES_PER_METER = 39.3701;
+const CM_PER_INCH = 2.54;
+
+// PNG IHDR color types
+const PNG_COLOR_SPACES = { 0: 'gray', 2: 'rgb', 3: 'indexed', 4: 'gray', 6: 'rgb' };
+// JPEG SOF component counts
+const JPEG_COLOR_SPACES = { 1: 'gray', 3: 'rgb', 4: 'cmyk' };
+
+const readAscii = (view, offset, length) => {
+  let result = '';
+  for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+    result += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return result;
+};
+
+/**
+ * Parse PNG IHDR (dimensions) and pHYs (pixels per meter) chunks
+ */
+const parsePng = (view) => {
+  const result = { width: null, height: null, dpi: null, colorSpace: null };
+  let offset = 8; // skip signature
+
+  while (offset + 8 <= view.byteLength) {
+    const length = view.getUint32(offset);
+    const type = readAscii(view, offset + 4, 4);
+    const data = offset + 8;
+
+    if (type === 'IHDR') {
+      result.width = view.getUint32(data);
+      result.height = view.getUint32(data + 4);
+      result.colorSpace = PNG_COLOR_SPACES[view.getUint8(data + 9)] || null;
+    } else if (type === 'pHYs' && length >= 9) {
+      const ppuX = view.getUint32(data);
+      const ppuY = view.getUint32(data + 4);
+      const unit = view.getUint8(data + 8);
+      if (unit === 1 && ppuX > 0) {
+        result.dpi = {
+          x: Math.round(ppuX / INCHES_PER_METER),
+          y: Math.round(ppuY / INCHES_PER_METER)
+        };
+      }
+    } else if (type === 'IDAT' || type === 'IEND') {
+      break; // pHYs must appear before image data
+    }
+
+    offset = data + length + 4; // data + CRC
+  }
+
+  return result;
+};
+
+/**
+ * Read XResolution/YResolution/ResolutionUnit from an EXIF (TIFF) block
+ */
+const parseExifResolution = (view, tiffStart, tiffEnd) => {
+  const byteOrder = readAscii(view, tiffStart, 2);
+  const little = byteOrder === 'II';
+  if (!little && byteOrder !== 'MM') return null;
+
+  const u16 = (offset) => view.getUint16(offset, little);
+  const u32 = (offset) => view.getUint32(offset, little);
+  const rational = (valueOffset) => {
+    const at = tiffStart + u32(valueOffset);
+    if (at + 8 > tiffEnd) return null;
+    const denominator = u32(at + 4);
+    return denominator ? u32(at) / denominator : null;
+  };
+
+  const ifdStart = tiffStart + u32(tiffStart + 4);
+  if (ifdStart + 2 > tiffEnd) return null;
+  const entries = u16(ifdStart);
+
+  let xRes = null;
+  let yRes = null;
+  let unit = 2; // EXIF default: inches
+
+  for (let i = 0; i < entries; i++) {
+    const entry = ifdStart + 2 + i * 12;
+    if (entry + 12 > tiffEnd) break;
+    const tag = u16(entry);
+    if (tag === 0x011a) xRes = rational(entry + 8);
+    else if (tag === 0x011b) yRes = rational(entry + 8);
+    else if (tag === 0x0128) unit = u16(entry + 8);
+  }
+
+  if (!xRes || (unit !== 2 && unit !== 3)) return null;
+  const scale = unit === 3 ? CM_PER_INCH : 1;
+
+  return {
+    x: Math.round(xRes * scale),
+    y: Math.round((yRes || xRes) * scale)
+  };
+};
+
+/**
+ * Walk JPEG markers for SOF (dimensions), APP0 JFIF and APP1 EXIF (density)
+ */
+const parseJpeg = (view) => {
+  const result = { width: null, height: null, dpi: null, colorSpace: null };
+  let jfifDpi = null;
+  let exifDpi = null;
+  let offset = 2; // skip SOI
+
+  while (offset + 4 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xff) break;
+    const marker = view.getUint8(offset + 1);
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      offset += 2; // standalone markers
+      continue;
+    }
+    if (marker === 0xda || marker === 0xd9) break; // start of scan / end of image
+
+    const length = view.getUint16(offset + 2);
+    const segment = offset + 4;
+
+    if (marker === 0xe0 && readAscii(view, segment, 5) === 'JFIF\0') {
+      const units = view.getUint8(segment + 7);
+      const xDensity = view.getUint16(segment + 8);
+      const yDensity = view.getUint16(segment + 10);
+      if (units === 1 || units === 2) {
+        const scale = units === 2 ? CM_PER_INCH : 1;
+        jfifDpi = { x: Math.round(xDensity * scale), y: Math.round(yDensity * scale) };
+      }
+    } else if (marker === 0xe1 && readAscii(view, segment, 6) === 'Exif\0\0') {
+      exifDpi = parseExifResolution(view, segment + 6, offset + 2 + length);
+    } else if (
+      marker >= 0xc0 && marker <= 0xcf &&
+      marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc
+    ) {
+      result.height = view.getUint16(segment + 1);
+      result.width = view.getUint16(segment + 3);
+      result.colorSpace = JPEG_COLOR_SPACES[view.getUint8(segment + 5)] || null;
+    }
+
+    offset += 2 + length;
+  }
+
+  // EXIF is what most layout tools update; JFIF density is often a stale default
+  result.dpi = exifDpi || jfifDpi;
+  return result;
+};
+
+const decodeDimensions = (file) => {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve({ width: img.naturalWidth, height: img.naturalHeight });
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Failed to decode image'));
+    };
+    img.src = url;
+  });
+};
+
+/**
+ * Read dimensions, color space and embedded DPI from the header bytes of a
+ * PNG, JPEG or WebP file (WebP gives only its color space). Returns null for
+ * other formats and for truncated or corrupt headers.
+ *
+ * @param {ArrayBuffer} buffer
+ */
+export const parseImageHeader = (buffer) => {
+  const view = new DataView(buffer);
+  try {
+    if (view.byteLength >= 8 && view.getUint32(0) === 0x89504e47) {
+      const info = parsePng(view);
+      return info.width && info.height ? info : null;
+    }
+    if (view.byteLength >= 4 && view.getUint16(0) === 0xffd8) {
+      const info = parseJpeg(view);
+      return info.width && info.height ? info : null;
+    }
+    if (readAscii(view, 0, 4) === 'RIFF' && readAscii(view, 8, 4) === 'WEBP') {
+      return { width: null, height: null, dpi: null, colorSpace: 'rgb' }; // WebP has no CMYK mode
+    }
+  } catch (error) {
+    console.warn('Failed to parse image header:', error);
+  }
+  return null;
+};
+
+/**
+ * Read pixel dimensions, color space and embedded DPI from an image file.
+ * `dpi` is null when the file carries no usable resolution; `colorSpace`
+ * ('rgb' | 'cmyk' | 'gray' | 'indexed') is null when the format is not parsed.
+ *
+ * @returns {Promise<{ width: number, height: number, dpi: { x: number, y: number } | null, colorSpace: string | null }>}
+ */
+export const readImageInfo = async (file) => {
+  let info = parseImageHeader(await file.arrayBuffer()) || { width: null, height: null, dpi: null, colorSpace: null };
+
+  // Truncated or unusual headers: fall back to decoding for dimensions
+  if (!info.width || !info.height) {
+    const decoded = await decodeDimensions(file);
+    info = { ...info, ...decoded };
+  }
+
+  return info;
+};
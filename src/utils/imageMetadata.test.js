@@ -0,0 +1,109 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { parseImageHeader } from './imageMetadata.js';
+
+// Hand-built headers: just the bytes the parser reads, CRCs left zero
+
+const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+const u16 = (value, little = false) => (little ? [value & 0xff, value >> 8] : [value >> 8, value & 0xff]);
+const u32 = (value, little = false) => {
+  const bytes = [value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+  return little ? bytes.reverse() : bytes;
+};
+const toBuffer = (bytes) => new Uint8Array(bytes).buffer;
+
+const pngChunk = (type, data) => [...u32(data.length), ...ascii(type), ...data, 0, 0, 0, 0];
+
+const png = ({ width, height, colorType = 6, phys }) => [
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+  ...pngChunk('IHDR', [...u32(width), ...u32(height), 8, colorType, 0, 0, 0]),
+  ...(phys ? pngChunk('pHYs', [...u32(phys.x), ...u32(phys.y), phys.unit]) : []),
+  ...pngChunk('IDAT', []),
+  ...pngChunk('IEND', [])
+];
+
+const jpegSegment = (marker, data) => [0xff, marker, ...u16(data.length + 2), ...data];
+
+const jfif = (units, x, y) => jpegSegment(0xe0, [...ascii('JFIF\0'), 1, 1, units, ...u16(x), ...u16(y), 0, 0]);
+
+// EXIF block with XResolution, YResolution (rationals) and ResolutionUnit
+const exif = ({ little, x, y, unit }) => {
+  const entry = (tag, type, value) => [...u16(tag, little), ...u16(type, little), ...u32(1, little), ...value];
+  const rationalsAt = 8 + 2 + 3 * 12 + 4;
+  const tiff = [
+    ...ascii(little ? 'II' : 'MM'), ...u16(42, little), ...u32(8, little),
+    ...u16(3, little),
+    ...entry(0x011a, 5, u32(rationalsAt, little)),
+    ...entry(0x011b, 5, u32(rationalsAt + 8, little)),
+    ...entry(0x0128, 3, [...u16(unit, little), 0, 0]),
+    ...u32(0, little),
+    ...u32(x[0], little), ...u32(x[1], little),
+    ...u32(y[0], little), ...u32(y[1], little)
+  ];
+  return jpegSegment(0xe1, [...ascii('Exif\0\0'), ...tiff]);
+};
+
+const sof = (width, height, components = 3) => jpegSegment(0xc0, [8, ...u16(height), ...u16(width), components, ...new Array(components * 3).fill(0)]);
+
+const jpeg = (...segments) => [0xff, 0xd8, ...segments.flat(), 0xff, 0xda];
+
+beforeAll(() => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  vi.restoreAllMocks();
+});
+
+describe('parseImageHeader', () => {
+  it('reads PNG dimensions, color type and pHYs pixels per meter', () => {
+    const info = parseImageHeader(toBuffer(png({ width: 3825, height: 2775, phys: { x: 11811, y: 11811, unit: 1 } })));
+    expect(info).toEqual({ width: 3825, height: 2775, dpi: { x: 300, y: 300 }, colorSpace: 'rgb' });
+  });
+
+  it('ignores PNG pHYs without a unit (aspect ratio only)', () => {
+    const info = parseImageHeader(toBuffer(png({ width: 100, height: 50, colorType: 0, phys: { x: 1, y: 1, unit: 0 } })));
+    expect(info).toEqual({ width: 100, height: 50, dpi: null, colorSpace: 'gray' });
+  });
+
+  it('reads JFIF density in dots per inch and per centimetre', () => {
+    expect(parseImageHeader(toBuffer(jpeg(jfif(1, 300, 300), sof(1800, 2700))))).toEqual({
+      width: 1800, height: 2700, dpi: { x: 300, y: 300 }, colorSpace: 'rgb'
+    });
+    expect(parseImageHeader(toBuffer(jpeg(jfif(2, 118, 118), sof(1800, 2700, 4)))).dpi).toEqual({ x: 300, y: 300 });
+  });
+
+  it('reads EXIF resolution in both byte orders', () => {
+    [true, false].forEach(little => {
+      const inches = parseImageHeader(toBuffer(jpeg(exif({ little, x: [300, 1], y: [600, 2], unit: 2 }), sof(10, 20, 4))));
+      expect(inches, little ? 'II' : 'MM').toEqual({ width: 10, height: 20, dpi: { x: 300, y: 300 }, colorSpace: 'cmyk' });
+
+      const centimetres = parseImageHeader(toBuffer(jpeg(exif({ little, x: [11811, 100], y: [11811, 100], unit: 3 }), sof(10, 20))));
+      expect(centimetres.dpi, little ? 'II' : 'MM').toEqual({ x: 300, y: 300 });
+    });
+  });
+
+  it('prefers EXIF resolution over a JFIF default', () => {
+    const info = parseImageHeader(toBuffer(jpeg(jfif(1, 72, 72), exif({ little: true, x: [300, 1], y: [300, 1], unit: 2 }), sof(10, 20))));
+    expect(info.dpi).toEqual({ x: 300, y: 300 });
+  });
+
+  it('returns null for truncated or corrupt headers', () => {
+    const fullPng = png({ width: 100, height: 50 });
+    expect(parseImageHeader(toBuffer(fullPng.slice(0, 20)))).toBeNull();
+    expect(parseImageHeader(toBuffer(fullPng.slice(0, 12)))).toBeNull();
+
+    // Cut inside the JFIF segment, then inside the SOF width
+    const fullJpeg = jpeg(jfif(1, 300, 300), sof(1800, 2700));
+    expect(parseImageHeader(toBuffer(fullJpeg.slice(0, 12)))).toBeNull();
+    expect(parseImageHeader(toBuffer(fullJpeg.slice(0, fullJpeg.length - 13)))).toBeNull();
+
+    expect(parseImageHeader(toBuffer(jpeg(exif({ little: true, x: [300, 1], y: [300, 1], unit: 2 }).slice(0, 30))))).toBeNull();
+    expect(parseImageHeader(toBuffer([]))).toBeNull();
+    expect(parseImageHeader(toBuffer(ascii('not an image')))).toBeNull();
+  });
+
+  it('reports only the color space of a WebP', () => {
+    const webp = [...ascii('RIFF'), ...u32(4, true), ...ascii('WEBP')];
+    expect(parseImageHeader(toBuffer(webp))).toEqual({ width: null, height: null, dpi: null, colorSpace: 'rgb' });
+  });
+});
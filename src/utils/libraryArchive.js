@@ -0,0 +1,344 @@
+/**
+ * Library Archive for BOOK COVER PREVIEWER
+ *
+ * Exports the whole cover library to a single zip (manifest.json plus the
+ * stored images, artwork versions, interior pages and finish masks) and imports it back, merging with or
+ * replacing the current library.
+ */
+
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate';
+import {
+  getAllFiles,
+  getVersionRecords,
+  getPageRecords,
+  getMaskRecords,
+  buildImageRecord,
+  buildVersionRecord,
+  buildPageRecord,
+  buildMaskRecord,
+  saveMetadata,
+  generateFileId
+} from './fileSystem.js';
+import { getAllCovers, validateCoverData } from './coverData.js';
+
+export const ARCHIVE_FORMAT = 'book-cover-previewer-library';
+export const ARCHIVE_VERSION = 1;
+
+export const IMPORT_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace'
+};
+
+const MANIFEST_NAME = 'manifest.json';
+const IMAGES_DIR = 'images';
+
+const IMAGE_EXTENSIONS = {
+  'image/webp': 'webp',
+  'image/png': 'png',
+  'image/jpeg': 'jpg'
+};
+
+const typeFromPath = (path) => {
+  if (typeof path !== 'string') return null;
+  const extension = path.split('.').pop().toLowerCase();
+  const match = Object.entries(IMAGE_EXTENSIONS).find(([, ext]) => ext === extension);
+  return match ? match[0] : extension === 'jpeg' ? 'image/jpeg' : null;
+};
+
+const dataUrlToBytes = async (dataUrl) => {
+  const response = await fetch(dataUrl);
+  const blob = await response.blob();
+  return { bytes: new Uint8Array(await blob.arrayBuffer()), type: blob.type };
+};
+
+const bytesToDataUrl = (bytes, type) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = () => reject(new Error('Failed to read image from archive'));
+    reader.onload = () => resolve(reader.result);
+    reader.readAsDataURL(new Blob([bytes], { type }));
+  });
+};
+
+/**
+ * Build a zip of every cover and its image.
+ *
+ * @returns {Promise<{ blob: Blob, count: number, missing: string[] }>} missing lists covers without a stored image
+ */
+export const exportLibrary = async () => {
+  const covers = getAllCovers();
+  const files = await getAllFiles();
+  const filesById = new Map(files.map(record => [record.id, record]));
+  const versionsByCover = new Map();
+  (await getVersionRecords()).forEach(record => {
+    versionsByCover.set(record.coverId, [...(versionsByCover.get(record.coverId) || []), record]);
+  });
+  const pagesByCover = new Map();
+  (await getPageRecords()).forEach(record => {
+    pagesByCover.set(record.coverId, [...(pagesByCover.get(record.coverId) || []), record]);
+  });
+  const masksByCover = new Map();
+  (await getMaskRecords()).forEach(record => {
+    masksByCover.set(record.coverId, [...(masksByCover.get(record.coverId) || []), record]);
+  });
+
+  const entries = {};
+  const manifestCovers = [];
+  const missing = [];
+
+  for (const cover of covers) {
+    const record = filesById.get(cover.id);
+    if (!record?.data) {
+      missing.push(cover.originalName || cover.id);
+      continue;
+    }
+
+    const { bytes, type } = await dataUrlToBytes(record.data);
+    const image = `${IMAGES_DIR}/${cover.id}.${IMAGE_EXTENSIONS[type] || 'bin'}`;
+    // Images are already compressed; storing them avoids wasted deflate time
+    entries[image] = [bytes, { level: 0 }];
+
+    const versionImages = {};
+    for (const versionRecord of versionsByCover.get(cover.id) || []) {
+      const version = await dataUrlToBytes(versionRecord.data);
+      const path = `${IMAGES_DIR}/${cover.id}/v${versionRecord.version}.${IMAGE_EXTENSIONS[version.type] || 'bin'}`;
+      entries[path] = [version.bytes, { level: 0 }];
+      versionImages[versionRecord.version] = path;
+    }
+
+    const pageImages = {};
+    for (const pageRecord of pagesByCover.get(cover.id) || []) {
+      const page = await dataUrlToBytes(pageRecord.data);
+      const path = `${IMAGES_DIR}/${cover.id}/pages/${pageRecord.id}.${IMAGE_EXTENSIONS[page.type] || 'bin'}`;
+      entries[path] = [page.bytes, { level: 0 }];
+      pageImages[pageRecord.id] = path;
+    }
+
+    const maskImages = {};
+    for (const maskRecord of masksByCover.get(cover.id) || []) {
+      const mask = await dataUrlToBytes(maskRecord.data);
+      const path = `${IMAGES_DIR}/${cover.id}/masks/${maskRecord.kind}.${IMAGE_EXTENSIONS[mask.type] || 'bin'}`;
+      entries[path] = [mask.bytes, { level: 0 }];
+      maskImages[maskRecord.kind] = path;
+    }
+
+    const entry = { ...cover, image };
+    if (Object.keys(versionImages).length > 0) entry.versionImages = versionImages;
+    if (Object.keys(pageImages).length > 0) entry.pageImages = pageImages;
+    if (Object.keys(maskImages).length > 0) entry.maskImages = maskImages;
+    manifestCovers.push(entry);
+  }
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    covers: manifestCovers
+  };
+  entries[MANIFEST_NAME] = strToU8(JSON.stringify(manifest, null, 2));
+
+  return {
+    blob: new Blob([zipSync(entries)], { type: 'application/zip' }),
+    count: manifestCovers.length,
+    missing
+  };
+};
+
+const readManifest = (entries) => {
+  const manifestBytes = entries[MANIFEST_NAME];
+  if (!manifestBytes) {
+    throw new Error('Archive has no manifest.json');
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(strFromU8(manifestBytes));
+  } catch (error) {
+    throw new Error('Archive manifest is not valid JSON');
+  }
+
+  if (manifest?.format !== ARCHIVE_FORMAT || !Array.isArray(manifest.covers)) {
+    throw new Error('Not a Book Cover Previewer library archive');
+  }
+  if (manifest.version > ARCHIVE_VERSION) {
+    throw new Error('Archive was created by a newer version of the app');
+  }
+
+  return manifest;
+};
+
+// Same upload in another library: IDs are local, so compare what the upload recorded
+const isSameUpload = (a, b) => {
+  return a.uploadedAt === b.uploadedAt && a.originalName === b.originalName && a.fileSize === b.fileSize;
+};
+
+/**
+ * Import a library archive.
+ *
+ * Only the known cover fields are read from the manifest, and every cover and
+ * interior page gets a new local ID. In merge mode a cover matching an
+ * existing upload (same name, size and upload date) is treated as already
+ * present. In replace mode the library is cleared in the same transaction
+ * that writes the imported covers, after `confirmReplace` has approved the
+ * validated counts; nothing is written when no cover in the archive can be
+ * imported.
+ *
+ * @param {File|Blob} archive
+ * @param {object} [options] - { mode: 'merge' | 'replace', confirmReplace({ importing, skipped }) => boolean }
+ * @returns {Promise<{ imported: number, duplicates: number, skipped: Array<{ name: string, reason: string }>, cancelled?: boolean }>}
+ */
+export const importLibrary = async (archive, { mode = IMPORT_MODES.MERGE, confirmReplace } = {}) => {
+  let entries;
+  try {
+    entries = unzipSync(new Uint8Array(await archive.arrayBuffer()));
+  } catch (error) {
+    throw new Error('File is not a valid zip archive');
+  }
+  const manifest = readManifest(entries);
+
+  const existing = mode === IMPORT_MODES.REPLACE ? [] : getAllCovers();
+
+  const accepted = [];
+  const skipped = [];
+  let duplicates = 0;
+
+  for (const entry of manifest.covers) {
+    const { image, versionImages, pageImages, maskImages, ...data } = entry || {};
+    const name = data.originalName || data.id || 'Unnamed cover';
+
+    const { valid, errors, cover } = validateCoverData(data);
+    if (!valid) {
+      skipped.push({ name, reason: errors.join(', ') });
+      continue;
+    }
+
+    const type = typeFromPath(image);
+    if (!type || !entries[image]) {
+      skipped.push({ name, reason: 'Image missing from archive' });
+      continue;
+    }
+
+    if (existing.some(local => isSameUpload(local, cover))) {
+      duplicates++;
+      continue;
+    }
+    const id = generateFileId();
+
+    // Keep only the versions whose images made it into the archive
+    const versionFiles = Object.entries(versionImages || {})
+      .map(([version, path]) => ({ version: Number(version), path, type: typeFromPath(path) }))
+      .filter(item => Number.isInteger(item.version) && entries[item.path] && item.type);
+    const keptVersions = new Set(versionFiles.map(item => item.version));
+    if (cover.versions) {
+      cover.versions = cover.versions.filter(item => keptVersions.has(item.version));
+      if (cover.versions.length === 0) {
+        delete cover.versions;
+        delete cover.currentVersion;
+      } else if (!cover.versions.some(item => item.version === cover.currentVersion)) {
+        cover.currentVersion = Math.max(...cover.versions.map(item => item.version));
+      }
+    }
+
+    // Likewise for interior pages, which also get local IDs
+    const pageFiles = Object.entries(pageImages || {})
+      .map(([archiveId, path]) => ({ archiveId, pageId: generateFileId(), path, type: typeFromPath(path) }))
+      .filter(item => entries[item.path] && item.type);
+    const pageIds = new Map(pageFiles.map(item => [item.archiveId, item.pageId]));
+    if (cover.interiorPages) {
+      cover.interiorPages = cover.interiorPages
+        .filter(page => pageIds.has(page.id))
+        .map(page => ({ ...page, id: pageIds.get(page.id) }));
+      if (cover.interiorPages.length === 0) {
+        delete cover.interiorPages;
+      }
+    }
+
+    // And for finish masks (only kinds the cover record kept)
+    const maskFiles = Object.entries(maskImages || {})
+      .map(([kind, path]) => ({ kind, path, type: typeFromPath(path) }))
+      .filter(item => cover.finishMasks?.[item.kind] && entries[item.path] && item.type);
+    if (cover.finishMasks) {
+      const keptMasks = new Set(maskFiles.map(item => item.kind));
+      cover.finishMasks = Object.fromEntries(Object.entries(cover.finishMasks).filter(([kind]) => keptMasks.has(kind)));
+      if (Object.keys(cover.finishMasks).length === 0) {
+        delete cover.finishMasks;
+      }
+    }
+
+    accepted.push({
+      cover: { ...cover, id, filename: `${id}.png` },
+      bytes: entries[image],
+      type,
+      versionFiles,
+      pageFiles,
+      maskFiles
+    });
+  }
+
+  if (accepted.length === 0) {
+    return { imported: 0, duplicates, skipped };
+  }
+  if (mode === IMPORT_MODES.REPLACE && confirmReplace && !(await confirmReplace({ importing: accepted.length, skipped: skipped.length }))) {
+    return { imported: 0, duplicates, skipped, cancelled: true };
+  }
+
+  // Decode every image first so the whole import is written in one transaction
+  const images = [];
+  const versions = [];
+  const pages = [];
+  const masks = [];
+  for (const { cover, bytes, type, versionFiles, pageFiles, maskFiles } of accepted) {
+    images.push(buildImageRecord(cover.id, await bytesToDataUrl(bytes, type), {
+      name: cover.originalName,
+      size: cover.fileSize,
+      type,
+      uploadedAt: cover.uploadedAt
+    }));
+    for (const item of versionFiles) {
+      const entry = cover.versions?.find(v => v.version === item.version);
+      const record = buildImageRecord(cover.id, await bytesToDataUrl(entries[item.path], item.type), {
+        name: entry?.fileName,
+        size: entry?.fileSize,
+        type: item.type,
+        uploadedAt: entry?.uploadedAt
+      });
+      versions.push(buildVersionRecord(cover.id, item.version, record));
+    }
+    for (const item of pageFiles) {
+      const entry = cover.interiorPages?.find(page => page.id === item.pageId);
+      const record = buildImageRecord(item.pageId, await bytesToDataUrl(entries[item.path], item.type), {
+        name: entry?.fileName,
+        size: entry?.fileSize,
+        type: item.type,
+        uploadedAt: entry?.uploadedAt
+      });
+      pages.push(buildPageRecord(cover.id, item.pageId, record));
+    }
+    for (const item of maskFiles) {
+      const entry = cover.finishMasks?.[item.kind];
+      const record = buildImageRecord(`${cover.id}_${item.kind}`, await bytesToDataUrl(entries[item.path], item.type), {
+        name: entry?.fileName,
+        size: entry?.fileSize,
+        type: item.type,
+        uploadedAt: entry?.uploadedAt
+      });
+      masks.push(buildMaskRecord(cover.id, item.kind, record));
+    }
+  }
+
+  await saveMetadata(accepted.map(item => item.cover), images, {
+    replace: mode === IMPORT_MODES.REPLACE,
+    versions,
+    pages,
+    masks
+  });
+
+  return { imported: accepted.length, duplicates, skipped };
+};
+
+/**
+ * Default file name for a library export
+ */
+export const getArchiveFilename = (date = new Date()) => {
+  return `book-covers-${date.toISOString().slice(0, 10)}.zip`;
+};
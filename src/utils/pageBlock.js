@@ -0,0 +1,82 @@
+/**
+ * Page Block for BOOK COVER PREVIEWER
+ *
+ * Procedural textures for the edges of the page block. Each leaf is a band
+ * of paper with a faint shadow line before the next one, so the fore-edge,
+ * head and tail show page lines in proportion to the page count.
+ */
+
+import { CanvasTexture, SRGBColorSpace } from 'three';
+
+const EDGE_TEXTURE_LENGTH = 1024; // pixels across the stack of leaves
+const MIN_LEAF_PIXELS = 2; // thinner leaves are merged so the lines stay visible
+const LEAF_SHADE_RANGE = 0.06; // leaves vary this much in brightness
+const LINE_OPACITY = 0.18;
+
+// Deterministic generator so a book's page edges look the same on every render
+const seededRandom = (seed) => {
+  let state = seed >>> 0 || 1;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+};
+
+const parseHexColor = (hex) => [1, 3, 5].map(index => parseInt(hex.slice(index, index + 2), 16));
+
+/**
+ * Leaves in each half of the page block (a leaf is two pages, and the block
+ * is split between the two boards)
+ */
+export const getLeavesPerHalf = (pageCount) => {
+  return Math.max(1, Math.round(pageCount / 4));
+};
+
+/**
+ * Draw page lines onto a canvas. Leaves are stacked across the canvas width;
+ * each line runs down its height.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} leafCount
+ * @param {string} color - paper color as #rrggbb
+ */
+export const drawPageEdges = (canvas, leafCount, color) => {
+  const bands = Math.max(1, Math.min(Math.round(leafCount), Math.floor(EDGE_TEXTURE_LENGTH / MIN_LEAF_PIXELS)));
+  const bandWidth = EDGE_TEXTURE_LENGTH / bands;
+  const [r, g, b] = parseHexColor(color);
+  const random = seededRandom(bands);
+
+  canvas.width = EDGE_TEXTURE_LENGTH;
+  canvas.height = 4;
+  const ctx = canvas.getContext('2d');
+
+  for (let i = 0; i < bands; i++) {
+    const shade = 1 - random() * LEAF_SHADE_RANGE;
+    ctx.fillStyle = `rgb(${Math.round(r * shade)}, ${Math.round(g * shade)}, ${Math.round(b * shade)})`;
+    ctx.fillRect(i * bandWidth, 0, Math.ceil(bandWidth), canvas.height);
+  }
+
+  ctx.fillStyle = `rgba(0, 0, 0, ${LINE_OPACITY})`;
+  const lineWidth = Math.min(1, bandWidth / 3);
+  for (let i = 1; i < bands; i++) {
+    ctx.fillRect(i * bandWidth - lineWidth / 2, 0, lineWidth, canvas.height);
+  }
+
+  return canvas;
+};
+
+/**
+ * Edge texture for the page block. With axis 'u' the leaves stack along the
+ * texture's U (the fore-edge faces of a box); with 'v' they stack along V
+ * (the head and tail faces).
+ */
+export const createPageEdgeTexture = (leafCount, color, axis = 'u') => {
+  const texture = new CanvasTexture(drawPageEdges(document.createElement('canvas'), leafCount, color));
+  texture.colorSpace = SRGBColorSpace;
+  texture.anisotropy = 4;
+  if (axis === 'v') {
+    texture.center.set(0.5, 0.5);
+    texture.rotation = Math.PI / 2;
+  }
+  return texture;
+};
@@ -0,0 +1,121 @@
+/**
+ * Page Turns for BOOK COVER PREVIEWER
+ *
+ * Spread bookkeeping and bent-leaf geometry for turning interior pages in
+ * the 3D book. Spread k shows page 2k on the front half of the page block
+ * and page 2k + 1 on the back half. Leaf k is the sheet between spreads k
+ * and k + 1: page 2k + 1 on its recto, page 2k + 2 on its verso.
+ */
+
+import { BufferAttribute, BufferGeometry } from 'three';
+
+const LEAF_SEGMENTS = 24; // columns from the spine to the fore-edge
+const LEAF_CURL = 0.25; // how far the free edge trails, relative to the sweep (kept below 1/π so it never dips into the block)
+
+/**
+ * Number of spreads for a list of interior pages (at least one)
+ */
+export const getSpreadCount = (pageCount) => {
+  return Math.max(1, Math.ceil(pageCount / 2));
+};
+
+/**
+ * Page indexes shown while the book is settled on a spread, or while a leaf
+ * is turning. Indexes past the end of the page list show blank paper.
+ *
+ * @param {number} spread - displayed spread
+ * @param {number|null} turningLeaf - leaf being turned, or null
+ * @returns {{ front: number, back: number, recto: number|null, verso: number|null }}
+ */
+export const getVisiblePageIndexes = (spread, turningLeaf) => {
+  if (turningLeaf === null) {
+    return { front: 2 * spread, back: 2 * spread + 1, recto: null, verso: null };
+  }
+  // The turning leaf covers one page of each neighbouring spread
+  return {
+    front: 2 * turningLeaf,
+    back: 2 * turningLeaf + 3,
+    recto: 2 * turningLeaf + 1,
+    verso: 2 * turningLeaf + 2
+  };
+};
+
+/**
+ * Geometry pair for a turning leaf. Both share one position and normal
+ * buffer; recto carries the UVs of the back half's inner face and verso those
+ * of the front half's, so each page reads unmirrored on its own side.
+ *
+ * @param {number} side - 1 for left-bound books, -1 for right-bound
+ */
+export const createLeafGeometries = (side) => {
+  const columns = LEAF_SEGMENTS + 1;
+  const position = new BufferAttribute(new Float32Array(columns * 2 * 3), 3);
+  const normal = new BufferAttribute(new Float32Array(columns * 2 * 3), 3);
+  const rectoUv = new Float32Array(columns * 2 * 2);
+  const versoUv = new Float32Array(columns * 2 * 2);
+  const index = [];
+
+  for (let i = 0; i < columns; i++) {
+    const s = i / LEAF_SEGMENTS; // 0 at the spine, 1 at the fore-edge
+    const u = side === 1 ? s : 1 - s;
+    for (let j = 0; j < 2; j++) {
+      const vertex = i * 2 + j;
+      rectoUv.set([u, j], vertex * 2);
+      versoUv.set([1 - u, j], vertex * 2);
+    }
+    if (i < LEAF_SEGMENTS) {
+      const a = i * 2;
+      index.push(a, a + 2, a + 1, a + 2, a + 3, a + 1);
+    }
+  }
+
+  const build = (uv) => {
+    const geometry = new BufferGeometry();
+    geometry.setIndex(index);
+    geometry.setAttribute('position', position);
+    geometry.setAttribute('normal', normal);
+    geometry.setAttribute('uv', new BufferAttribute(uv, 2));
+    return geometry;
+  };
+
+  return { recto: build(rectoUv), verso: build(versoUv) };
+};
+
+/**
+ * Bend a leaf between the two halves of the page block.
+ *
+ * Angles are the halves' rotations about the spine (Y); a leaf at angle a
+ * runs from its pivot along (-side cos a, side sin a) in XZ. Progress 0 lays
+ * the leaf on the back half, 1 on the front half. The free edge trails the
+ * direction of travel, most at mid-turn.
+ *
+ * @param {object} geometries - from createLeafGeometries
+ * @param {object} params - { progress, direction (1 forward, -1 back), backAngle, frontAngle,
+ *   backPivot: [x, z], frontPivot: [x, z], inset, width, height, side }
+ */
+export const bendLeaf = (geometries, { progress, direction, backAngle, frontAngle, backPivot, frontPivot, inset, width, height, side }) => {
+  const position = geometries.recto.getAttribute('position');
+  const sweep = frontAngle - backAngle;
+  const curl = -direction * sweep * LEAF_CURL * Math.sin(Math.PI * progress);
+  const angle = backAngle + sweep * progress;
+  const step = width / LEAF_SEGMENTS;
+
+  let x = backPivot[0] + (frontPivot[0] - backPivot[0]) * progress;
+  let z = backPivot[1] + (frontPivot[1] - backPivot[1]) * progress;
+  // Start at the block's inner edge, just off the spine
+  x += -side * Math.cos(angle) * inset;
+  z += side * Math.sin(angle) * inset;
+
+  for (let i = 0; i <= LEAF_SEGMENTS; i++) {
+    position.setXYZ(i * 2, x, -height / 2, z);
+    position.setXYZ(i * 2 + 1, x, height / 2, z);
+    const segmentAngle = angle + curl * ((i + 0.5) / LEAF_SEGMENTS);
+    x += -side * Math.cos(segmentAngle) * step;
+    z += side * Math.sin(segmentAngle) * step;
+  }
+
+  position.needsUpdate = true;
+  geometries.recto.computeVertexNormals();
+  geometries.recto.computeBoundingSphere();
+  geometries.verso.boundingSphere = geometries.recto.boundingSphere;
+};
@@ -0,0 +1,152 @@
+/**
+ * Printer Paper Profiles for BOOK COVER PREVIEWER
+ *
+ * Per-page caliper and spine-text rules for common print-on-demand paper
+ * stocks. Values follow the printers' published spine calculators; check the
+ * printer's own template generator before sending a file to print.
+ */
+
+// Paper colors for the page block; each profile names the shade of its stock
+export const PAPER_SHADES = {
+  white: { name: 'White', color: '#f7f6f1' },
+  cream: { name: 'Cream', color: '#efe4c8' }
+};
+
+export const DEFAULT_PAPER_SHADE = 'white';
+
+export const PAPER_SHADE_OPTIONS = Object.entries(PAPER_SHADES).map(([id, shade]) => ({ id, name: shade.name }));
+
+// Profile used when a record has none (matches the original 0.0025"/page estimate)
+export const DEFAULT_PAPER_PROFILE_ID = 'generic';
+
+export const PAPER_PROFILES = [
+  {
+    id: 'generic',
+    printer: 'Generic',
+    name: 'Generic estimate',
+    perPageInches: 0.0025,
+    minSpineTextPages: 100,
+    shade: 'white'
+  },
+  {
+    id: 'kdp-white',
+    printer: 'Amazon KDP',
+    name: 'Black & white, white paper',
+    perPageInches: 0.002252,
+    minSpineTextPages: 80,
+    shade: 'white'
+  },
+  {
+    id: 'kdp-cream',
+    printer: 'Amazon KDP',
+    name: 'Black & white, cream paper',
+    perPageInches: 0.0025,
+    minSpineTextPages: 80,
+    shade: 'cream'
+  },
+  {
+    id: 'kdp-color-standard',
+    printer: 'Amazon KDP',
+    name: 'Standard color, white paper',
+    perPageInches: 0.002252,
+    minSpineTextPages: 80,
+    shade: 'white'
+  },
+  {
+    id: 'kdp-color-premium',
+    printer: 'Amazon KDP',
+    name: 'Premium color, white paper',
+    perPageInches: 0.002347,
+    minSpineTextPages: 80,
+    shade: 'white'
+  },
+  {
+    id: 'ingram-50-white',
+    printer: 'IngramSpark',
+    name: '50lb white',
+    perPageInches: 0.00225,
+    minSpineTextPages: 48,
+    shade: 'white'
+  },
+  {
+    id: 'ingram-50-creme',
+    printer: 'IngramSpark',
+    name: '50lb creme',
+    perPageInches: 0.0025,
+    minSpineTextPages: 48,
+    shade: 'cream'
+  },
+  {
+    id: 'ingram-70-white',
+    printer: 'IngramSpark',
+    name: '70lb white',
+    perPageInches: 0.0032,
+    minSpineTextPages: 48,
+    shade: 'white'
+  },
+  {
+    id: 'ingram-color-standard-70',
+    printer: 'IngramSpark',
+    name: 'Standard color, 70lb white',
+    perPageInches: 0.0032,
+    minSpineTextPages: 48,
+    shade: 'white'
+  },
+  {
+    id: 'ingram-color-premium-70',
+    printer: 'IngramSpark',
+    name: 'Premium color, 70lb white',
+    perPageInches: 0.0034,
+    minSpineTextPages: 48,
+    shade: 'white'
+  }
+];
+
+/**
+ * Get a profile by ID (falls back to the default profile)
+ */
+export const getPaperProfile = (id) => {
+  return PAPER_PROFILES.find(profile => profile.id === id) ||
+    PAPER_PROFILES.find(profile => profile.id === DEFAULT_PAPER_PROFILE_ID);
+};
+
+/**
+ * Color for a paper shade (falls back to the default shade)
+ */
+export const getPaperShadeColor = (shade) => {
+  return (PAPER_SHADES[shade] || PAPER_SHADES[DEFAULT_PAPER_SHADE]).color;
+};
+
+/**
+ * Group profiles by printer, preserving catalog order
+ */
+export const getPaperProfilesByPrinter = () => {
+  return PAPER_PROFILES.reduce((groups, profile) => {
+    const group = groups.find(item => item.printer === profile.printer);
+    if (group) {
+      group.profiles.push(profile);
+    } else {
+      groups.push({ printer: profile.printer, profiles: [profile] });
+    }
+    return groups;
+  }, []);
+};
+
+/**
+ * Calculate spine width (inches, 3 decimals) from page count and paper profile
+ */
+export const calculateSpineFromPages = (pageCount, profileId) => {
+  const pages = parseInt(pageCount, 10);
+  if (!Number.isFinite(pages) || pages <= 0) return null;
+  const profile = getPaperProfile(profileId);
+  return Math.round(pages * profile.perPageInches * 1000) / 1000;
+};
+
+/**
+ * Whether the printer allows text on the spine at this page count
+ */
+export const canPrintSpineText = (pageCount, profileId) => {
+  const pages = parseInt(pageCount, 10);
+  if (!Number.isFinite(pages)) return false;
+  return pages >= getPaperProfile(profileId).minSpineTextPages;
+};
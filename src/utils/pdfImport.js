@@ -0,0 +1,256 @@
+/**
+ * PDF Cover Import for BOOK COVER PREVIEWER
+ *
+ * Rasterizes single-page, print-ready PDF cover spreads locally and reads
+ * their page boxes (MediaBox/TrimBox/BleedBox) to pre-fill trim size,
+ * bleed and spine width. Interior PDFs are rasterized page by page for the
+ * open-book preview.
+ */
+
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.js?url';
+import { getTrimPresets, resolveTrimCandidate } from './trimSizes.js';
+import { MAX_STORED_IMAGE_DIMENSION } from './fileSystem.js';
+
+// File checks live with upload validation
+export { PDF_MIME_TYPE, isPdfFile } from './fileSystem.js';
+
+export const PDF_DPI_OPTIONS = [150, 300, 600];
+export const DEFAULT_PDF_DPI = 300;
+export const INTERIOR_PDF_DPI = 150; // pages are previewed, not printed
+export const MAX_INTERIOR_PDF_PAGES = 100;
+
+const POINTS_PER_INCH = 72;
+const MAX_RASTER_DIMENSION = 10000; // keep the canvas within browser limits
+const DEFAULT_BLEED_INCHES = 0.125;
+
+const canvasToPngFile = (canvas, name) => {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(result => (
+      result ? resolve(new File([result], name, { type: 'image/png' })) : reject(new Error('Failed to rasterize PDF'))
+    ), 'image/png');
+  });
+};
+
+const readFileAsArrayBuffer = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = () => reject(new Error('Failed to read file'));
+    reader.onload = () => resolve(reader.result);
+    reader.readAsArrayBuffer(file);
+  });
+};
+
+const toBox = ({ x, y, width, height }) => ({ x, y, width, height });
+
+/**
+ * Read page boxes (in PDF points) from the first page.
+ * TrimBox/BleedBox are only reported when the page defines them explicitly.
+ */
+const readPageBoxes = async (bytes) => {
+  const { PDFDocument } = await import('pdf-lib');
+  const doc = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+  const page = doc.getPage(0);
+
+  return {
+    mediaBox: toBox(page.getMediaBox()),
+    trimBox: page.node.TrimBox() ? toBox(page.getTrimBox()) : null,
+    bleedBox: page.node.BleedBox() ? toBox(page.getBleedBox()) : null
+  };
+};
+
+/**
+ * Guess the per-side trim width of a spread whose total trim width and
+ * height are known, from the presets with a matching height. Ties between
+ * presets go to the current trim size, or come back flagged as ambiguous
+ * (see resolveTrimCandidate).
+ *
+ * @returns {{ width, ambiguous, alternatives } | null}
+ */
+const guessTrimWidth = (spreadWidth, trimHeight, fallbackTrimSize) => {
+  const candidates = getTrimPresets()
+    .filter(preset => Math.abs(preset.height - trimHeight) <= 0.05)
+    .map(preset => ({ preset, spine: spreadWidth - 2 * preset.width }));
+
+  const match = resolveTrimCandidate(candidates, fallbackTrimSize);
+  if (match) {
+    return { width: match.preset.width, ambiguous: match.ambiguous, alternatives: match.alternatives };
+  }
+
+  const fallbackWidth = fallbackTrimSize?.width;
+  if (fallbackWidth && spreadWidth - 2 * fallbackWidth > 0) {
+    return { width: fallbackWidth, ambiguous: false, alternatives: [] };
+  }
+
+  return null;
+};
+
+const round = (value, places = 3) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Derive trim size, bleed and spine width (inches) from PDF page boxes.
+ * Returns null for any value that cannot be determined. When several presets
+ * fit, ambiguous is set and alternatives lists the presets not chosen.
+ *
+ * @param {object} boxes - { mediaBox, trimBox, bleedBox } in PDF points
+ * @param {object} [fallbackTrimSize] - trim size to use when no preset fits
+ */
+export const deriveCoverSettingsFromBoxes = (boxes, fallbackTrimSize) => {
+  if (!boxes?.mediaBox) {
+    return { trimSize: null, bleedInches: null, spineWidthInches: null };
+  }
+
+  const outerBox = boxes.bleedBox || boxes.mediaBox;
+  let trimWidthTotal;
+  let trimHeight;
+  let bleedInches;
+
+  if (boxes.trimBox) {
+    trimWidthTotal = boxes.trimBox.width / POINTS_PER_INCH;
+    trimHeight = boxes.trimBox.height / POINTS_PER_INCH;
+    bleedInches = Math.max(0, (outerBox.height - boxes.trimBox.height) / 2 / POINTS_PER_INCH);
+  } else {
+    // No TrimBox: assume the outer box includes the standard bleed on every side
+    bleedInches = DEFAULT_BLEED_INCHES;
+    trimWidthTotal = outerBox.width / POINTS_PER_INCH - 2 * bleedInches;
+    trimHeight = outerBox.height / POINTS_PER_INCH - 2 * bleedInches;
+  }
+
+  const guess = guessTrimWidth(trimWidthTotal, trimHeight, fallbackTrimSize);
+  if (!guess) {
+    return { trimSize: null, bleedInches: round(bleedInches), spineWidthInches: null };
+  }
+
+  return {
+    trimSize: { width: round(guess.width, 4), height: round(trimHeight, 4) },
+    bleedInches: round(bleedInches),
+    spineWidthInches: round(trimWidthTotal - 2 * guess.width),
+    ambiguous: guess.ambiguous,
+    alternatives: guess.alternatives
+  };
+};
+
+/**
+ * Rasterize a single-page PDF cover to a PNG File at the given DPI.
+ * The raster is cropped to the BleedBox (or MediaBox) so it matches a
+ * raster export of the same spread. The DPI is lowered only when the canvas
+ * would exceed browser limits; the returned dpi is the one used.
+ *
+ * @returns {Promise<{ file: File, width: number, height: number, boxes: object, dpi: number }>}
+ */
+export const rasterizePdfCover = async (file, dpi = DEFAULT_PDF_DPI) => {
+  const bytes = new Uint8Array(await readFileAsArrayBuffer(file));
+
+  const pdfjs = await import('pdfjs-dist');
+  pdfjs.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+  // pdf.js transfers the buffer to its worker, so give it a copy
+  const pdf = await pdfjs.getDocument({ data: bytes.slice() }).promise;
+
+  try {
+    if (pdf.numPages !== 1) {
+      throw new Error('PDF must contain exactly one page (the full cover spread)');
+    }
+
+    const page = await pdf.getPage(1);
+
+    let boxes;
+    try {
+      boxes = await readPageBoxes(bytes);
+    } catch (error) {
+      console.warn('Failed to read PDF page boxes:', error);
+      const [x1, y1, x2, y2] = page.view;
+      boxes = { mediaBox: { x: x1, y: y1, width: x2 - x1, height: y2 - y1 }, trimBox: null, bleedBox: null };
+    }
+
+    const outerBox = boxes.bleedBox || boxes.mediaBox;
+    const longestEdgeInches = Math.max(outerBox.width, outerBox.height) / POINTS_PER_INCH;
+    const effectiveDpi = Math.min(dpi, Math.floor(MAX_RASTER_DIMENSION / longestEdgeInches));
+
+    const viewport = page.getViewport({ scale: effectiveDpi / POINTS_PER_INCH });
+    const pageCanvas = document.createElement('canvas');
+    pageCanvas.width = Math.ceil(viewport.width);
+    pageCanvas.height = Math.ceil(viewport.height);
+    const pageCtx = pageCanvas.getContext('2d');
+    pageCtx.fillStyle = '#ffffff';
+    pageCtx.fillRect(0, 0, pageCanvas.width, pageCanvas.height);
+    await page.render({ canvasContext: pageCtx, viewport }).promise;
+
+    // Crop to the outer box (PDF space has a bottom-left origin; let the viewport convert)
+    const [ax, ay] = viewport.convertToViewportPoint(outerBox.x, outerBox.y);
+    const [bx, by] = viewport.convertToViewportPoint(outerBox.x + outerBox.width, outerBox.y + outerBox.height);
+    const left = Math.max(0, Math.round(Math.min(ax, bx)));
+    const top = Math.max(0, Math.round(Math.min(ay, by)));
+    const width = Math.min(pageCanvas.width - left, Math.round(Math.abs(bx - ax)));
+    const height = Math.min(pageCanvas.height - top, Math.round(Math.abs(by - ay)));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(pageCanvas, left, top, width, height, 0, 0, width, height);
+
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob(result => (result ? resolve(result) : reject(new Error('Failed to rasterize PDF'))), 'image/png');
+    });
+
+    const rasterName = (file.name || 'cover.pdf').replace(/\.pdf$/i, '') + '.png';
+    return {
+      file: new File([blob], rasterName, { type: 'image/png' }),
+      width,
+      height,
+      boxes,
+      dpi: effectiveDpi
+    };
+  } finally {
+    pdf.destroy();
+  }
+};
+
+/**
+ * Rasterize the pages of an interior PDF to PNG Files, one per page, in page
+ * order. Only the first MAX_INTERIOR_PDF_PAGES pages are rasterized.
+ *
+ * @param {File} file
+ * @param {object} [options] - { dpi, onProgress(done, total) }
+ * @returns {Promise<{ files: File[], totalPages: number }>}
+ */
+export const rasterizePdfPages = async (file, { dpi = INTERIOR_PDF_DPI, onProgress } = {}) => {
+  const bytes = new Uint8Array(await readFileAsArrayBuffer(file));
+
+  const pdfjs = await import('pdfjs-dist');
+  pdfjs.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+  const pdf = await pdfjs.getDocument({ data: bytes }).promise;
+
+  try {
+    const count = Math.min(pdf.numPages, MAX_INTERIOR_PDF_PAGES);
+    const baseName = (file.name || 'interior.pdf').replace(/\.pdf$/i, '');
+    const files = [];
+
+    for (let number = 1; number <= count; number++) {
+      const page = await pdf.getPage(number);
+      const [x1, y1, x2, y2] = page.view;
+      const longestEdgeInches = Math.max(x2 - x1, y2 - y1) / POINTS_PER_INCH;
+      // Pages are stored no larger than this anyway
+      const effectiveDpi = Math.min(dpi, Math.floor(MAX_STORED_IMAGE_DIMENSION / longestEdgeInches));
+      const viewport = page.getViewport({ scale: effectiveDpi / POINTS_PER_INCH });
+
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.ceil(viewport.width);
+      canvas.height = Math.ceil(viewport.height);
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      await page.render({ canvasContext: ctx, viewport }).promise;
+      page.cleanup();
+
+      files.push(await canvasToPngFile(canvas, `${baseName}-p${String(number).padStart(3, '0')}.png`));
+      onProgress?.(number, count);
+    }
+
+    return { files, totalPages: pdf.numPages };
+  } finally {
+    pdf.destroy();
+  }
+};
@@ -0,0 +1,161 @@
+/**
+ * Print Preflight for BOOK COVER PREVIEWER
+ *
+ * Checks an uploaded cover spread against its stated trim size, spine width
+ * and bleed: effective resolution, spread proportions, bleed, color space
+ * and minimum pixel size.
+ */
+
+import {
+  BINDING_TYPES,
+  DEFAULT_BINDING_TYPE,
+  getBindingSpec,
+  getPrintSpreadSize,
+  normalizeBleed,
+  formatBleed
+} from './bindings.js';
+import { DEFAULT_BLEED_INCHES } from './trimSizes.js';
+import { DEFAULT_UNIT, formatLength, formatDimensions } from './units.js';
+
+export const PREFLIGHT_STATUS = {
+  PASS: 'pass',
+  WARN: 'warn',
+  FAIL: 'fail'
+};
+
+// Thresholds
+export const PREFLIGHT_LIMITS = {
+  TARGET_DPI: 300,
+  MIN_DPI: 150,
+  ASPECT_WARN: 0.01, // relative deviation
+  ASPECT_FAIL: 0.03,
+  MIN_PIXELS_WIDTH: 1500,
+  MIN_PIXELS_HEIGHT: 1000
+};
+
+const STATUS_RANK = { pass: 0, warn: 1, fail: 2 };
+
+const check = (id, label, status, message) => ({ id, label, status, message });
+
+/**
+ * Expected spread size in inches: back + spine + front (plus flaps or wrap for
+ * hardcovers), with bleed around the outside (inches or { top, bottom, outside })
+ */
+export const getExpectedSpreadInches = (trimSize, spineWidthInches, bleed = 0, bindingType = DEFAULT_BINDING_TYPE) => {
+  return getPrintSpreadSize({ bindingType, trimSize, spineWidthInches, bleed });
+};
+
+const checkResolution = (pixels, expected) => {
+  const dpi = Math.floor(Math.min(pixels.width / expected.width, pixels.height / expected.height));
+  const label = 'Resolution';
+
+  if (dpi < PREFLIGHT_LIMITS.MIN_DPI) {
+    return check('resolution', label, PREFLIGHT_STATUS.FAIL, `${dpi} DPI at trim size (minimum ${PREFLIGHT_LIMITS.MIN_DPI}, target ${PREFLIGHT_LIMITS.TARGET_DPI})`);
+  }
+  if (dpi < PREFLIGHT_LIMITS.TARGET_DPI) {
+    return check('resolution', label, PREFLIGHT_STATUS.WARN, `${dpi} DPI at trim size (target ${PREFLIGHT_LIMITS.TARGET_DPI})`);
+  }
+  return check('resolution', label, PREFLIGHT_STATUS.PASS, `${dpi} DPI at trim size`);
+};
+
+const aspectDeviation = (pixels, expected) => {
+  const actual = pixels.width / pixels.height;
+  const target = expected.width / expected.height;
+  return Math.abs(actual - target) / target;
+};
+
+const checkProportions = (pixels, expected, unit) => {
+  const deviation = aspectDeviation(pixels, expected);
+  const percent = (deviation * 100).toFixed(1);
+  const label = 'Spread proportions';
+  const target = formatDimensions(expected.width, expected.height, unit);
+
+  if (deviation > PREFLIGHT_LIMITS.ASPECT_FAIL) {
+    return check('proportions', label, PREFLIGHT_STATUS.FAIL, `Off by ${percent}% from ${target} (covers + spine + bleed)`);
+  }
+  if (deviation > PREFLIGHT_LIMITS.ASPECT_WARN) {
+    return check('proportions', label, PREFLIGHT_STATUS.WARN, `Off by ${percent}% from ${target}; check spine width`);
+  }
+  return check('proportions', label, PREFLIGHT_STATUS.PASS, `Matches ${target}`);
+};
+
+const checkBleed = (pixels, trimSize, spineWidthInches, bleed, bindingType, unit) => {
+  const label = 'Bleed';
+  if (bindingType === BINDING_TYPES.CASE_LAMINATE) {
+    return check('bleed', label, PREFLIGHT_STATUS.PASS, `Covered by the ${formatLength(getBindingSpec(bindingType).wrap, unit)} board wrap`);
+  }
+  if (!bleed.top && !bleed.bottom && !bleed.outside) {
+    return check('bleed', label, PREFLIGHT_STATUS.WARN, `No bleed set; most printers require ${formatLength(DEFAULT_BLEED_INCHES, unit)}`);
+  }
+
+  // If the spread fits the no-bleed size better, the artwork likely lacks bleed
+  const withBleed = aspectDeviation(pixels, getExpectedSpreadInches(trimSize, spineWidthInches, bleed, bindingType));
+  const withoutBleed = aspectDeviation(pixels, getExpectedSpreadInches(trimSize, spineWidthInches, 0, bindingType));
+  if (withoutBleed < withBleed) {
+    return check('bleed', label, PREFLIGHT_STATUS.WARN, `Spread fits the trim size without its bleed (${formatBleed(bleed, unit)})`);
+  }
+  return check('bleed', label, PREFLIGHT_STATUS.PASS, `${formatBleed(bleed, unit)} beyond the trim`);
+};
+
+const checkColorSpace = (colorSpace) => {
+  const label = 'Color';
+  if (colorSpace === 'cmyk' || colorSpace === 'gray') {
+    return check('color', label, PREFLIGHT_STATUS.PASS, colorSpace === 'cmyk' ? 'CMYK' : 'Grayscale');
+  }
+  if (colorSpace === 'rgb' || colorSpace === 'indexed') {
+    return check('color', label, PREFLIGHT_STATUS.WARN, 'RGB only; the printer will convert to CMYK, so colors may shift');
+  }
+  return check('color', label, PREFLIGHT_STATUS.WARN, 'Color space could not be determined');
+};
+
+const checkPixelSize = (pixels) => {
+  const label = 'Image size';
+  const size = `${pixels.width} × ${pixels.height} px`;
+  if (pixels.width < PREFLIGHT_LIMITS.MIN_PIXELS_WIDTH || pixels.height < PREFLIGHT_LIMITS.MIN_PIXELS_HEIGHT) {
+    return check('pixels', label, PREFLIGHT_STATUS.FAIL, `${size} is too small for print`);
+  }
+  return check('pixels', label, PREFLIGHT_STATUS.PASS, size);
+};
+
+/**
+ * Run all preflight checks for a cover.
+ *
+ * @param {object} cover - needs trimSize, spineWidthInches and imageDimensions (bindingType and sourceFormat optional)
+ * @param {object} [options] - { bleed, colorSpace, unit } (bleed in inches or per side; unit only affects the messages)
+ * @returns {{ status: string, checks: Array, bleed: object, checkedAt: string } | null}
+ */
+export const runPreflight = (cover, options = {}) => {
+  const pixels = cover?.imageDimensions;
+  if (!pixels?.width || !pixels?.height || !cover.trimSize) {
+    return null;
+  }
+
+  const bleed = normalizeBleed(options.bleed);
+  const unit = options.unit || DEFAULT_UNIT;
+  const bindingType = cover.bindingType || DEFAULT_BINDING_TYPE;
+  const expected = getExpectedSpreadInches(cover.trimSize, cover.spineWidthInches, bleed, bindingType);
+
+  // A PDF's raster has the DPI chosen at import and is always RGB, so neither
+  // says anything about the PDF's own images or colors
+  const fromPdf = cover.sourceFormat === 'pdf';
+  const checks = [
+    fromPdf ? null : checkResolution(pixels, expected),
+    checkProportions(pixels, expected, unit),
+    checkBleed(pixels, cover.trimSize, cover.spineWidthInches, bleed, bindingType, unit),
+    fromPdf ? null : checkColorSpace(options.colorSpace),
+    checkPixelSize(pixels)
+  ].filter(Boolean);
+
+  const status = checks.reduce(
+    (worst, item) => (STATUS_RANK[item.status] > STATUS_RANK[worst] ? item.status : worst),
+    PREFLIGHT_STATUS.PASS
+  );
+
+  return {
+    status,
+    checks,
+    bleed,
+    colorSpace: options.colorSpace || null,
+    checkedAt: new Date().toISOString()
+  };
+};
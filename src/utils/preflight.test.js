@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { runPreflight, PREFLIGHT_STATUS } from './preflight.js';
+
+// 6" × 9" paperback, 0.5" spine, 0.125" bleed: a 12.75" × 9.25" print file
+const cover = {
+  trimSize: { width: 6, height: 9 },
+  spineWidthInches: 0.5,
+  bindingType: 'paperback'
+};
+const pixelsAt = (dpi) => ({ width: Math.round(12.75 * dpi), height: Math.round(9.25 * dpi) });
+const checkIds = (report) => report.checks.map(item => item.id);
+
+describe('runPreflight', () => {
+  it('checks the resolution and color of raster uploads', () => {
+    const report = runPreflight({ ...cover, imageDimensions: pixelsAt(250) }, { bleed: 0.125, colorSpace: 'cmyk' });
+    expect(checkIds(report)).toEqual(['resolution', 'proportions', 'bleed', 'color', 'pixels']);
+    expect(report.checks[0].status).toBe(PREFLIGHT_STATUS.WARN);
+    expect(report.status).toBe(PREFLIGHT_STATUS.WARN);
+  });
+
+  it('leaves out the resolution and color of a PDF raster', () => {
+    const report = runPreflight({ ...cover, sourceFormat: 'pdf', rasterDpi: 150, imageDimensions: pixelsAt(150) }, { bleed: 0.125 });
+    expect(checkIds(report)).toEqual(['proportions', 'bleed', 'pixels']);
+    expect(report.status).toBe(PREFLIGHT_STATUS.PASS);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Mockup Export for BOOK COVER PREVIEWER
+ *
+ * Renders the 3D scene at an arbitrary resolution and saves it as a PNG.
+ */
+
+import { Vector2 } from 'three';
+
+export const EXPORT_RESOLUTIONS = [
+  { width: 1920, height: 1080, name: '1920 × 1080' },
+  { width: 2000, height: 2000, name: '2000 × 2000' },
+  { width: 3000, height: 2000, name: '3000 × 2000' },
+  { width: 4000, height: 4000, name: '4000 × 4000' }
+];
+
+// Matches the #root background in index.css
+const BACKGROUND_STOPS = [
+  [0, '#f3f4f6'],
+  [0.5, '#e5e7eb'],
+  [1, '#d1d5db']
+];
+
+/**
+ * Render the scene once at the requested size and copy the pixels to a 2D canvas.
+ * The WebGL canvas is resized only for the duration of this call, so the
+ * on-screen view is untouched. Sizes above the GPU limit are scaled down.
+ * Pass `render(width, height)` to draw something other than a single full
+ * frame (e.g. a split view).
+ *
+ * @returns {HTMLCanvasElement} transparent where nothing was drawn
+ */
+export const renderSceneToCanvas = ({ gl, scene, camera, width, height, render }) => {
+  const context = gl.getContext();
+  const maxSize = Math.min(
+    gl.capabilities.maxTextureSize,
+    context.getParameter(context.MAX_RENDERBUFFER_SIZE)
+  );
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  const renderWidth = Math.floor(width * scale);
+  const renderHeight = Math.floor(height * scale);
+
+  const previousPixelRatio = gl.getPixelRatio();
+  const previousSize = gl.getSize(new Vector2());
+  const previousAspect = camera.aspect;
+
+  const output = document.createElement('canvas');
+
+  try {
+    gl.setPixelRatio(1);
+    gl.setSize(renderWidth, renderHeight, false);
+    camera.aspect = renderWidth / renderHeight;
+    camera.updateProjectionMatrix();
+
+    if (render) {
+      render(renderWidth, renderHeight);
+    } else {
+      gl.render(scene, camera);
+    }
+
+    // Copy before the browser clears the drawing buffer
+    output.width = gl.domElement.width;
+    output.height = gl.domElement.height;
+    output.getContext('2d').drawImage(gl.domElement, 0, 0);
+  } finally {
+    gl.setPixelRatio(previousPixelRatio);
+    gl.setSize(previousSize.x, previousSize.y, false);
+    camera.aspect = previousAspect;
+    camera.updateProjectionMatrix();
+  }
+
+  return output;
+};
+
+/**
+ * Place a rendered canvas on a backdrop: { color, image } from the scene
+ * settings (the image fills the frame, cropped to fit), or the app's
+ * background gradient when none is given
+ */
+export const addBackground = (canvas, backdrop) => {
+  const result = document.createElement('canvas');
+  result.width = canvas.width;
+  result.height = canvas.height;
+
+  const ctx = result.getContext('2d');
+  if (backdrop?.color) {
+    ctx.fillStyle = backdrop.color;
+  } else {
+    const gradient = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
+    BACKGROUND_STOPS.forEach(([stop, color]) => gradient.addColorStop(stop, color));
+    ctx.fillStyle = gradient;
+  }
+  ctx.fillRect(0, 0, result.width, result.height);
+
+  const image = backdrop?.image;
+  if (image) {
+    const scale = Math.max(result.width / image.width, result.height / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    ctx.drawImage(image, (result.width - width) / 2, (result.height - height) / 2, width, height);
+  }
+  ctx.drawImage(canvas, 0, 0);
+
+  return result;
+};
+
+/**
+ * Save a blob through a temporary download link
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Download a canvas as a PNG file
+ */
+export const downloadCanvasAsPng = (canvas, filename) => {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error('Failed to encode PNG'));
+        return;
+      }
+      downloadBlob(blob, filename);
+      resolve({ width: canvas.width, height: canvas.height });
+    }, 'image/png');
+  });
+};
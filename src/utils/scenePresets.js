@@ -0,0 +1,286 @@
+/**
+ * Scene Presets for BOOK COVER PREVIEWER
+ *
+ * Lighting, environment, backdrop and floor for the 3D scene. A preset sets
+ * the lights, environment, backdrop color and floor; the backdrop, floor,
+ * shadow softness and key-light direction can then be adjusted. Settings are
+ * remembered in this browser and used for mockup exports as well as the
+ * live view.
+ */
+
+export const SCENE_PRESET_IDS = {
+  STUDIO_WHITE: 'studio-white',
+  DARK_MOODY: 'dark-moody',
+  WOODEN_DESK: 'wooden-desk',
+  OUTDOOR: 'outdoor'
+};
+
+export const DEFAULT_SCENE_PRESET = SCENE_PRESET_IDS.STUDIO_WHITE;
+
+export const FLOOR_MATERIALS = {
+  MATTE: 'matte',
+  SATIN: 'satin',
+  GLOSSY: 'glossy',
+  WOOD: 'wood',
+  SHADOW_ONLY: 'shadow-only'
+};
+
+// roughness / metalness for the floor's standard material; wood adds a plank texture
+export const FLOOR_MATERIAL_SPECS = {
+  [FLOOR_MATERIALS.MATTE]: { name: 'Matte', roughness: 0.95, metalness: 0 },
+  [FLOOR_MATERIALS.SATIN]: { name: 'Satin', roughness: 0.5, metalness: 0 },
+  [FLOOR_MATERIALS.GLOSSY]: { name: 'Glossy', roughness: 0.15, metalness: 0.1 },
+  [FLOOR_MATERIALS.WOOD]: { name: 'Wood', roughness: 0.65, metalness: 0, texture: 'wood' },
+  [FLOOR_MATERIALS.SHADOW_ONLY]: { name: 'Shadow only', shadowOnly: true }
+};
+
+export const FLOOR_MATERIAL_OPTIONS = Object.entries(FLOOR_MATERIAL_SPECS).map(([id, spec]) => ({ id, name: spec.name }));
+
+// environment: drei Environment preset; key/fill: directional lights; the
+// remaining fields are the adjustable defaults for the preset
+export const SCENE_PRESETS = {
+  [SCENE_PRESET_IDS.STUDIO_WHITE]: {
+    name: 'Studio white',
+    environment: 'studio',
+    environmentIntensity: 0.8,
+    ambientIntensity: 0.5,
+    keyColor: '#ffffff',
+    keyIntensity: 1.5,
+    fillIntensity: 0.5,
+    backdropColor: '#f3f4f6',
+    floorMaterial: FLOOR_MATERIALS.MATTE,
+    floorColor: '#f9fafb',
+    shadowSoftness: 0.6,
+    lightAzimuth: 45,
+    lightElevation: 35
+  },
+  [SCENE_PRESET_IDS.DARK_MOODY]: {
+    name: 'Dark moody',
+    environment: 'night',
+    environmentIntensity: 0.3,
+    ambientIntensity: 0.1,
+    keyColor: '#ffd9b0',
+    keyIntensity: 2.2,
+    fillIntensity: 0.15,
+    backdropColor: '#111827',
+    floorMaterial: FLOOR_MATERIALS.GLOSSY,
+    floorColor: '#1f2937',
+    shadowSoftness: 0.25,
+    lightAzimuth: 65,
+    lightElevation: 25
+  },
+  [SCENE_PRESET_IDS.WOODEN_DESK]: {
+    name: 'Wooden desk',
+    environment: 'apartment',
+    environmentIntensity: 0.7,
+    ambientIntensity: 0.35,
+    keyColor: '#fff1dc',
+    keyIntensity: 1.6,
+    fillIntensity: 0.35,
+    backdropColor: '#e8dccb',
+    floorMaterial: FLOOR_MATERIALS.WOOD,
+    floorColor: '#b07a4a',
+    shadowSoftness: 0.5,
+    lightAzimuth: 30,
+    lightElevation: 45
+  },
+  [SCENE_PRESET_IDS.OUTDOOR]: {
+    name: 'Outdoor',
+    environment: 'park',
+    environmentIntensity: 1,
+    ambientIntensity: 0.4,
+    keyColor: '#fff6e5',
+    keyIntensity: 2.4,
+    fillIntensity: 0.3,
+    backdropColor: '#cfe3f3',
+    floorMaterial: FLOOR_MATERIALS.SATIN,
+    floorColor: '#b8b5ad',
+    shadowSoftness: 0.1,
+    lightAzimuth: -40,
+    lightElevation: 55
+  }
+};
+
+export const SCENE_PRESET_OPTIONS = Object.entries(SCENE_PRESETS).map(([id, preset]) => ({ id, name: preset.name }));
+
+export const MIN_LIGHT_ELEVATION = 5;
+export const MAX_LIGHT_ELEVATION = 90;
+
+const LIGHT_DISTANCE = 8.66; // matches the original key light at [5, 5, 5]
+const FILL_ELEVATION_RATIO = 0.65; // the fill sits lower, opposite the key light
+const MAX_SHADOW_RADIUS = 12; // PCF filter radius in shadow-map texels at full softness
+const MAX_BACKDROP_PIXELS = 2048;
+const BACKDROP_JPEG_QUALITY = 0.85;
+
+const SCENE_PREFERENCE_KEY = 'bookCoverPreviewer_scene';
+const BACKDROP_IMAGE_KEY = 'bookCoverPreviewer_sceneBackdrop';
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+export const getScenePreset = (presetId) => {
+  return SCENE_PRESETS[presetId] || SCENE_PRESETS[DEFAULT_SCENE_PRESET];
+};
+
+export const getFloorMaterialSpec = (floorMaterial) => {
+  return FLOOR_MATERIAL_SPECS[floorMaterial] || FLOOR_MATERIAL_SPECS[FLOOR_MATERIALS.MATTE];
+};
+
+/**
+ * Full scene settings for a preset, with its default backdrop, floor and light
+ */
+export const getPresetSceneSettings = (presetId) => {
+  const id = SCENE_PRESETS[presetId] ? presetId : DEFAULT_SCENE_PRESET;
+  const preset = SCENE_PRESETS[id];
+  return {
+    preset: id,
+    backdropColor: preset.backdropColor,
+    backdropImage: null, // JPEG data URL
+    floorMaterial: preset.floorMaterial,
+    floorColor: preset.floorColor,
+    shadowSoftness: preset.shadowSoftness,
+    lightAzimuth: preset.lightAzimuth,
+    lightElevation: preset.lightElevation
+  };
+};
+
+export const DEFAULT_SCENE_SETTINGS = getPresetSceneSettings(DEFAULT_SCENE_PRESET);
+
+/**
+ * World position of a light from its direction in degrees. Azimuth 0 is
+ * towards the default camera, positive to its right; elevation is above the floor.
+ */
+export const getLightPosition = (azimuth, elevation, distance = LIGHT_DISTANCE) => {
+  const a = (azimuth * Math.PI) / 180;
+  const e = (elevation * Math.PI) / 180;
+  return [
+    Math.sin(a) * Math.cos(e) * distance,
+    Math.sin(e) * distance,
+    Math.cos(a) * Math.cos(e) * distance
+  ];
+};
+
+/**
+ * Fill light position: opposite the key light and lower
+ */
+export const getFillLightPosition = (azimuth, elevation) => {
+  return getLightPosition(azimuth + 180, elevation * FILL_ELEVATION_RATIO);
+};
+
+/**
+ * Shadow blur radius for a softness from 0 (hard) to 1 (soft)
+ */
+export const getShadowRadius = (softness) => {
+  return 1 + Math.min(1, Math.max(0, softness)) * (MAX_SHADOW_RADIUS - 1);
+};
+
+const clampNumber = (value, min, max, fallback) => {
+  return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+};
+
+// Drop anything a stored (possibly older or hand-edited) record gets wrong
+const normalizeSceneSettings = (stored) => {
+  const defaults = getPresetSceneSettings(stored?.preset);
+  if (!stored || typeof stored !== 'object') return defaults;
+
+  return {
+    ...defaults,
+    backdropColor: HEX_COLOR.test(stored.backdropColor) ? stored.backdropColor : defaults.backdropColor,
+    floorMaterial: FLOOR_MATERIAL_SPECS[stored.floorMaterial] ? stored.floorMaterial : defaults.floorMaterial,
+    floorColor: HEX_COLOR.test(stored.floorColor) ? stored.floorColor : defaults.floorColor,
+    shadowSoftness: clampNumber(stored.shadowSoftness, 0, 1, defaults.shadowSoftness),
+    lightAzimuth: clampNumber(stored.lightAzimuth, -180, 180, defaults.lightAzimuth),
+    lightElevation: clampNumber(stored.lightElevation, MIN_LIGHT_ELEVATION, MAX_LIGHT_ELEVATION, defaults.lightElevation)
+  };
+};
+
+export const loadSceneSettings = () => {
+  try {
+    const stored = localStorage.getItem(SCENE_PREFERENCE_KEY);
+    const settings = normalizeSceneSettings(stored ? JSON.parse(stored) : null);
+    const backdropImage = localStorage.getItem(BACKDROP_IMAGE_KEY);
+    return { ...settings, backdropImage: backdropImage?.startsWith('data:image/') ? backdropImage : null };
+  } catch (error) {
+    return DEFAULT_SCENE_SETTINGS;
+  }
+};
+
+/**
+ * Save scene settings. The backdrop image is kept under its own key and only
+ * rewritten when it changes.
+ */
+export const saveSceneSettings = (settings) => {
+  const { backdropImage, ...rest } = settings;
+  try {
+    localStorage.setItem(SCENE_PREFERENCE_KEY, JSON.stringify(rest));
+  } catch (error) {
+    console.warn('Failed to save scene settings:', error);
+  }
+};
+
+/**
+ * Save or clear the backdrop image
+ * @returns {boolean} false when the browser refused it (e.g. storage full)
+ */
+export const saveBackdropImage = (dataUrl) => {
+  try {
+    if (dataUrl) {
+      localStorage.setItem(BACKDROP_IMAGE_KEY, dataUrl);
+    } else {
+      localStorage.removeItem(BACKDROP_IMAGE_KEY);
+    }
+    return true;
+  } catch (error) {
+    console.warn('Failed to save backdrop image:', error);
+    return false;
+  }
+};
+
+/**
+ * Decode an image (File or URL)
+ */
+export const loadBackdropImage = (source) => {
+  return new Promise((resolve, reject) => {
+    const url = typeof source === 'string' ? source : URL.createObjectURL(source);
+    const img = new Image();
+    const release = () => {
+      if (url !== source) URL.revokeObjectURL(url);
+    };
+    img.onload = () => {
+      release();
+      resolve(img);
+    };
+    img.onerror = () => {
+      release();
+      reject(new Error('Failed to decode backdrop image'));
+    };
+    img.src = url;
+  });
+};
+
+/**
+ * Downscale an uploaded backdrop to a JPEG data URL small enough to remember
+ * in local storage
+ */
+export const readBackdropImage = async (file) => {
+  const image = await loadBackdropImage(file);
+  const scale = Math.min(1, MAX_BACKDROP_PIXELS / Math.max(image.width, image.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(image.width * scale));
+  canvas.height = Math.max(1, Math.round(image.height * scale));
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff'; // JPEG has no alpha
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', BACKDROP_JPEG_QUALITY);
+};
+
+/**
+ * CSS background for the live view behind the transparent WebGL canvas;
+ * images fill it like `object-fit: cover`, as in exports
+ */
+export const getBackdropStyle = ({ backdropColor, backdropImage }) => {
+  return backdropImage
+    ? { background: `${backdropColor} url("${backdropImage}") center / cover no-repeat` }
+    : { background: backdropColor };
+};
@@ -0,0 +1,118 @@
+/**
+ * Shelf Layout for BOOK COVER PREVIEWER
+ *
+ * Places many books at true relative scale: spine-out on a shelf, face-out
+ * in a row, or stacked flat. Each book is a box scaled from a shared unit
+ * cube, in the orientation where +X is the front cover, -X the back cover
+ * and +Z the spine.
+ */
+
+import { inchesToUnits, DEFAULT_TRIM_SIZE, DEFAULT_SPINE_WIDTH } from './trimSizes.js';
+import { DEFAULT_BINDING_TYPE, getBoardSize } from './bindings.js';
+
+export const SHELF_LAYOUTS = {
+  SPINE_OUT: 'spine-out',
+  FACE_OUT: 'face-out',
+  STACKED: 'stacked'
+};
+
+export const SHELF_LAYOUT_OPTIONS = [
+  { id: SHELF_LAYOUTS.SPINE_OUT, name: 'Spine out' },
+  { id: SHELF_LAYOUTS.FACE_OUT, name: 'Face out' },
+  { id: SHELF_LAYOUTS.STACKED, name: 'Stacked' }
+];
+
+// Which covers go on the shelf
+export const SHELF_SOURCES = {
+  ALL: 'all',
+  SERIES: 'series',
+  PICKED: 'picked'
+};
+
+// Space between neighbouring books, in inches
+const LAYOUT_GAPS = {
+  [SHELF_LAYOUTS.SPINE_OUT]: 0.02,
+  [SHELF_LAYOUTS.FACE_OUT]: 0.5,
+  [SHELF_LAYOUTS.STACKED]: 0
+};
+
+/**
+ * Outer size of a book in scene units: width and height of the cover (boards
+ * for hardcovers) and thickness across the spine
+ */
+export const getShelfBookSize = (cover) => {
+  const trimSize = cover?.trimSize || DEFAULT_TRIM_SIZE;
+  const board = getBoardSize(cover?.bindingType || DEFAULT_BINDING_TYPE, trimSize);
+  const spine = typeof cover?.spineWidthInches === 'number' ? cover.spineWidthInches : DEFAULT_SPINE_WIDTH;
+
+  return {
+    width: inchesToUnits(board.width),
+    height: inchesToUnits(board.height),
+    thickness: inchesToUnits(spine)
+  };
+};
+
+/**
+ * Position, rotation and scale for each book, with the shelf surface at y = 0,
+ * the row centered on x = 0 and the visible faces flush with z = 0.
+ *
+ * @param {Array<{ width: number, height: number, thickness: number }>} sizes - from getShelfBookSize
+ * @param {string} layout - one of SHELF_LAYOUTS
+ * @returns {{ items: Array<{ position: number[], rotation: number[], scale: number[] }>, bounds: { width: number, height: number, depth: number } }}
+ */
+export const getShelfLayout = (sizes, layout) => {
+  const gap = inchesToUnits(LAYOUT_GAPS[layout] ?? 0);
+
+  if (layout === SHELF_LAYOUTS.STACKED) {
+    // Lying on the back cover, spines facing forward, first book at the bottom
+    let y = 0;
+    const items = sizes.map(size => {
+      const item = {
+        position: [0, y + size.thickness / 2, -size.width / 2],
+        rotation: [0, 0, Math.PI / 2],
+        scale: [size.thickness, size.height, size.width]
+      };
+      y += size.thickness + gap;
+      return item;
+    });
+    return {
+      items,
+      bounds: {
+        width: Math.max(0, ...sizes.map(size => size.height)),
+        height: Math.max(0, y - gap),
+        depth: Math.max(0, ...sizes.map(size => size.width))
+      }
+    };
+  }
+
+  const faceOut = layout === SHELF_LAYOUTS.FACE_OUT;
+  // Footprint along the row: the cover width when facing out, the spine otherwise
+  const footprints = sizes.map(size => (faceOut ? size.width : size.thickness));
+  const rowWidth = footprints.reduce((sum, value) => sum + value, 0) + gap * Math.max(0, sizes.length - 1);
+
+  let x = -rowWidth / 2;
+  const items = sizes.map((size, index) => {
+    const center = x + footprints[index] / 2;
+    x += footprints[index] + gap;
+    return faceOut
+      ? {
+        position: [center, size.height / 2, -size.thickness / 2],
+        rotation: [0, -Math.PI / 2, 0],
+        scale: [size.thickness, size.height, size.width]
+      }
+      : {
+        position: [center, size.height / 2, -size.width / 2],
+        rotation: [0, 0, 0],
+        scale: [size.thickness, size.height, size.width]
+      };
+  });
+
+  return {
+    items,
+    bounds: {
+      width: rowWidth,
+      height: Math.max(0, ...sizes.map(size => size.height)),
+      depth: Math.max(0, ...sizes.map(size => (faceOut ? size.thickness : size.width)))
+    }
+  };
+};
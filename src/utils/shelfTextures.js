@@ -0,0 +1,70 @@
+/**
+ * Shelf Textures for BOOK COVER PREVIEWER
+ *
+ * Downscaled cover textures for the shelf view. Each cover image is decoded
+ * and uploaded once; books clone the texture per face, and clones share the
+ * same GPU upload.
+ */
+
+import { CanvasTexture, SRGBColorSpace } from 'three';
+import { getCoverImageUrlByIdAsync } from './coverData.js';
+
+// Longest side of a shelf texture in pixels; keeps 50+ books within GPU memory
+export const SHELF_TEXTURE_SIZE = 1024;
+
+// key -> Promise<CanvasTexture>
+const textureCache = new Map();
+
+export const getShelfTextureKey = (cover) => `${cover.id}:${cover.currentVersion ?? 0}`;
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('Failed to load cover image'));
+  image.src = src;
+});
+
+const createShelfTexture = async (coverId) => {
+  const url = await getCoverImageUrlByIdAsync(coverId);
+  if (!url) {
+    throw new Error('Cover image not found');
+  }
+
+  const image = await loadImage(url);
+  const scale = Math.min(1, SHELF_TEXTURE_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  const texture = new CanvasTexture(canvas);
+  texture.colorSpace = SRGBColorSpace;
+  return texture;
+};
+
+/**
+ * Shared texture for a cover's active image, loaded on first use
+ */
+export const loadShelfTexture = (cover) => {
+  const key = getShelfTextureKey(cover);
+  if (!textureCache.has(key)) {
+    const pending = createShelfTexture(cover.id).catch(error => {
+      textureCache.delete(key);
+      throw error;
+    });
+    textureCache.set(key, pending);
+  }
+  return textureCache.get(key);
+};
+
+/**
+ * Dispose cached textures for covers that are not in keepCovers
+ */
+export const releaseShelfTextures = (keepCovers = []) => {
+  const keep = new Set(keepCovers.map(getShelfTextureKey));
+  textureCache.forEach((pending, key) => {
+    if (keep.has(key)) return;
+    textureCache.delete(key);
+    pending.then(texture => texture.dispose()).catch(() => {});
+  });
+};
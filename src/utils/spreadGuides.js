@@ -0,0 +1,120 @@
+/**
+ * Spread Guides for BOOK COVER PREVIEWER
+ *
+ * Computes and draws print guides over a cover spread: the bleed (trim) line,
+ * the safe/live-area margin and the spine (and flap) fold lines. The same
+ * drawing is used as a texture on the 3D book and in the flat spread view.
+ */
+
+import { getSpreadLayout } from './bindings.js';
+
+export const DEFAULT_SAFE_MARGIN_INCHES = 0.25;
+
+export const GUIDE_COLORS = {
+  trimmed: 'rgba(220, 38, 38, 0.25)',
+  bleed: '#dc2626',
+  safe: '#0891b2',
+  spine: '#c026d3'
+};
+
+/**
+ * Guide positions as fractions of the spread image (x from left, y from top).
+ * Uses the same layout as the 3D book (see getSpreadLayout in bindings.js).
+ *
+ * @returns {{ trim: object, safePanels: Array, spineFolds: number[] }}
+ */
+export const getSpreadGuideLines = ({ bindingType, trimSize, spineWidthInches, bleed = 0, safeMarginInches = DEFAULT_SAFE_MARGIN_INCHES }) => {
+  const layout = getSpreadLayout({ bindingType, trimSize, spineWidthInches, bleed });
+  const { regions } = layout;
+  const x = (inches) => Math.max(0, Math.min(1, inches / Math.max(0.0001, layout.totalWidth)));
+  const y = (inches) => Math.max(0, Math.min(1, inches / Math.max(0.0001, layout.totalHeight)));
+
+  const outerLeft = regions.leftFlap || regions.left;
+  const outerRight = regions.rightFlap || regions.right;
+  const safePanel = (region) => ({
+    left: x(region.start + safeMarginInches),
+    right: x(region.end - safeMarginInches),
+    top: y(layout.top + safeMarginInches),
+    bottom: y(layout.bottom - safeMarginInches)
+  });
+
+  // Fold lines: both spine edges, plus the flap folds on a dust jacket
+  const folds = [regions.spine.start, regions.spine.end];
+  if (regions.leftFlap) folds.push(regions.left.start);
+  if (regions.rightFlap) folds.push(regions.right.end);
+
+  return {
+    // Trim line: everything outside is cut off (or wrapped around the boards)
+    trim: {
+      left: x(outerLeft.start),
+      right: x(outerRight.end),
+      top: y(layout.top),
+      bottom: y(layout.bottom)
+    },
+    // Live area on each cover panel, measured inward from trim and from the folds
+    safePanels: [safePanel(regions.left), safePanel(regions.right)],
+    spineFolds: folds.map(x)
+  };
+};
+
+/**
+ * Draw a spread image with guide layers onto a canvas (resized to the image).
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {CanvasImageSource} image - spread image; must have width/height
+ * @param {object} lines - result of getSpreadGuideLines
+ * @param {{ bleed: boolean, safe: boolean, spine: boolean }} layers
+ */
+export const drawSpreadWithGuides = (canvas, image, lines, layers) => {
+  const width = image.naturalWidth || image.width;
+  const height = image.naturalHeight || image.height;
+  canvas.width = width;
+  canvas.height = height;
+
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0, width, height);
+
+  const lineWidth = Math.max(2, Math.round(width / 800));
+  const dash = [lineWidth * 6, lineWidth * 4];
+  const px = (fx) => fx * width;
+  const py = (fy) => fy * height;
+
+  const strokeRect = (rect, color) => {
+    ctx.strokeStyle = color;
+    ctx.strokeRect(px(rect.left), py(rect.top), px(rect.right - rect.left), py(rect.bottom - rect.top));
+  };
+
+  ctx.lineWidth = lineWidth;
+
+  if (layers.bleed) {
+    const { trim } = lines;
+    // Shade the area the printer trims away
+    ctx.fillStyle = GUIDE_COLORS.trimmed;
+    ctx.fillRect(0, 0, width, py(trim.top));
+    ctx.fillRect(0, py(trim.bottom), width, height - py(trim.bottom));
+    ctx.fillRect(0, py(trim.top), px(trim.left), py(trim.bottom - trim.top));
+    ctx.fillRect(px(trim.right), py(trim.top), width - px(trim.right), py(trim.bottom - trim.top));
+
+    ctx.setLineDash([]);
+    strokeRect(trim, GUIDE_COLORS.bleed);
+  }
+
+  if (layers.safe) {
+    ctx.setLineDash(dash);
+    lines.safePanels.forEach(rect => strokeRect(rect, GUIDE_COLORS.safe));
+  }
+
+  if (layers.spine) {
+    ctx.setLineDash(dash);
+    ctx.strokeStyle = GUIDE_COLORS.spine;
+    lines.spineFolds.forEach(fx => {
+      ctx.beginPath();
+      ctx.moveTo(px(fx), 0);
+      ctx.lineTo(px(fx), height);
+      ctx.stroke();
+    });
+  }
+
+  ctx.setLineDash([]);
+  return canvas;
+};
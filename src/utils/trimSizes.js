@@ -1,34 +1,70 @@
 /**
  * Trim Size Management for BOOK COVER PREVIEWER
  *
- * Defines standard book trim sizes and provides validation utilities.
+ * The trim size catalog (built-in printer and metric sizes plus the user's
+ * own presets) and validation utilities. Everything that lists or matches
+ * presets reads from getTrimPresets(). Sizes are in inches.
  */
 
-// Essential trim sizes only - we use 4 core sizes in the UI
-export const ESSENTIAL_TRIM_SIZES = [
-  { width: 4.25, height: 6.87, name: '4.25" × 6.87"', category: 'Fiction' },
-  { width: 5.0, height: 8.0, name: '5" × 8"', category: 'Fiction' },
-  { width: 6.0, height: 9.0, name: '6" × 9"', category: 'Fiction' },
-  { width: 8.5, height: 11.0, name: '8.5" × 11"', category: 'Textbook' }
+import { UNITS, DEFAULT_UNIT, getUnitSpec, toInches, formatLength, formatDimensions } from './units.js';
+
+const mmToInches = (mm) => toInches(mm, UNITS.MM);
+
+const PRINTERS = {
+  KDP: 'Amazon KDP',
+  INGRAM: 'IngramSpark',
+  LULU: 'Lulu'
+};
+
+// Common print-on-demand sizes; check the printer's own list before ordering
+// (4.25 × 6.87, 5 × 8, 6 × 9 and 8.5 × 11 keep their original categories, which covers are filtered by)
+export const TRIM_SIZE_CATALOG = [
+  { id: 'mass-market', width: 4.25, height: 6.87, name: '4.25" × 6.87" Mass market', category: 'Fiction', printers: [PRINTERS.KDP, PRINTERS.INGRAM, PRINTERS.LULU] },
+  { id: '5x8', width: 5.0, height: 8.0, name: '5" × 8"', category: 'Fiction', printers: [PRINTERS.KDP, PRINTERS.INGRAM] },
+  { id: '5.06x7.81', width: 5.06, height: 7.81, name: '5.06" × 7.81"', category: 'Fiction', printers: [PRINTERS.KDP, PRINTERS.INGRAM] },
+  { id: '5.25x8', width: 5.25, height: 8.0, name: '5.25" × 8"', category: 'Fiction', printers: [PRINTERS.KDP, PRINTERS.INGRAM] },
+  { id: 'digest', width: 5.5, height: 8.5, name: '5.5" × 8.5" Digest', category: 'Fiction', printers: [PRINTERS.KDP, PRINTERS.INGRAM, PRINTERS.LULU] },
+  { id: 'us-trade', width: 6.0, height: 9.0, name: '6" × 9" US Trade', category: 'Fiction', printers: [PRINTERS.KDP, PRINTERS.INGRAM, PRINTERS.LULU] },
+  { id: '6.69x9.61', width: 6.69, height: 9.61, name: '6.69" × 9.61"', category: 'Nonfiction', printers: [PRINTERS.KDP, PRINTERS.INGRAM] },
+  { id: 'executive', width: 7.0, height: 10.0, name: '7" × 10" Executive', category: 'Nonfiction', printers: [PRINTERS.KDP, PRINTERS.INGRAM, PRINTERS.LULU] },
+  { id: 'crown-quarto', width: 7.44, height: 9.69, name: '7.44" × 9.69" Crown Quarto', category: 'Textbook', printers: [PRINTERS.KDP, PRINTERS.INGRAM] },
+  { id: '7.5x9.25', width: 7.5, height: 9.25, name: '7.5" × 9.25"', category: 'Textbook', printers: [PRINTERS.KDP, PRINTERS.INGRAM] },
+  { id: '8x10', width: 8.0, height: 10.0, name: '8" × 10"', category: 'Textbook', printers: [PRINTERS.KDP, PRINTERS.INGRAM] },
+  { id: '8.25x11', width: 8.25, height: 11.0, name: '8.25" × 11"', category: 'Textbook', printers: [PRINTERS.KDP, PRINTERS.INGRAM] },
+  { id: 'us-letter', width: 8.5, height: 11.0, name: '8.5" × 11" US Letter', category: 'Textbook', printers: [PRINTERS.KDP, PRINTERS.INGRAM, PRINTERS.LULU] },
+  { id: 'square', width: 8.5, height: 8.5, name: '8.5" × 8.5" Square', category: 'Children', printers: [PRINTERS.KDP, PRINTERS.INGRAM, PRINTERS.LULU] },
+  { id: 'b-format', width: mmToInches(129), height: mmToInches(198), name: 'B-format (129 × 198 mm)', category: 'Metric', printers: [PRINTERS.INGRAM] },
+  { id: 'demy', width: mmToInches(138), height: mmToInches(216), name: 'Demy (138 × 216 mm)', category: 'Metric', printers: [PRINTERS.INGRAM] },
+  { id: 'a5', width: mmToInches(148), height: mmToInches(210), name: 'A5 (148 × 210 mm)', category: 'Metric', printers: [PRINTERS.INGRAM, PRINTERS.LULU] },
+  { id: 'royal', width: mmToInches(156), height: mmToInches(234), name: 'Royal (156 × 234 mm)', category: 'Metric', printers: [PRINTERS.KDP, PRINTERS.INGRAM] },
+  { id: 'a4', width: mmToInches(210), height: mmToInches(297), name: 'A4 (210 × 297 mm)', category: 'Metric', printers: [PRINTERS.INGRAM, PRINTERS.LULU] }
 ];
 
-// For backward compatibility with existing code
-export const ALL_PRESETS = ESSENTIAL_TRIM_SIZES;
+// User presets live in localStorage; they are small and read synchronously
+const USER_PRESETS_KEY = 'bookCoverPreviewer_trimPresets';
+export const USER_PRESET_CATEGORY = 'My presets';
+
+// Fallbacks for records without trim/spine metadata (5" × 8" book)
+export const DEFAULT_TRIM_SIZE = { width: 5.0, height: 8.0 };
+export const DEFAULT_SPINE_WIDTH = 0.842; // inches
+export const DEFAULT_BLEED_INCHES = 0.125;
 
 // Validation constants
 export const TRIM_SIZE_LIMITS = {
   MIN_WIDTH: 0.1,
   MAX_WIDTH: 20.0,
   MIN_HEIGHT: 0.1,
-  MAX_HEIGHT: 20.0,
-  DECIMAL_PLACES: 4
+  MAX_HEIGHT: 20.0
 };
 
 /**
- * Validate custom trim size dimensions
+ * Validate custom trim size dimensions, given in the user's unit. Limits are
+ * defined in inches and reported in that unit. Typed lengths are already
+ * rounded to the unit's input precision (see parseLengthInput).
  */
-export const validateTrimSize = (width, height) => {
+export const validateTrimSize = (width, height, unit = DEFAULT_UNIT) => {
   const errors = [];
+  const spec = getUnitSpec(unit);
 
   // Check if values are numbers
   if (isNaN(width) || isNaN(height)) {
@@ -36,48 +72,117 @@ export const validateTrimSize = (width, height) => {
     return { valid: false, errors };
   }
 
-  // Check decimal places
-  const widthDecimals = (width.toString().split('.')[1] || '').length;
-  const heightDecimals = (height.toString().split('.')[1] || '').length;
+  // Check range limits
+  const widthInches = width / spec.perInch;
+  const heightInches = height / spec.perInch;
 
-  if (widthDecimals > TRIM_SIZE_LIMITS.DECIMAL_PLACES) {
-    errors.push(`Width can have at most ${TRIM_SIZE_LIMITS.DECIMAL_PLACES} decimal places`);
+  if (widthInches < TRIM_SIZE_LIMITS.MIN_WIDTH || widthInches > TRIM_SIZE_LIMITS.MAX_WIDTH) {
+    errors.push(`Width must be between ${formatLength(TRIM_SIZE_LIMITS.MIN_WIDTH, unit)} and ${formatLength(TRIM_SIZE_LIMITS.MAX_WIDTH, unit)}`);
   }
 
-  if (heightDecimals > TRIM_SIZE_LIMITS.DECIMAL_PLACES) {
-    errors.push(`Height can have at most ${TRIM_SIZE_LIMITS.DECIMAL_PLACES} decimal places`);
+  if (heightInches < TRIM_SIZE_LIMITS.MIN_HEIGHT || heightInches > TRIM_SIZE_LIMITS.MAX_HEIGHT) {
+    errors.push(`Height must be between ${formatLength(TRIM_SIZE_LIMITS.MIN_HEIGHT, unit)} and ${formatLength(TRIM_SIZE_LIMITS.MAX_HEIGHT, unit)}`);
   }
 
-  // Check range limits
-  if (width < TRIM_SIZE_LIMITS.MIN_WIDTH || width > TRIM_SIZE_LIMITS.MAX_WIDTH) {
-    errors.push(`Width must be between ${TRIM_SIZE_LIMITS.MIN_WIDTH}" and ${TRIM_SIZE_LIMITS.MAX_WIDTH}"`);
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Presets the user has saved, oldest first
+ */
+export const getUserTrimPresets = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(USER_PRESETS_KEY) || '[]');
+    return Array.isArray(stored)
+      ? stored.filter(preset => preset?.id && validateTrimSize(preset.width, preset.height).valid)
+      : [];
+  } catch (error) {
+    console.warn('Failed to read saved trim presets:', error);
+    return [];
   }
+};
+
+const saveUserTrimPresets = (presets) => {
+  localStorage.setItem(USER_PRESETS_KEY, JSON.stringify(presets));
+};
 
-  if (height < TRIM_SIZE_LIMITS.MIN_HEIGHT || height > TRIM_SIZE_LIMITS.MAX_HEIGHT) {
-    errors.push(`Height must be between ${TRIM_SIZE_LIMITS.MIN_HEIGHT}" and ${TRIM_SIZE_LIMITS.MAX_HEIGHT}"`);
+/**
+ * The full catalog: built-in sizes followed by the user's presets
+ */
+export const getTrimPresets = () => {
+  return [...TRIM_SIZE_CATALOG, ...getUserTrimPresets()];
+};
+
+/**
+ * Presets grouped by category, in catalog order
+ */
+export const getTrimPresetsByCategory = () => {
+  const groups = [];
+  getTrimPresets().forEach(preset => {
+    let group = groups.find(entry => entry.category === preset.category);
+    if (!group) {
+      group = { category: preset.category, presets: [] };
+      groups.push(group);
+    }
+    group.presets.push(preset);
+  });
+  return groups;
+};
+
+/**
+ * Save a custom trim size (in inches) as a preset; the unit only names
+ * unnamed presets. Throws if the size is invalid or already in the catalog.
+ */
+export const addUserTrimPreset = ({ name, width, height }, unit = DEFAULT_UNIT) => {
+  const w = parseFloat(width);
+  const h = parseFloat(height);
+  const validation = validateTrimSize(w, h);
+  if (!validation.valid) {
+    throw new Error(validation.errors[0]);
   }
 
-  return {
-    valid: errors.length === 0,
-    errors
+  const existing = findPresetByDimensions(w, h);
+  if (existing) {
+    throw new Error(`${existing.name} is already a preset`);
+  }
+
+  const preset = {
+    id: `user-${Date.now().toString(36)}`,
+    width: w,
+    height: h,
+    name: name?.trim() || formatTrimSize(w, h, unit),
+    category: USER_PRESET_CATEGORY,
+    printers: []
   };
+  saveUserTrimPresets([...getUserTrimPresets(), preset]);
+  return preset;
+};
+
+/**
+ * Remove one of the user's presets (built-in sizes can't be removed)
+ */
+export const deleteUserTrimPreset = (id) => {
+  saveUserTrimPresets(getUserTrimPresets().filter(preset => preset.id !== id));
 };
 
 /**
  * Get preset by dimensions (for reverse lookup)
  */
 export const findPresetByDimensions = (width, height, tolerance = 0.01) => {
-  return ALL_PRESETS.find(preset =>
+  return getTrimPresets().find(preset =>
     Math.abs(preset.width - width) <= tolerance &&
     Math.abs(preset.height - height) <= tolerance
   );
 };
 
 /**
- * Format trim size for display
+ * Format trim size (in inches) for display in the given unit
  */
-export const formatTrimSize = (width, height) => {
-  return `${width}" × ${height}"`;
+export const formatTrimSize = (width, height, unit = DEFAULT_UNIT) => {
+  return formatDimensions(width, height, unit);
 };
 
 
@@ -91,6 +196,126 @@ export const calculateSpineWidth = (imageWidth, trimWidth) => {
   return Math.max(0, imageWidth - (2 * trimWidth));
 };
 
+// Bleed amounts tried when matching a spread against the presets (inches)
+export const SPREAD_BLEED_OPTIONS = [DEFAULT_BLEED_INCHES, 0];
+export const MAX_SPINE_WIDTH = 5.0;
+export const MAX_BLEED_INCHES = 0.5;
+
+/**
+ * Validate per-side bleed ({ top, bottom, outside } in inches); messages use the given unit
+ */
+export const validateBleed = (bleed, unit = DEFAULT_UNIT) => {
+  const errors = [];
+  ['top', 'bottom', 'outside'].forEach(side => {
+    const value = bleed?.[side];
+    if (!Number.isFinite(value) || value < 0 || value > MAX_BLEED_INCHES) {
+      const label = side.charAt(0).toUpperCase() + side.slice(1);
+      errors.push(`${label} bleed must be between ${formatLength(0, unit)} and ${formatLength(MAX_BLEED_INCHES, unit)}`);
+    }
+  });
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+// Resolutions below this are screen defaults (72/96) rather than print intent
+const MIN_TRUSTED_DPI = 100;
+const TYPICAL_PRINT_DPI = 300;
+const SCORE_EPSILON = 1e-6;
+const SAME_SIZE_TOLERANCE = 0.01; // inches
+
+const isSameTrimSize = (a, b) => {
+  return Math.abs(a.width - b.width) <= SAME_SIZE_TOLERANCE && Math.abs(a.height - b.height) <= SAME_SIZE_TOLERANCE;
+};
+
+/**
+ * Choose between presets that fit a spread equally well. Presets sharing a
+ * height (5" × 8" and 5.25" × 8") fit the same spread with different spines,
+ * so the spread alone cannot tell them apart: the trim size currently
+ * selected wins such a tie. Otherwise the first candidate is returned,
+ * flagged as ambiguous with the other presets that fit, so the user can be
+ * asked.
+ *
+ * @param {Array<{ preset, spine }>} candidates - equally good matches, in catalog order
+ * @param {object} [preferredTrimSize] - { width, height } currently selected
+ * @returns {object|null} the chosen candidate plus { ambiguous, alternatives }, or null when none is plausible
+ */
+export const resolveTrimCandidate = (candidates, preferredTrimSize) => {
+  const plausible = candidates.filter(({ spine }) => spine > 0 && spine <= MAX_SPINE_WIDTH);
+  if (plausible.length === 0) return null;
+
+  const preferred = preferredTrimSize && plausible.find(({ preset }) => isSameTrimSize(preset, preferredTrimSize));
+  if (plausible.length === 1 || preferred) {
+    return { ...(preferred || plausible[0]), ambiguous: false, alternatives: [] };
+  }
+  return {
+    ...plausible[0],
+    ambiguous: true,
+    alternatives: plausible.slice(1).map(({ preset }) => preset)
+  };
+};
+
+/**
+ * Detect trim size and spine width from a spread's pixel dimensions.
+ * Tries every preset with each bleed option. With a trusted embedded DPI
+ * the spread height must match the preset; without one the DPI is inferred
+ * from the height and the candidate closest to print resolution wins.
+ * Presets that tie are settled by resolveTrimCandidate.
+ *
+ * @param {{ width: number, height: number }} pixels - spread size in pixels
+ * @param {number|null} dpi - embedded horizontal resolution, if any
+ * @param {object} [preferredTrimSize] - trim size currently selected
+ * @returns {{ trimSize, spineWidthInches, bleedInches, dpi, dpiSource, preset, ambiguous, alternatives } | null}
+ */
+export const detectTrimFromSpread = (pixels, dpi, preferredTrimSize, tolerance = 0.05) => {
+  if (!pixels?.width || !pixels?.height) return null;
+
+  const trustedDpi = dpi && dpi >= MIN_TRUSTED_DPI ? dpi : null;
+  const candidates = [];
+
+  getTrimPresets().forEach(preset => {
+    SPREAD_BLEED_OPTIONS.forEach(bleed => {
+      const expectedHeight = preset.height + 2 * bleed;
+      const candidateDpi = trustedDpi || pixels.height / expectedHeight;
+      const heightError = Math.abs(pixels.height / candidateDpi - expectedHeight);
+      if (heightError > tolerance) return;
+
+      const spreadWidth = pixels.width / candidateDpi - 2 * bleed;
+      const spine = calculateSpineWidth(spreadWidth, preset.width);
+      if (spine <= 0 || spine > MAX_SPINE_WIDTH) return;
+
+      candidates.push({
+        preset,
+        bleed,
+        spine,
+        dpi: candidateDpi,
+        score: trustedDpi ? heightError : Math.abs(candidateDpi - TYPICAL_PRINT_DPI) / TYPICAL_PRINT_DPI
+      });
+    });
+  });
+
+  if (candidates.length === 0) return null;
+
+  candidates.sort((a, b) => a.score - b.score);
+  const best = resolveTrimCandidate(
+    candidates.filter(candidate => candidate.score - candidates[0].score <= SCORE_EPSILON),
+    preferredTrimSize
+  );
+  if (!best) return null;
+
+  return {
+    trimSize: { width: best.preset.width, height: best.preset.height },
+    spineWidthInches: Math.round(best.spine * 1000) / 1000,
+    bleedInches: best.bleed,
+    dpi: Math.round(best.dpi),
+    dpiSource: trustedDpi ? 'embedded' : 'inferred',
+    preset: best.preset,
+    ambiguous: best.ambiguous,
+    alternatives: best.alternatives
+  };
+};
+
 /**
  * Convert inches to 3D units (using 0.2 units per inch scale)
  */
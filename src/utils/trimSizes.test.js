@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { detectTrimFromSpread, resolveTrimCandidate, validateTrimSize, MAX_SPINE_WIDTH } from './trimSizes.js';
+import { UNITS, fromInches, parseLengthInput } from './units.js';
+
+const DPI = 300;
+const BLEED = 0.125;
+
+// Pixel size of a paperback spread with bleed on every side
+const spreadPixels = (trim, spine) => ({
+  width: Math.round((trim.width * 2 + spine + BLEED * 2) * DPI),
+  height: Math.round((trim.height + BLEED * 2) * DPI)
+});
+
+beforeAll(() => {
+  // No saved user presets
+  const store = {};
+  globalThis.localStorage = {
+    getItem: (key) => (key in store ? store[key] : null),
+    setItem: (key, value) => {
+      store[key] = String(value);
+    },
+    removeItem: (key) => {
+      delete store[key];
+    }
+  };
+});
+
+describe('detectTrimFromSpread', () => {
+  it('detects a preset whose height no other plausible preset shares', () => {
+    const detected = detectTrimFromSpread(spreadPixels({ width: 6, height: 9 }, 0.5), DPI);
+    expect(detected.preset.id).toBe('us-trade');
+    expect(detected.spineWidthInches).toBeCloseTo(0.5, 3);
+    expect(detected.bleedInches).toBe(BLEED);
+  });
+
+  it('settles presets sharing a height in favour of the selected trim', () => {
+    const pixels = spreadPixels({ width: 5.25, height: 8 }, 0.5);
+    const detected = detectTrimFromSpread(pixels, DPI, { width: 5.25, height: 8 });
+    expect(detected.trimSize).toEqual({ width: 5.25, height: 8 });
+    expect(detected.spineWidthInches).toBeCloseTo(0.5, 3);
+
+    const letter = detectTrimFromSpread(spreadPixels({ width: 8.5, height: 11 }, 0.4), DPI, { width: 8.5, height: 11 });
+    expect(letter.trimSize).toEqual({ width: 8.5, height: 11 });
+    expect(letter.spineWidthInches).toBeCloseTo(0.4, 3);
+  });
+
+  it('flags a tie as ambiguous when no tied preset is selected', () => {
+    const pixels = spreadPixels({ width: 5.25, height: 8 }, 0.5);
+    [undefined, { width: 6, height: 9 }].forEach(selected => {
+      const detected = detectTrimFromSpread(pixels, DPI, selected);
+      expect(detected.ambiguous).toBe(true);
+      expect(detected.preset.id).toBe('5x8');
+      expect(detected.spineWidthInches).toBeCloseTo(1, 3);
+      expect(detected.alternatives.map(preset => preset.id)).toEqual(['5.25x8']);
+    });
+  });
+
+  it('settles ties the same way with an inferred resolution', () => {
+    const pixels = spreadPixels({ width: 8.5, height: 11 }, 0.4);
+    const unsettled = detectTrimFromSpread(pixels, null);
+    expect(unsettled.ambiguous).toBe(true);
+    expect(unsettled.alternatives.map(preset => preset.id)).toEqual(['us-letter']);
+
+    const detected = detectTrimFromSpread(pixels, null, { width: 8.5, height: 11 });
+    expect(detected.trimSize).toEqual({ width: 8.5, height: 11 });
+    expect(detected.ambiguous).toBe(false);
+    expect(detected.dpiSource).toBe('inferred');
+  });
+});
+
+describe('resolveTrimCandidate', () => {
+  const narrow = { preset: { width: 5, height: 8 }, spine: 1 };
+  const wide = { preset: { width: 5.25, height: 8 }, spine: 0.5 };
+
+  it('returns the only plausible candidate', () => {
+    const implausible = { preset: { width: 2, height: 8 }, spine: MAX_SPINE_WIDTH + 1 };
+    expect(resolveTrimCandidate([implausible, wide])).toEqual({ ...wide, ambiguous: false, alternatives: [] });
+    expect(resolveTrimCandidate([{ ...narrow, spine: 0 }, wide])).toEqual({ ...wide, ambiguous: false, alternatives: [] });
+  });
+
+  it('prefers the selected trim among several', () => {
+    expect(resolveTrimCandidate([narrow, wide], { width: 5, height: 8 })).toEqual({ ...narrow, ambiguous: false, alternatives: [] });
+    expect(resolveTrimCandidate([narrow, wide], { width: 5.25, height: 8 })).toEqual({ ...wide, ambiguous: false, alternatives: [] });
+  });
+
+  it('returns the first candidate flagged as ambiguous for an unresolved tie', () => {
+    const expected = { ...narrow, ambiguous: true, alternatives: [wide.preset] };
+    expect(resolveTrimCandidate([narrow, wide])).toEqual(expected);
+    expect(resolveTrimCandidate([narrow, wide], { width: 6, height: 9 })).toEqual(expected);
+  });
+
+  it('returns null when no candidate is plausible', () => {
+    expect(resolveTrimCandidate([])).toBeNull();
+    expect(resolveTrimCandidate([{ ...narrow, spine: -0.2 }])).toBeNull();
+  });
+});
+
+describe('validateTrimSize', () => {
+  it('accepts typed lengths in any unit once parsed', () => {
+    const width = parseLengthInput('155.96', UNITS.MM);
+    const height = parseLengthInput('233.4', UNITS.MM);
+    expect(validateTrimSize(fromInches(width, UNITS.MM), fromInches(height, UNITS.MM), UNITS.MM)).toEqual({ valid: true, errors: [] });
+    expect(validateTrimSize(6.1402, 9.1875)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('rejects missing and out-of-range sizes', () => {
+    expect(validateTrimSize(NaN, 9).errors).toEqual(['Width and height must be valid numbers']);
+    expect(validateTrimSize(0.05, 21).errors).toHaveLength(2);
+    expect(validateTrimSize(fromInches(21, UNITS.MM), fromInches(9, UNITS.MM), UNITS.MM).valid).toBe(false);
+  });
+});
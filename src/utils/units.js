@@ -0,0 +1,107 @@
+/**
+ * Measurement Units for BOOK COVER PREVIEWER
+ *
+ * Lengths are stored in inches; the user's unit preference only changes how
+ * values are typed and displayed.
+ */
+
+export const UNITS = {
+  IN: 'in',
+  MM: 'mm',
+  CM: 'cm',
+  PT: 'pt'
+};
+
+export const DEFAULT_UNIT = UNITS.IN;
+
+// perInch: units in one inch; decimals: display precision; inputDecimals: precision accepted when typing
+export const UNIT_SPECS = {
+  [UNITS.IN]: { name: 'Inches', label: 'inches', perInch: 1, decimals: 3, inputDecimals: 4, step: 0.001 },
+  [UNITS.MM]: { name: 'Millimetres', label: 'mm', perInch: 25.4, decimals: 2, inputDecimals: 2, step: 0.1 },
+  [UNITS.CM]: { name: 'Centimetres', label: 'cm', perInch: 2.54, decimals: 3, inputDecimals: 3, step: 0.01 },
+  [UNITS.PT]: { name: 'Points', label: 'pt', perInch: 72, decimals: 1, inputDecimals: 2, step: 0.1 }
+};
+
+export const UNIT_OPTIONS = Object.entries(UNIT_SPECS).map(([id, spec]) => ({ id, name: spec.name }));
+
+// Canonical precision for stored inch values
+const INCH_DECIMALS = 4;
+
+const UNIT_PREFERENCE_KEY = 'bookCoverPreviewer_unit';
+
+const round = (value, places) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+export const getUnitSpec = (unit) => {
+  return UNIT_SPECS[unit] || UNIT_SPECS[DEFAULT_UNIT];
+};
+
+/**
+ * Convert a value in the given unit to inches (rounded to the stored precision)
+ */
+export const toInches = (value, unit) => {
+  return round(value / getUnitSpec(unit).perInch, INCH_DECIMALS);
+};
+
+/**
+ * Convert inches to the given unit, at the precision accepted when typing
+ */
+export const fromInches = (inches, unit) => {
+  const spec = getUnitSpec(unit);
+  return round(inches * spec.perInch, spec.inputDecimals);
+};
+
+/**
+ * Parse a typed length in the given unit; NaN when empty or not a number
+ */
+export const parseLengthInput = (text, unit) => {
+  const value = parseFloat(text);
+  return Number.isFinite(value) ? toInches(value, unit) : NaN;
+};
+
+/**
+ * Text for a length input field showing an inch value in the given unit
+ */
+export const formatLengthInput = (inches, unit) => {
+  return Number.isFinite(inches) ? String(fromInches(inches, unit)) : '';
+};
+
+/**
+ * Display a length: 0.125" or 3.2 mm
+ */
+export const formatLength = (inches, unit = DEFAULT_UNIT, decimals) => {
+  const spec = getUnitSpec(unit);
+  const value = round(inches * spec.perInch, decimals ?? spec.decimals);
+  return unit === UNITS.IN ? `${value}"` : `${value} ${spec.label}`;
+};
+
+/**
+ * Display a width × height pair: 6" × 9" or 152.4 × 228.6 mm
+ */
+export const formatDimensions = (widthInches, heightInches, unit = DEFAULT_UNIT, decimals) => {
+  if (unit === UNITS.IN) {
+    return `${formatLength(widthInches, unit, decimals)} × ${formatLength(heightInches, unit, decimals)}`;
+  }
+  const spec = getUnitSpec(unit);
+  const places = decimals ?? spec.decimals;
+  return `${round(widthInches * spec.perInch, places)} × ${round(heightInches * spec.perInch, places)} ${spec.label}`;
+};
+
+export const loadUnitPreference = () => {
+  try {
+    const stored = localStorage.getItem(UNIT_PREFERENCE_KEY);
+    return UNIT_SPECS[stored] ? stored : DEFAULT_UNIT;
+  } catch (error) {
+    return DEFAULT_UNIT;
+  }
+};
+
+export const saveUnitPreference = (unit) => {
+  try {
+    localStorage.setItem(UNIT_PREFERENCE_KEY, unit);
+  } catch (error) {
+    console.warn('Failed to save unit preference:', error);
+  }
+};
@@ -1,7 +1,11 @@
 import { useEffect, useState } from 'react';
 import { getCoverImageUrlByIdAsync } from './coverData.js';
 
-export const useCoverImageUrl = (coverId) => {
+/**
+ * Data URL of a cover's active image. Pass the cover's currentVersion so the
+ * URL is re-read when a different version is made active.
+ */
+export const useCoverImageUrl = (coverId, version) => {
   const [url, setUrl] = useState(null);
 
   useEffect(() => {
@@ -19,7 +23,7 @@ export const useCoverImageUrl = (coverId) => {
     return () => {
       cancelled = true;
     };
-  }, [coverId]);
+  }, [coverId, version]);
 
   return url;
 };
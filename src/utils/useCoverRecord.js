@@ -0,0 +1,19 @@
+import { useMemo } from 'react';
+import { useAtom } from 'jotai';
+import { coverDraftAtom, coverRevisionAtom } from '../components/UI';
+import { getCoverById } from './coverData.js';
+
+/**
+ * Cover metadata with any unsaved edits from the sidebar editor applied, so
+ * the 3D book and flat view update while values are being typed
+ */
+export const useCoverRecord = (coverId) => {
+  const [draft] = useAtom(coverDraftAtom);
+  const [revision] = useAtom(coverRevisionAtom);
+
+  return useMemo(() => {
+    const cover = getCoverById(coverId);
+    if (!cover) return undefined;
+    return draft?.id === coverId ? { ...cover, ...draft } : cover;
+  }, [coverId, draft, revision]);
+};
@@ -0,0 +1,54 @@
+import { useEffect, useState } from 'react';
+import { CanvasTexture } from 'three';
+import { getFinishMaskUrl } from './coverData.js';
+import { drawFinishMap } from './coverFinishes.js';
+
+const loadImage = (url) => {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Failed to decode finish mask'));
+    img.src = url;
+  });
+};
+
+/**
+ * Finish map texture (see drawFinishMap) for a cover with foil or spot UV
+ * masks; null for covers without masks and while the masks load. Rebuilt when
+ * the finish, a mask or the artwork's aspect changes.
+ *
+ * @param {string} coverId
+ * @param {object} params - { finish, finishMasks, aspect }
+ */
+export const useFinishMap = (coverId, { finish, finishMasks, aspect }) => {
+  const [texture, setTexture] = useState(null);
+  const foilKey = finishMasks?.foil?.uploadedAt || '';
+  const spotUvKey = finishMasks?.spotUv?.uploadedAt || '';
+
+  useEffect(() => {
+    let cancelled = false;
+    let created = null;
+    setTexture(null);
+    if (!coverId || (!foilKey && !spotUvKey) || !aspect) return;
+
+    (async () => {
+      const load = async (kind, key) => {
+        if (!key) return null;
+        const url = await getFinishMaskUrl(coverId, kind);
+        return url ? loadImage(url) : null;
+      };
+      const [foil, spotUv] = await Promise.all([load('foil', foilKey), load('spotUv', spotUvKey)]);
+      if (cancelled || (!foil && !spotUv)) return;
+
+      created = new CanvasTexture(drawFinishMap(document.createElement('canvas'), { finish, aspect, foil, spotUv }));
+      setTexture(created);
+    })().catch(error => console.warn('Failed to build finish map:', error));
+
+    return () => {
+      cancelled = true;
+      created?.dispose();
+    };
+  }, [coverId, finish, foilKey, spotUvKey, aspect]);
+
+  return texture;
+};
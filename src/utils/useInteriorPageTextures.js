@@ -0,0 +1,56 @@
+import { useEffect, useRef, useState } from 'react';
+import { SRGBColorSpace, TextureLoader } from 'three';
+import { getInteriorPageImageUrl } from './coverData.js';
+
+/**
+ * Textures for a window of a cover's interior pages, in the order of pageIds
+ * (null while loading and for missing pages). Loaded without suspending so
+ * the book stays on screen. Pages that stay in the window keep their texture
+ * while it moves; pages that leave it are disposed.
+ */
+export const useInteriorPageTextures = (coverId, pageIds) => {
+  // `${coverId}/${pageId}` -> { texture }, one entry per requested page
+  const cacheRef = useRef(new Map());
+  const [, setLoadedCount] = useState(0);
+  const cacheKey = (pageId) => `${coverId}/${pageId}`;
+  const keys = pageIds.filter(Boolean).map(cacheKey);
+
+  useEffect(() => {
+    const cache = cacheRef.current;
+    for (const [key, entry] of cache) {
+      if (!keys.includes(key)) {
+        entry.texture?.dispose();
+        cache.delete(key);
+      }
+    }
+
+    const loader = new TextureLoader();
+    pageIds.filter(pageId => pageId && !cache.has(cacheKey(pageId))).forEach(async (pageId) => {
+      const key = cacheKey(pageId);
+      const entry = { texture: null };
+      cache.set(key, entry);
+      try {
+        const url = await getInteriorPageImageUrl(coverId, pageId);
+        if (!url) return;
+        const texture = await loader.loadAsync(url);
+        texture.colorSpace = SRGBColorSpace;
+        // The page may have left the window while it loaded
+        if (cache.get(key) !== entry) {
+          texture.dispose();
+          return;
+        }
+        entry.texture = texture;
+        setLoadedCount(count => count + 1);
+      } catch (error) {
+        console.warn('Failed to load interior page:', error);
+      }
+    });
+  }, [keys.join('|')]);
+
+  useEffect(() => () => {
+    cacheRef.current.forEach(entry => entry.texture?.dispose());
+    cacheRef.current.clear();
+  }, []);
+
+  return pageIds.map(pageId => (pageId && cacheRef.current.get(cacheKey(pageId))?.texture) || null);
+};
@@ -0,0 +1,40 @@
+import { useEffect, useState } from 'react';
+import { TextureLoader } from 'three';
+import { getFinishMaskUrl } from './coverData.js';
+
+/**
+ * A cover's relief map texture (height or normal data, so no color space);
+ * null for covers without one and while it loads
+ *
+ * @param {string} coverId
+ * @param {object} relief - the cover's finishMasks.relief entry
+ */
+export const useReliefMap = (coverId, relief) => {
+  const [texture, setTexture] = useState(null);
+  const reliefKey = relief?.uploadedAt || '';
+
+  useEffect(() => {
+    let cancelled = false;
+    let loaded = null;
+    setTexture(null);
+    if (!coverId || !reliefKey) return;
+
+    (async () => {
+      const url = await getFinishMaskUrl(coverId, 'relief');
+      if (!url || cancelled) return;
+      loaded = await new TextureLoader().loadAsync(url);
+      if (cancelled) {
+        loaded.dispose();
+      } else {
+        setTexture(loaded);
+      }
+    })().catch(error => console.warn('Failed to load relief map:', error));
+
+    return () => {
+      cancelled = true;
+      loaded?.dispose();
+    };
+  }, [coverId, reliefKey]);
+
+  return texture;
+};
@@ -0,0 +1,24 @@
+import { useMemo } from 'react';
+import { useAtom } from 'jotai';
+import { shelfAtom, coverRevisionAtom } from '../components/UI';
+import { getAllCovers, getCoverById, getCoversInSeries } from './coverData.js';
+import { SHELF_SOURCES } from './shelfLayout.js';
+
+/**
+ * Cover records to place on the shelf, in shelf order: the whole library,
+ * one series by series number, or the covers picked in the sidebar
+ */
+export const useShelfCovers = () => {
+  const [shelf] = useAtom(shelfAtom);
+  const [revision] = useAtom(coverRevisionAtom);
+
+  return useMemo(() => {
+    if (shelf.source === SHELF_SOURCES.SERIES) {
+      return shelf.series ? getCoversInSeries(shelf.series) : [];
+    }
+    if (shelf.source === SHELF_SOURCES.PICKED) {
+      return shelf.coverIds.map(id => getCoverById(id)).filter(Boolean);
+    }
+    return getAllCovers();
+  }, [shelf.source, shelf.series, shelf.coverIds, revision]);
+};